@@ -0,0 +1,64 @@
+/**
+ * Base Branch Resolution
+ *
+ * The branch PRs target and worktrees branch from. Resolved in order:
+ *   1. state.json `baseBranch`
+ *   2. Project config `baseBranch` (.deeploop.json / package.json "deep-loop")
+ *   3. origin/HEAD (the remote's default branch)
+ *   4. First of main/master that exists, else the current branch, else 'main'
+ */
+
+import { execFileSync } from 'child_process';
+import { resolveConfig } from './config.js';
+import { findRepoRoot } from './session.js';
+
+function git(cwd, args) {
+  try {
+    return execFileSync('git', ['-C', cwd, ...args], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Detect the default branch from git alone
+ * @param {string} cwd
+ * @returns {string}
+ */
+export function detectBaseBranch(cwd) {
+  const originHead = git(cwd, ['symbolic-ref', '--short', 'refs/remotes/origin/HEAD']);
+  if (originHead.startsWith('origin/')) return originHead.slice('origin/'.length);
+
+  for (const candidate of ['main', 'master']) {
+    if (git(cwd, ['rev-parse', '--verify', '--quiet', `refs/heads/${candidate}`]) ||
+        git(cwd, ['rev-parse', '--verify', '--quiet', `refs/remotes/origin/${candidate}`])) {
+      return candidate;
+    }
+  }
+
+  return git(cwd, ['symbolic-ref', '--short', 'HEAD']) || 'main';
+}
+
+/**
+ * Resolve the base branch for a loop or execute run
+ * @param {string} cwd Any directory inside the repository
+ * @param {Object} [state] Parsed state.json, if any
+ * @returns {string}
+ */
+export function resolveBaseBranch(cwd, state = null) {
+  if (state && typeof state.baseBranch === 'string' && state.baseBranch) {
+    return state.baseBranch;
+  }
+
+  const { baseBranch } = resolveConfig(findRepoRoot(cwd));
+  if (baseBranch) {
+    return baseBranch;
+  }
+
+  return detectBaseBranch(cwd);
+}
+
+export default resolveBaseBranch;
@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+
+/**
+ * Token / Cost Budget
+ *
+ * Tracks what a loop spends and stops it at a ceiling from state.json:
+ *   "budget": { "maxTokens": 5000000, "maxCostUsd": 25 }
+ *
+ * Usage is accumulated in usage.json next to state.json, per phase:
+ * - The stop hook reads usage blocks appended to the session transcript
+ *   since its last visit (byte offset kept in usage.json), in bounded
+ *   chunks. Blocks from before the loop's startedAt are not charged.
+ * - loop.sh / execute.sh pipe `claude -p --output-format json` through
+ *   `budget.js record`, which records the result's usage and prints its
+ *   text so the scripts can keep grepping for result tokens.
+ * The tally belongs to one run (usage.run: the loop's startedAt, or
+ * execute.sh's run id) and starts over when a new one records. The
+ * transcript offset survives that, so nothing is charged twice.
+ *
+ * Tokens = input + output + cache writes. Cache reads are cheap and
+ * re-counted on every turn, so they only count toward cost. Cost comes
+ * from total_cost_usd when claude reports it, else from PRICING (USD per
+ * million tokens; override with budget.pricing).
+ *
+ * Usage: node budget.js <command> <deepDir> [args]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { withLock, writeFileAtomic } from './file-lock.js';
+
+export const USAGE_FILE = 'usage.json';
+
+/** Exit code of `check` when the budget is exhausted */
+export const EXIT_BUDGET_EXCEEDED = 4;
+
+/** First matching model substring wins */
+export const PRICING = [
+  { match: 'opus-4-5', input: 5, output: 25 },
+  { match: 'opus', input: 15, output: 75 },
+  { match: 'haiku-4', input: 1, output: 5 },
+  { match: 'haiku', input: 0.8, output: 4 },
+  { match: 'sonnet', input: 3, output: 15 }
+];
+const CACHE_WRITE_FACTOR = 1.25;
+const CACHE_READ_FACTOR = 0.1;
+const TRANSCRIPT_CHUNK_BYTES = 1024 * 1024;
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function emptyCounts() {
+  return { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, tokens: 0, costUsd: 0, calls: 0 };
+}
+
+/**
+ * Normalize an API usage block
+ * @param {Object} usage {input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens}
+ */
+export function normalizeUsage(usage = {}) {
+  const inputTokens = usage.input_tokens || 0;
+  const outputTokens = usage.output_tokens || 0;
+  const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
+  const cacheReadTokens = usage.cache_read_input_tokens || 0;
+  return {
+    inputTokens,
+    outputTokens,
+    cacheCreationTokens,
+    cacheReadTokens,
+    tokens: inputTokens + outputTokens + cacheCreationTokens
+  };
+}
+
+/**
+ * Estimated cost of a normalized usage block
+ * @param {ReturnType<typeof normalizeUsage>} counts
+ * @param {string} [model]
+ * @param {Array<{match: string, input: number, output: number}>} [pricing]
+ */
+export function estimateCost(counts, model = '', pricing = PRICING) {
+  const rates = pricing.find(p => String(model).includes(p.match))
+    || PRICING.find(p => p.match === 'sonnet');
+  const perToken = (usd) => usd / 1e6;
+  return counts.inputTokens * perToken(rates.input)
+    + counts.cacheCreationTokens * perToken(rates.input * CACHE_WRITE_FACTOR)
+    + counts.cacheReadTokens * perToken(rates.input * CACHE_READ_FACTOR)
+    + counts.outputTokens * perToken(rates.output);
+}
+
+function pricingFor(budget) {
+  const custom = budget?.pricing;
+  if (!custom || typeof custom !== 'object') return PRICING;
+  return [...Object.entries(custom).map(([match, rates]) => ({ match, ...rates })), ...PRICING];
+}
+
+/**
+ * Usage blocks in transcript JSONL, one per API response (a response is
+ * logged once per content block, so ids are de-duplicated)
+ * @param {string} text
+ * @param {Set<string>} [seen] Message ids already counted
+ * @param {Object} [options]
+ * @param {number} [options.since] Skip entries timestamped before this (ms)
+ * @returns {Array<{id: string|null, model: string, usage: Object}>}
+ */
+export function parseTranscriptUsage(text, seen = new Set(), { since = null } = {}) {
+  const blocks = [];
+  for (const line of text.split('\n')) {
+    if (!line.includes('"usage"')) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const message = entry.message;
+    if (!message?.usage || message.role !== 'assistant') continue;
+    if (since && Date.parse(entry.timestamp) < since) continue;
+    const id = message.id || entry.requestId || null;
+    if (id && seen.has(id)) continue;
+    if (id) seen.add(id);
+    blocks.push({ id, model: message.model || '', usage: message.usage });
+  }
+  return blocks;
+}
+
+/**
+ * Pull the result out of `claude -p --output-format json` output.
+ * Anything before the JSON (stderr noise) is ignored.
+ * @param {string} output
+ * @returns {{text: string, usage: Object|null, costUsd: number|null, model: string}|null}
+ *   null when the output is not a JSON result (e.g. an early CLI error)
+ */
+export function parseClaudeResult(output) {
+  const candidates = [output.trim(), ...output.trim().split('\n').reverse()];
+  for (const candidate of candidates) {
+    if (!candidate.startsWith('{')) continue;
+    let result;
+    try {
+      result = JSON.parse(candidate);
+    } catch {
+      continue;
+    }
+    if (result?.type !== 'result') continue;
+    return {
+      text: typeof result.result === 'string' ? result.result : '',
+      usage: result.usage || null,
+      costUsd: typeof result.total_cost_usd === 'number' ? result.total_cost_usd : null,
+      model: Object.keys(result.modelUsage || {})[0] || ''
+    };
+  }
+  return null;
+}
+
+// ==========================================
+//  USAGE FILE
+// ==========================================
+
+/**
+ * @param {string} deepDir
+ * @returns {{run: string|null, total: Object, byPhase: Object<string, Object>, transcript: Object|null, updatedAt: string|null}}
+ */
+export function readUsage(deepDir) {
+  const usage = readJson(path.join(deepDir, USAGE_FILE));
+  return {
+    run: usage?.run || null,
+    total: { ...emptyCounts(), ...usage?.total },
+    byPhase: usage?.byPhase || {},
+    transcript: usage?.transcript || null,
+    updatedAt: usage?.updatedAt || null
+  };
+}
+
+function withUsage(deepDir, fn) {
+  return withLock(path.join(deepDir, 'usage.lock'), () => {
+    const usage = readUsage(deepDir);
+    const result = fn(usage);
+    usage.updatedAt = new Date().toISOString();
+    writeFileAtomic(path.join(deepDir, USAGE_FILE), JSON.stringify(usage, null, 2));
+    return result;
+  });
+}
+
+function addCounts(target, counts, costUsd) {
+  for (const key of ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'tokens']) {
+    target[key] = (target[key] || 0) + counts[key];
+  }
+  target.costUsd = Math.round(((target.costUsd || 0) + costUsd) * 1e6) / 1e6;
+  target.calls = (target.calls || 0) + 1;
+}
+
+function addToUsage(usage, phase, counts, costUsd) {
+  const key = phase || 'UNKNOWN';
+  usage.byPhase[key] = usage.byPhase[key] || emptyCounts();
+  addCounts(usage.byPhase[key], counts, costUsd);
+  addCounts(usage.total, counts, costUsd);
+}
+
+function startRun(usage, run) {
+  usage.run = run;
+  usage.total = emptyCounts();
+  usage.byPhase = {};
+}
+
+function readBudget(deepDir) {
+  return readJson(path.join(deepDir, 'state.json'))?.budget || null;
+}
+
+/**
+ * Record one `claude -p` result
+ * @param {string} deepDir
+ * @param {ReturnType<typeof parseClaudeResult>} result
+ * @param {string} [phase]
+ * @param {Object} [options]
+ * @param {string} [options.run] Run the usage belongs to; a new one starts a fresh tally
+ * @returns {{tokens: number, costUsd: number}}
+ */
+export function recordResult(deepDir, result, phase, { run = null } = {}) {
+  const counts = normalizeUsage(result.usage || {});
+  const costUsd = result.costUsd ?? estimateCost(counts, result.model, pricingFor(readBudget(deepDir)));
+  withUsage(deepDir, (usage) => {
+    if (run && usage.run !== run) startRun(usage, run);
+    addToUsage(usage, phase, counts, costUsd);
+  });
+  return { tokens: counts.tokens, costUsd };
+}
+
+/**
+ * Feed complete lines from offset start on, one bounded chunk at a time
+ * @param {string} filePath
+ * @param {number} start
+ * @param {number} end
+ * @param {(text: string) => void} onLines
+ * @returns {number} Offset after the last complete line
+ */
+function readLinesFrom(filePath, start, end, onLines) {
+  const buffer = Buffer.alloc(Math.min(TRANSCRIPT_CHUNK_BYTES, Math.max(end - start, 1)));
+  const fd = fs.openSync(filePath, 'r');
+  let position = start;
+  let consumed = start;
+  // A line longer than a chunk is collected here until its newline
+  let partial = [];
+  try {
+    while (position < end) {
+      const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, end - position), position);
+      if (bytesRead <= 0) break;
+      position += bytesRead;
+      const chunk = buffer.subarray(0, bytesRead);
+      const newline = chunk.lastIndexOf(0x0a);
+      if (newline < 0) {
+        partial.push(Buffer.from(chunk));
+        continue;
+      }
+      onLines(Buffer.concat([...partial, chunk.subarray(0, newline + 1)]).toString('utf8'));
+      partial = [Buffer.from(chunk.subarray(newline + 1))];
+      consumed = position - (bytesRead - newline - 1);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return consumed;
+}
+
+/**
+ * Record usage appended to a transcript since the last call
+ * @param {string} deepDir
+ * @param {string} transcriptPath
+ * @param {string} [phase]
+ * @param {Object} [options]
+ * @param {string} [options.loopStartedAt] state.json startedAt: earlier usage
+ *   is not charged, and a new value starts a fresh tally
+ * @returns {{tokens: number, costUsd: number}} What this call added
+ */
+export function recordTranscriptUsage(deepDir, transcriptPath, phase, { loopStartedAt = null } = {}) {
+  if (!transcriptPath || !fs.existsSync(transcriptPath)) return { tokens: 0, costUsd: 0 };
+  const pricing = pricingFor(readBudget(deepDir));
+  const since = Date.parse(loopStartedAt) || null;
+
+  return withUsage(deepDir, (usage) => {
+    if (loopStartedAt && usage.run !== loopStartedAt) startRun(usage, loopStartedAt);
+
+    const size = fs.statSync(transcriptPath).size;
+    const prev = usage.transcript;
+    // New session transcript, or rewritten: start from the top
+    const start = prev?.path === transcriptPath && prev.offset <= size ? prev.offset : 0;
+
+    const seen = new Set(start > 0 && prev?.lastMessageId ? [prev.lastMessageId] : []);
+    let added = { tokens: 0, costUsd: 0 };
+    let lastMessageId = prev?.lastMessageId || null;
+    // Only complete lines are consumed; a partial last line is read next time
+    const offset = readLinesFrom(transcriptPath, start, size, (text) => {
+      for (const block of parseTranscriptUsage(text, seen, { since })) {
+        const counts = normalizeUsage(block.usage);
+        const costUsd = estimateCost(counts, block.model, pricing);
+        addToUsage(usage, phase, counts, costUsd);
+        added = { tokens: added.tokens + counts.tokens, costUsd: added.costUsd + costUsd };
+        lastMessageId = block.id;
+      }
+    });
+
+    usage.transcript = { path: transcriptPath, offset, lastMessageId };
+    return added;
+  });
+}
+
+/**
+ * Start a fresh tally (execute.sh, once per run). The transcript offset is
+ * kept, so usage already read is not charged again.
+ * @param {string} deepDir
+ * @param {string} [run]
+ */
+export function resetUsage(deepDir, run = null) {
+  withUsage(deepDir, (usage) => startRun(usage, run));
+}
+
+/**
+ * Compare usage with a budget
+ * @param {Object|null} budget {maxTokens, maxCostUsd}
+ * @param {ReturnType<typeof readUsage>} usage
+ * @returns {{exceeded: boolean, reason: string|null}}
+ */
+export function checkBudget(budget, usage) {
+  if (!budget) return { exceeded: false, reason: null };
+  const { tokens, costUsd } = usage.total;
+  if (budget.maxTokens && tokens >= budget.maxTokens) {
+    return { exceeded: true, reason: `token budget exhausted (${tokens.toLocaleString('en-US')}/${Number(budget.maxTokens).toLocaleString('en-US')} tokens)` };
+  }
+  if (budget.maxCostUsd && costUsd >= budget.maxCostUsd) {
+    return { exceeded: true, reason: `cost budget exhausted ($${costUsd.toFixed(2)}/$${Number(budget.maxCostUsd).toFixed(2)})` };
+  }
+  return { exceeded: false, reason: null };
+}
+
+/**
+ * One-line spend summary, e.g. "1.2M tokens, $4.10 of $25.00"
+ * @param {Object|null} budget
+ * @param {ReturnType<typeof readUsage>} usage
+ */
+export function formatSpend(budget, usage) {
+  const tokens = usage.total.tokens;
+  const tokenText = tokens >= 1e6 ? `${(tokens / 1e6).toFixed(1)}M` : tokens >= 1e3 ? `${Math.round(tokens / 1e3)}k` : String(tokens);
+  const parts = [`${tokenText}${budget?.maxTokens ? `/${Number(budget.maxTokens).toLocaleString('en-US')}` : ''} tokens`];
+  parts.push(`$${usage.total.costUsd.toFixed(2)}${budget?.maxCostUsd ? ` of $${Number(budget.maxCostUsd).toFixed(2)}` : ''}`);
+  return parts.join(', ');
+}
+
+/**
+ * Per-phase breakdown table
+ * @param {ReturnType<typeof readUsage>} usage
+ * @returns {string}
+ */
+export function formatBreakdown(usage) {
+  const rows = Object.entries(usage.byPhase).sort(([, a], [, b]) => b.costUsd - a.costUsd);
+  if (rows.length === 0) return 'No usage recorded.';
+  const lines = ['Phase        Calls  Tokens      Cost'];
+  for (const [phase, c] of [...rows, ['TOTAL', usage.total]]) {
+    lines.push(`${phase.padEnd(12)} ${String(c.calls).padStart(5)}  ${String(c.tokens).padStart(10)}  $${c.costUsd.toFixed(2)}`);
+  }
+  return lines.join('\n');
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: budget.js <command> <deepDir> [args]
+
+Commands:
+  record <deepDir> [--phase P] [--run ID]
+                                 Read claude -p JSON output on stdin, record its
+                                 usage, print the result text (raw input if not JSON).
+                                 A new --run starts a fresh tally
+  check <deepDir>                Exit ${EXIT_BUDGET_EXCEEDED} and print why when the state.json budget is spent
+  report <deepDir> [--json|--short]
+                                 Spend and per-phase breakdown (--short: one line)
+  reset <deepDir> [--run ID]     Start a fresh tally`;
+
+function currentPhase(deepDir) {
+  return readJson(path.join(deepDir, 'state.json'))?.phase || null;
+}
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      phase: { type: 'string' },
+      run: { type: 'string' },
+      json: { type: 'boolean' },
+      short: { type: 'boolean' }
+    }
+  });
+
+  const [command, deepDir] = positionals;
+  if (!command || !deepDir) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  switch (command) {
+    case 'record': {
+      const output = fs.readFileSync(0, 'utf8');
+      const result = parseClaudeResult(output);
+      if (!result) {
+        process.stdout.write(output);
+        return 0;
+      }
+      try {
+        recordResult(deepDir, result, values.phase || currentPhase(deepDir), { run: values.run || null });
+      } catch (err) {
+        console.error(`budget: could not record usage: ${err.message}`);
+      }
+      process.stdout.write(result.text.endsWith('\n') ? result.text : `${result.text}\n`);
+      return 0;
+    }
+
+    case 'check': {
+      const { exceeded, reason } = checkBudget(readBudget(deepDir), readUsage(deepDir));
+      if (!exceeded) return 0;
+      console.log(reason);
+      return EXIT_BUDGET_EXCEEDED;
+    }
+
+    case 'report': {
+      const usage = readUsage(deepDir);
+      const budget = readBudget(deepDir);
+      if (values.json) {
+        console.log(JSON.stringify({ budget, ...usage, ...checkBudget(budget, usage) }, null, 2));
+      } else if (values.short) {
+        console.log(formatSpend(budget, usage));
+      } else {
+        console.log(`Spend: ${formatSpend(budget, usage)}`);
+        console.log(formatBreakdown(usage));
+      }
+      return 0;
+    }
+
+    case 'reset':
+      resetUsage(deepDir, values.run || null);
+      return 0;
+
+    default:
+      console.error(`Unknown command: ${command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node budget.js <command> <deepDir> [args]
+ */
+if (process.argv[1] && process.argv[1].endsWith('budget.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Phase Checkpoints and Rollback
+ *
+ * The stop hook records HEAD when a phase begins in state.json:
+ *   "checkpoints": { "PLAN": "3f2a...", "BUILD": "9c1d..." }
+ * (a phase entered again, like REVIEW after FIX, keeps its latest entry).
+ *
+ * `rollback <phase>` puts the loop back at the start of that phase:
+ *   - git reset --hard to the phase's checkpoint (refuses uncommitted
+ *     changes to tracked files unless --force)
+ *   - that phase's and later phases' gate artifacts (plan.md, decisions.md,
+ *     tasks-status.json, test-results.json) move to rollbacks/<time>/ so
+ *     the phase gate has to be met again; issues.json stays as context
+ *   - state.json: phase and confirmedPhase set to it, later checkpoints
+ *     dropped, a rollback entry appended to phaseHistory (older promises
+ *     no longer count), loop active again
+ *
+ * Without --dir the CLI uses the running loop's session directory, else
+ * the most recently updated one with checkpoints (a finished loop).
+ *
+ * Usage: node checkpoints.js <list|rollback> [phase] [--dir DEEPDIR] [--force]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { parseArgs } from 'util';
+import { writeFileAtomic } from './file-lock.js';
+import { resolveSession, LEGACY_DIR } from './session.js';
+import { PHASE_TRANSITIONS } from './phases.js';
+
+/** Phases in loop order (rollback drops checkpoints after the target) */
+export const PHASE_ORDER = ['CHALLENGE', 'RLM_EXPLORE', 'PLAN', 'BUILD', 'REVIEW', 'FIX', 'SHIP'];
+
+/** Files each phase's gate checks (see phase-gates.js) */
+export const PHASE_ARTIFACTS = {
+  PLAN: ['plan.md', 'decisions.md'],
+  BUILD: ['tasks-status.json'],
+  REVIEW: ['test-results.json']
+};
+
+function git(args, cwd) {
+  const result = spawnSync('git', args, { cwd, encoding: 'utf8', timeout: 30000 });
+  if (result.status !== 0) {
+    throw new Error(`git ${args.join(' ')} failed: ${(result.stderr || result.error?.message || '').trim()}`);
+  }
+  return result.stdout.trim();
+}
+
+/**
+ * Current HEAD
+ * @param {string} cwd
+ * @returns {string|null} null outside a repo or before the first commit
+ */
+export function headSha(cwd) {
+  try {
+    return git(['rev-parse', 'HEAD'], cwd);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record HEAD as the start of a phase
+ * @param {Object} state Mutated: checkpoints
+ * @param {string} phase
+ * @param {string} cwd
+ * @returns {boolean} true when recorded
+ */
+export function recordCheckpoint(state, phase, cwd) {
+  if (!PHASE_ORDER.includes(phase)) return false;
+  const sha = headSha(cwd);
+  if (!sha) return false;
+  state.checkpoints = { ...(state.checkpoints || {}), [phase]: sha };
+  return true;
+}
+
+function readState(deepDir) {
+  const file = path.join(deepDir, 'state.json');
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    throw new Error(`No readable state.json in ${deepDir}`);
+  }
+}
+
+function archiveArtifacts(deepDir, phase, stamp) {
+  const phases = PHASE_ORDER.slice(PHASE_ORDER.indexOf(phase));
+  const names = phases.flatMap(p => PHASE_ARTIFACTS[p] || []);
+  const archive = path.join(deepDir, 'rollbacks', stamp);
+  const moved = [];
+  for (const name of names) {
+    const file = path.join(deepDir, name);
+    if (!fs.existsSync(file)) continue;
+    fs.mkdirSync(archive, { recursive: true });
+    fs.renameSync(file, path.join(archive, name));
+    moved.push(name);
+  }
+  return moved;
+}
+
+/**
+ * The session directory (or legacy .deep) whose state.json has checkpoints
+ * and was updated last
+ * @param {string} root
+ * @returns {string|null}
+ */
+export function latestCheckpointDir(root) {
+  let entries;
+  try {
+    entries = fs.readdirSync(root, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  let latest = null;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || (entry.name !== LEGACY_DIR && !entry.name.startsWith(`${LEGACY_DIR}-`))) continue;
+    const statePath = path.join(root, entry.name, 'state.json');
+    try {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (Object.keys(state.checkpoints || {}).length === 0) continue;
+      const mtimeMs = fs.statSync(statePath).mtimeMs;
+      if (!latest || mtimeMs > latest.mtimeMs) latest = { dir: path.join(root, entry.name), mtimeMs };
+    } catch {
+      // No state.json
+    }
+  }
+  return latest?.dir || null;
+}
+
+/**
+ * Restore the tree to a phase's checkpoint and reset state.json to re-run it
+ * @param {string} deepDir Session directory
+ * @param {string} phase
+ * @param {Object} [options]
+ * @param {string} [options.cwd] Repo to reset (default: deepDir's parent)
+ * @param {boolean} [options.force] Discard uncommitted changes to tracked files
+ * @returns {{phase: string, sha: string, previousHead: string, archived: string[]}}
+ */
+export function rollbackToPhase(deepDir, phase, { cwd = path.dirname(path.resolve(deepDir)), force = false } = {}) {
+  const state = readState(deepDir);
+  const sha = state.checkpoints?.[phase];
+  if (!sha) {
+    const known = Object.keys(state.checkpoints || {});
+    throw new Error(`No checkpoint for ${phase}${known.length ? ` (have: ${known.join(', ')})` : ''}`);
+  }
+
+  const dirty = git(['status', '--porcelain', '--untracked-files=no'], cwd);
+  if (dirty && !force) {
+    throw new Error(`Uncommitted changes to tracked files; commit or stash them, or pass --force to discard:\n${dirty}`);
+  }
+
+  const previousHead = headSha(cwd);
+  git(['reset', '--hard', sha], cwd);
+
+  const now = new Date();
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  const archived = archiveArtifacts(deepDir, phase, stamp);
+
+  const from = state.confirmedPhase || state.phase;
+  const keep = PHASE_ORDER.slice(0, PHASE_ORDER.indexOf(phase) + 1);
+  state.checkpoints = Object.fromEntries(Object.entries(state.checkpoints).filter(([p]) => keep.includes(p)));
+  state.phase = phase;
+  state.confirmedPhase = phase;
+  state.active = true;
+  state.complete = false;
+  state.phaseTimer = { phase, startedAt: now.toISOString(), recoveryAt: null };
+  state.lastActivity = now.toISOString();
+  state.phaseHistory = [...(state.phaseHistory || []), { from, to: phase, at: now.toISOString(), rollback: true }];
+  state.rollbacks = [...(state.rollbacks || []), { phase, from: previousHead, to: sha, at: now.toISOString(), archived }];
+  writeFileAtomic(path.join(deepDir, 'state.json'), JSON.stringify(state, null, 2));
+
+  return { phase, sha, previousHead, archived };
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: checkpoints.js <command> [phase] [--dir DEEPDIR] [--force]
+
+Commands:
+  list                 Checkpoints recorded in state.json
+  rollback <phase>     Reset the repo to the phase's checkpoint and re-run it
+
+--dir defaults to the running loop's session directory (see session.js),
+else the most recently updated one with checkpoints.`;
+
+function defaultDeepDir() {
+  const session = resolveSession();
+  if (session.source !== 'legacy') return session.dir;
+  return latestCheckpointDir(session.root) || session.dir;
+}
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      dir: { type: 'string' },
+      force: { type: 'boolean' },
+      json: { type: 'boolean' }
+    }
+  });
+
+  const [command, phaseArg] = positionals;
+  const deepDir = values.dir || defaultDeepDir();
+
+  switch (command) {
+    case 'list': {
+      const state = readState(deepDir);
+      const checkpoints = state.checkpoints || {};
+      if (values.json) {
+        console.log(JSON.stringify(checkpoints, null, 2));
+      } else if (Object.keys(checkpoints).length === 0) {
+        console.log('No checkpoints recorded');
+      } else {
+        for (const phase of PHASE_ORDER.filter(p => checkpoints[p])) {
+          console.log(`${phase.padEnd(12)}${checkpoints[phase].slice(0, 12)}${phase === state.phase ? '  (current)' : ''}`);
+        }
+      }
+      return 0;
+    }
+
+    case 'rollback': {
+      const phase = (phaseArg || '').toUpperCase();
+      if (!PHASE_TRANSITIONS[phase]) {
+        console.error(`Unknown phase: ${phaseArg || '(none)'} (${PHASE_ORDER.join(', ')})`);
+        return 1;
+      }
+      const result = rollbackToPhase(deepDir, phase, { force: values.force });
+      if (values.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        console.log(`Rolled back to ${phase} at ${result.sha.slice(0, 12)} (was ${result.previousHead?.slice(0, 12) || 'unknown'})`);
+        if (result.archived.length > 0) console.log(`Archived: ${result.archived.join(', ')}`);
+        console.log(`Undo: git reset --hard ${result.previousHead}`);
+      }
+      return 0;
+    }
+
+    default:
+      console.error(USAGE);
+      return 1;
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node checkpoints.js <list|rollback> [phase]
+ */
+if (process.argv[1] && process.argv[1].endsWith('checkpoints.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+
+/**
+ * Project Config
+ *
+ * Per-project deep-loop settings from `.deeploop.json` in the repo root,
+ * or a `"deep-loop"` key in package.json. The file wins when both exist.
+ *
+ * resolveConfig() checks the raw config against SCHEMA and fills in
+ * defaults; a value of the wrong type is reported and replaced by its
+ * default, unknown keys are reported and ignored. Per-run settings still
+ * win where they exist: state.json (maxIterations, maxFixCycles, ...) and
+ * environment variables (DEEP_JUDGE_ENABLED, DEEP_EXECUTE_MAX_LOOPS,
+ * DEEP_TASK_TIMEOUT, DEEP_FORGE).
+ *
+ * The "validators" section can also be set per user in
+ * ~/.claude/deep-loop.json (same shape); the project file wins over it.
+ *
+ *   {
+ *     "baseBranch": "main",
+ *     "forge": "github",
+ *     "loop": { "maxIterations": 10, "staleHours": 8, "maxFixCycles": 3 },
+ *     "execute": { "ciFixMax": 3, "ciPollTimeout": 1200, "judge": { "enabled": true } },
+ *     "validators": { "skipPatterns": ["fixtures"], "sql": { "enabled": false } },
+ *     "hooks": { "formatter": false },
+ *     "cleanup": { "periodDays": 7 },
+ *     "notify": { "channels": [] }
+ *   }
+ *
+ * Usage: node config.js [cwd] [--json]
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import { parseDuration } from './time-budget.js';
+
+export const CONFIG_FILE = '.deeploop.json';
+export const USER_CONFIG_FILE = path.join(os.homedir(), '.claude', 'deep-loop.json');
+
+export const VALIDATOR_NAMES = ['json', 'csv', 'sql', 'markdown', 'env', 'typescript', 'python'];
+export const SEVERITY_LEVELS = ['error', 'warning', 'off'];
+
+/**
+ * Schema nodes: { type, default, min?, enum?, nullable?, items?, properties?, values? }
+ * type is string | number | integer | boolean | duration | array | object.
+ * An object without properties is free-form and merged over its default;
+ * values: [...] limits its values to those strings (other entries dropped).
+ */
+export const SCHEMA = {
+  type: 'object',
+  properties: {
+    baseBranch: { type: 'string', nullable: true, default: null },
+    forge: { type: 'string', nullable: true, enum: ['github', 'gitlab', 'gitea', 'local'], default: null },
+    loop: {
+      type: 'object',
+      properties: {
+        maxIterations: { type: 'integer', min: 1, default: 10 },
+        quickMaxIterations: { type: 'integer', min: 1, default: 3 },
+        staleHours: { type: 'number', min: 0, default: 8 },
+        maxDuration: { type: 'duration', nullable: true, default: null },
+        maxFixCycles: { type: 'integer', min: 0, default: 3 }
+      }
+    },
+    execute: {
+      type: 'object',
+      properties: {
+        ciFixMax: { type: 'integer', min: 0, default: 3 },
+        ciPollInterval: { type: 'integer', min: 1, default: 30 },
+        ciPollTimeout: { type: 'integer', min: 1, default: 1200 },
+        maxLoopsPerWorker: { type: 'integer', min: 0, default: 0 },
+        taskTimeout: { type: 'duration', default: '60m' },
+        judge: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', default: true },
+            diffMax: { type: 'integer', min: 1, default: 300 },
+            diffSkip: { type: 'integer', min: 1, default: 400 }
+          }
+        }
+      }
+    },
+    validators: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        maxFileSizeBytes: { type: 'integer', min: 0, default: 1024 * 1024 },
+        timeoutMs: { type: 'integer', min: 0, default: 5000 },
+        skipPatterns: { type: 'array', items: 'string', default: [] },
+        severity: { type: 'object', values: SEVERITY_LEVELS, default: {} },
+        extensionMap: { type: 'object', values: [...VALIDATOR_NAMES, 'none'], default: {} },
+        ...Object.fromEntries(VALIDATOR_NAMES.map(name => [name, { type: 'object', default: {} }]))
+      }
+    },
+    hooks: {
+      type: 'object',
+      properties: {
+        validator: { type: 'boolean', default: true },
+        formatter: { type: 'boolean', default: true },
+        sessionStart: { type: 'boolean', default: true }
+      }
+    },
+    cleanup: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        periodDays: { type: 'number', min: 0, nullable: true, default: null },
+        taskStaleHours: { type: 'number', min: 0, default: 24 }
+      }
+    },
+    notify: {
+      type: 'object',
+      properties: {
+        events: { type: 'array', items: 'string', nullable: true, default: null },
+        channels: { type: 'array', items: 'object', default: [] }
+      }
+    }
+  }
+};
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the project's deep-loop config
+ * @param {string} [cwd]
+ * @returns {Object} Raw config ({} when none is found)
+ */
+export function loadConfig(cwd = process.cwd()) {
+  const fromFile = readJson(path.join(cwd, CONFIG_FILE));
+  if (fromFile && typeof fromFile === 'object') return fromFile;
+
+  const pkg = readJson(path.join(cwd, 'package.json'));
+  if (pkg && typeof pkg['deep-loop'] === 'object' && pkg['deep-loop'] !== null) {
+    return pkg['deep-loop'];
+  }
+
+  return {};
+}
+
+/**
+ * Load the user's deep-loop config (~/.claude/deep-loop.json)
+ * @returns {Object} Raw config ({} when none is found)
+ */
+export function loadUserConfig() {
+  const config = readJson(USER_CONFIG_FILE);
+  return isPlainObject(config) ? config : {};
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeError(node, value) {
+  if (node.type === 'array' && Array.isArray(value) && node.items) {
+    const bad = value.find(item => (node.items === 'object' ? !isPlainObject(item) : typeof item !== node.items));
+    if (bad !== undefined) return `expected ${node.items} items, got ${JSON.stringify(bad)}`;
+    return null;
+  }
+
+  const ok = {
+    string: typeof value === 'string',
+    number: typeof value === 'number' && Number.isFinite(value),
+    integer: Number.isInteger(value),
+    boolean: typeof value === 'boolean',
+    duration: (typeof value === 'string' || typeof value === 'number') && parseDuration(value) !== null,
+    array: Array.isArray(value),
+    object: isPlainObject(value)
+  }[node.type];
+
+  if (!ok) return `expected ${node.type}, got ${JSON.stringify(value)}`;
+  if (node.min !== undefined && value < node.min) return `expected ${node.type} >= ${node.min}, got ${value}`;
+  if (node.enum && !node.enum.includes(value)) return `expected one of ${node.enum.join(', ')}, got ${JSON.stringify(value)}`;
+  return null;
+}
+
+function resolveNode(node, value, key, problems) {
+  if (node.type === 'object' && node.properties) {
+    if (value !== undefined && !isPlainObject(value)) {
+      problems.push(`${key}: expected object, got ${JSON.stringify(value)} (using defaults)`);
+      value = undefined;
+    }
+    const input = value || {};
+    const resolved = {};
+    for (const [name, child] of Object.entries(node.properties)) {
+      resolved[name] = resolveNode(child, input[name], key ? `${key}.${name}` : name, problems);
+    }
+    for (const name of Object.keys(input)) {
+      if (!(name in node.properties)) problems.push(`${key ? `${key}.` : ''}${name}: unknown setting (ignored)`);
+    }
+    return resolved;
+  }
+
+  if (value === undefined || (value === null && node.nullable)) return structuredClone(node.default);
+
+  const error = typeError(node, value);
+  if (error) {
+    problems.push(`${key}: ${error} (using ${JSON.stringify(node.default)})`);
+    return structuredClone(node.default);
+  }
+  if (node.type !== 'object') return value;
+  if (!node.values) return { ...node.default, ...value };
+
+  // Drop only the entries with a value outside node.values
+  const kept = { ...node.default };
+  for (const [name, entry] of Object.entries(value)) {
+    if (node.values.includes(entry)) kept[name] = entry;
+    else problems.push(`${key}.${name}: expected one of ${node.values.join(', ')}, got ${JSON.stringify(entry)} (ignored)`);
+  }
+  return kept;
+}
+
+/**
+ * Check a raw config against SCHEMA and fill in defaults
+ * @param {Object} raw
+ * @returns {{config: Object, problems: string[]}}
+ */
+export function validateConfig(raw) {
+  const problems = [];
+  const config = resolveNode(SCHEMA, isPlainObject(raw) ? raw : {}, '', problems);
+  return { config, problems };
+}
+
+/**
+ * Layer the project's "validators" section over the user's: skipPatterns
+ * add up, objects (severity, extensionMap, per-validator settings) merge
+ * key by key, anything else the project sets wins.
+ * @param {Object} user
+ * @param {Object} project
+ * @returns {Object}
+ */
+export function mergeValidatorConfig(user, project) {
+  const merged = { ...user };
+  for (const [key, value] of Object.entries(project)) {
+    if (key === 'skipPatterns' && Array.isArray(user.skipPatterns) && Array.isArray(value)) {
+      merged[key] = [...user.skipPatterns, ...value];
+    } else if (isPlainObject(user[key]) && isPlainObject(value)) {
+      merged[key] = { ...user[key], ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Project config with the user's validator settings underneath
+ * @param {string} [cwd]
+ * @returns {Object} Raw config
+ */
+export function loadMergedConfig(cwd = process.cwd()) {
+  const project = loadConfig(cwd);
+  const user = loadUserConfig();
+  if (!isPlainObject(user.validators)) return project;
+  const projectValidators = isPlainObject(project.validators) ? project.validators : {};
+  return { ...project, validators: mergeValidatorConfig(user.validators, projectValidators) };
+}
+
+/**
+ * The effective config for a hook, read from the repo root. Problems are
+ * appended to logPath (hook-errors.log) unless already there, so a bad
+ * value is reported once instead of on every stop.
+ * @param {string} root
+ * @param {string} logPath
+ * @returns {Object}
+ */
+export function resolveHookConfig(root, logPath) {
+  const { config, problems } = validateConfig(loadMergedConfig(root));
+  if (problems.length === 0) return config;
+
+  let logged = '';
+  try {
+    logged = fs.readFileSync(logPath, 'utf8');
+  } catch {
+    // No log yet
+  }
+  const fresh = problems.filter(problem => !logged.includes(problem));
+  if (fresh.length === 0) return config;
+  const stamp = new Date().toISOString();
+  const lines = fresh.map(problem => `[${stamp}] config (${path.join(root, CONFIG_FILE)}): ${problem}\n`).join('');
+  try {
+    fs.appendFileSync(logPath, lines);
+  } catch {
+    // No session directory: stderr
+    process.stderr.write(lines);
+  }
+  return config;
+}
+
+/**
+ * The effective config with defaults applied (problems are dropped; see
+ * `node config.js` to list them)
+ * @param {string} [cwd]
+ * @returns {Object}
+ */
+export function resolveConfig(cwd = process.cwd()) {
+  return validateConfig(loadMergedConfig(cwd)).config;
+}
+
+/**
+ * CLI entry point: print the resolved config and any problems
+ * Usage: node config.js [cwd] [--json]
+ * Exit code 1 when the config has problems.
+ */
+// (src/config.js, not validators/config.js)
+if (process.argv[1] && process.argv[1].endsWith(path.join('src', 'config.js'))) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: { json: { type: 'boolean' } }
+    });
+    const { config, problems } = validateConfig(loadMergedConfig(positionals[0] || process.cwd()));
+
+    if (values.json) {
+      console.log(JSON.stringify({ config, problems }, null, 2));
+    } else {
+      console.log(JSON.stringify(config, null, 2));
+      for (const problem of problems) console.error(`Problem: ${problem}`);
+    }
+    process.exit(problems.length > 0 ? 1 : 0);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+export default loadConfig;
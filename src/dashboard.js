@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+
+/**
+ * Execute Dashboard
+ *
+ * Live terminal view of execute.sh workers, redrawn in place. Reads only
+ * files the workers already write, so it can attach to a running execute
+ * or be started before it:
+ *   worker-N.status     stage=ci task=task-004 pr=12 since=... done=1 ...
+ *   worker-N.heartbeat  "HH:MM:SS loop=N task=ID" (only while claude -p runs)
+ *   tasks.md            queue depth (via task-queue.js)
+ *   events.jsonl        run id and the latest events
+ *
+ * deepDir defaults to the execute directory from session.js.
+ *
+ * Usage: node dashboard.js [deepDir] [--interval SECONDS] [--once]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { describeQueue } from './task-queue.js';
+import { readEvents, listRuns } from './events.js';
+import { resolveSession } from './session.js';
+
+const RECENT_EVENTS = 8;
+const HEARTBEAT_STALE_S = 300;
+
+const ANSI = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+  home: '\x1b[H',
+  clearDown: '\x1b[J',
+  clearLine: '\x1b[K',
+  hideCursor: '\x1b[?25l',
+  showCursor: '\x1b[?25h'
+};
+
+const STAGE_COLORS = {
+  starting: 'dim',
+  claiming: 'dim',
+  worktree: 'dim',
+  building: 'blue',
+  pr: 'cyan',
+  ci: 'yellow',
+  'ci-fix': 'magenta',
+  judging: 'cyan',
+  'judge-fix': 'magenta',
+  merging: 'green',
+  stopped: 'dim'
+};
+
+function parseKeyValues(line) {
+  const fields = {};
+  for (const pair of line.trim().split(/\s+/)) {
+    const eq = pair.indexOf('=');
+    if (eq > 0) fields[pair.slice(0, eq)] = pair.slice(eq + 1);
+  }
+  return fields;
+}
+
+function fileAgeSeconds(filePath, now) {
+  try {
+    return Math.round((now - fs.statSync(filePath).mtimeMs) / 1000);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Per-worker state from worker-N.status and worker-N.heartbeat
+ * @param {string} deepDir
+ * @param {number} [now]
+ */
+export function readWorkers(deepDir, now = Date.now()) {
+  let names;
+  try {
+    names = fs.readdirSync(deepDir);
+  } catch {
+    return [];
+  }
+
+  const slots = new Set(
+    names.map(n => n.match(/^worker-(\d+)\.(status|heartbeat)$/)?.[1]).filter(Boolean).map(Number)
+  );
+
+  return [...slots].sort((a, b) => a - b).map(slot => {
+    let status = {};
+    try {
+      status = parseKeyValues(fs.readFileSync(path.join(deepDir, `worker-${slot}.status`), 'utf8'));
+    } catch {
+      // Older execute.sh without status files — heartbeat only
+    }
+
+    const heartbeatPath = path.join(deepDir, `worker-${slot}.heartbeat`);
+    const heartbeatAge = fileAgeSeconds(heartbeatPath, now);
+    let heartbeatTask = null;
+    if (heartbeatAge !== null) {
+      try {
+        heartbeatTask = fs.readFileSync(heartbeatPath, 'utf8').match(/task=(\S+)/)?.[1] || null;
+      } catch {
+        // Removed between stat and read
+      }
+    }
+
+    const [stage, stopReason] = (status.stage || (heartbeatAge !== null ? 'building' : 'unknown')).split(':');
+    const since = Number(status.since);
+    return {
+      slot,
+      stage,
+      stopReason: stopReason || null,
+      task: status.task || heartbeatTask || null,
+      pr: status.pr || null,
+      stageSeconds: Number.isFinite(since) && since > 0 ? Math.max(0, Math.round(now / 1000 - since)) : null,
+      heartbeatAge,
+      loop: Number(status.loop) || null,
+      done: Number(status.done) || 0,
+      failed: Number(status.failed) || 0,
+      blocked: Number(status.blocked) || 0
+    };
+  });
+}
+
+/**
+ * Everything one frame needs
+ * @param {string} deepDir
+ * @param {number} [now]
+ */
+export function collectDashboard(deepDir, now = Date.now()) {
+  const workers = readWorkers(deepDir, now);
+  const queue = { pending: 0, eligible: 0, blocked: 0, claimed: 0, 'in-flight': 0, exhausted: 0 };
+  try {
+    for (const entry of describeQueue(deepDir)) {
+      queue.pending++;
+      queue[entry.status]++;
+    }
+  } catch {
+    // No tasks.md yet
+  }
+
+  const events = readEvents(deepDir);
+  const runs = listRuns(events);
+  const run = runs[runs.length - 1] || null;
+  const runEvents = run ? events.filter(e => e.run === run) : [];
+  const start = runEvents.find(e => e.type === 'run_start') || null;
+
+  return {
+    deepDir,
+    now,
+    run,
+    forge: start?.forge || null,
+    baseBranch: start?.base || null,
+    ended: runEvents.some(e => e.type === 'run_end'),
+    queue,
+    workers,
+    totals: workers.reduce((t, w) => ({
+      done: t.done + w.done,
+      failed: t.failed + w.failed,
+      blocked: t.blocked + w.blocked
+    }), { done: 0, failed: 0, blocked: 0 }),
+    recent: runEvents.slice(-RECENT_EVENTS)
+  };
+}
+
+function formatSeconds(seconds) {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function describeEvent(e) {
+  const time = e.ts ? e.ts.slice(11, 19) : '--:--:--';
+  const who = e.worker ? e.worker.split('-')[0] : '';
+  const detail = [e.task, e.pr && `PR ${e.pr}`, e.result, e.verdict, e.category, e.reason]
+    .filter(Boolean).join(' ');
+  return `${time} ${who.padEnd(3)} ${e.type}${detail ? ` ${detail}` : ''}`;
+}
+
+/**
+ * Render one frame as lines
+ * @param {ReturnType<typeof collectDashboard>} data
+ * @param {Object} [options]
+ * @param {boolean} [options.color]
+ * @param {number} [options.width] Terminal columns (lines are truncated)
+ * @returns {string[]}
+ */
+export function renderDashboard(data, { color = true, width = 120 } = {}) {
+  const paint = (name, text) => (color && ANSI[name] ? `${ANSI[name]}${text}${ANSI.reset}` : text);
+  const clip = (text) => (text.length > width ? text.slice(0, width - 1) + '…' : text);
+  const q = data.queue;
+  const t = data.totals;
+
+  const title = [
+    'DEEP EXECUTE',
+    data.run ? `run ${data.run}` : 'no run yet',
+    `${data.workers.length} workers`,
+    data.forge ? `forge ${data.forge}${data.baseBranch ? ` → ${data.baseBranch}` : ''}` : null,
+    data.ended ? 'finished' : null
+  ].filter(Boolean).join(' · ');
+
+  const lines = [
+    paint('bold', clip(`${title}   ${new Date(data.now).toLocaleTimeString()}`)),
+    clip(`Queue: ${q.pending} pending (${q.eligible} eligible, ${q.claimed} claimed, ${q['in-flight']} in flight, ${q.blocked} blocked, ${q.exhausted} exhausted)`),
+    clip(`Totals: ${paint('green', `${t.done} merged`)} · ${paint('red', `${t.failed} failed`)} · ${paint('yellow', `${t.blocked} blocked`)}`),
+    '',
+    paint('dim', 'W   STAGE        TASK          PR            IN STAGE   HEARTBEAT  LOOP  DONE/FAIL/BLK')
+  ];
+
+  if (data.workers.length === 0) {
+    lines.push(paint('dim', '    no worker status files — is execute.sh running?'));
+  }
+
+  for (const w of data.workers) {
+    const stageLabel = (w.stopReason ? `stopped` : w.stage).padEnd(12);
+    const stalled = w.heartbeatAge !== null && w.heartbeatAge > HEARTBEAT_STALE_S;
+    const heartbeat = w.heartbeatAge === null ? '—' : `${formatSeconds(w.heartbeatAge)} ago`;
+    const row = [
+      String(w.slot).padEnd(3),
+      paint(STAGE_COLORS[w.stage] || 'reset', stageLabel),
+      (w.task || '—').padEnd(13),
+      (w.pr ? `#${w.pr}` : '—').slice(0, 13).padEnd(13),
+      formatSeconds(w.stageSeconds).padEnd(10),
+      (stalled ? paint('red', heartbeat.padEnd(10)) : heartbeat.padEnd(10)),
+      String(w.loop ?? '—').padEnd(5),
+      `${w.done}/${w.failed}/${w.blocked}`,
+      w.stopReason ? paint('dim', ` (${w.stopReason})`) : ''
+    ].join(' ');
+    lines.push(row);
+  }
+
+  if (data.recent.length > 0) {
+    lines.push('', paint('dim', 'Recent events:'));
+    for (const e of data.recent) lines.push(clip(`  ${describeEvent(e)}`));
+  }
+
+  return lines;
+}
+
+function drawFrame(deepDir) {
+  const width = process.stdout.columns || 120;
+  const lines = renderDashboard(collectDashboard(deepDir), { color: true, width });
+  lines.push('', `${ANSI.dim}q to quit${ANSI.reset}`);
+  process.stdout.write(ANSI.home + lines.map(l => l + ANSI.clearLine).join('\n') + '\n' + ANSI.clearDown);
+}
+
+/**
+ * Redraw until q / Ctrl+C
+ * @param {string} deepDir
+ * @param {number} intervalMs
+ */
+export function runDashboard(deepDir, intervalMs) {
+  const restore = () => {
+    process.stdout.write(ANSI.showCursor + '\n');
+    if (process.stdin.isTTY) process.stdin.setRawMode(false);
+  };
+
+  process.stdout.write(ANSI.hideCursor + ANSI.home + ANSI.clearDown);
+  drawFrame(deepDir);
+  const timer = setInterval(() => drawFrame(deepDir), intervalMs);
+
+  const quit = () => {
+    clearInterval(timer);
+    restore();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', quit);
+  process.on('SIGTERM', quit);
+  process.stdout.on('resize', () => drawFrame(deepDir));
+
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.on('data', (key) => {
+      const k = key.toString();
+      if (k === 'q' || k === '\u0003') quit();
+    });
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node dashboard.js [deepDir] [--interval SECONDS] [--once]
+ */
+if (process.argv[1] && process.argv[1].endsWith('dashboard.js')) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        interval: { type: 'string', default: '2' },
+        once: { type: 'boolean' }
+      }
+    });
+    const deepDir = positionals[0] || resolveSession({ migrate: false }).dir;
+
+    if (!fs.existsSync(deepDir)) {
+      console.error(`No such directory: ${deepDir}`);
+      process.exit(1);
+    }
+
+    if (values.once || !process.stdout.isTTY) {
+      const color = Boolean(process.stdout.isTTY);
+      console.log(renderDashboard(collectDashboard(deepDir), { color }).join('\n'));
+    } else {
+      runDashboard(deepDir, Math.max(0.5, Number(values.interval) || 2) * 1000);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * Execute Event Log
+ *
+ * execute.sh appends one JSON object per line to .deep/events.jsonl:
+ *   {"ts":"...","run":"20260120-150000-1234","type":"claim","worker":"w1-...","task":"task-001"}
+ *
+ * Each event is a single appendFileSync, which is atomic for lines this
+ * small, so concurrent workers never interleave. The reader replays the
+ * file into per-run summaries for auditing overnight runs.
+ *
+ * Event types:
+ *   run_start, run_end, worker_start, worker_stop, claim, task_complete,
+ *   task_failed (every failures.md row), task_released, pr_created,
+ *   ci_result, judge_verdict, merge, revive, resume (a task picked up
+ *   mid-pipeline from an earlier run, see inflight.js)
+ *
+ * Usage: node events.js <command> <deepDir> [args]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+
+export const EVENTS_FILE = 'events.jsonl';
+
+export function eventsPath(deepDir) {
+  return path.join(deepDir, EVENTS_FILE);
+}
+
+/**
+ * Append one event
+ * @param {string} deepDir
+ * @param {string} type
+ * @param {Object} [fields] Extra fields (run, worker, task, pr, ...)
+ * @returns {Object} The event written
+ */
+export function appendEvent(deepDir, type, fields = {}) {
+  const event = { ts: new Date().toISOString(), type, ...fields };
+  fs.appendFileSync(eventsPath(deepDir), JSON.stringify(event) + '\n');
+  return event;
+}
+
+/**
+ * Read all events, skipping malformed lines (e.g. a write cut off by a crash)
+ * @param {string} deepDir
+ * @returns {Object[]}
+ */
+export function readEvents(deepDir) {
+  let content;
+  try {
+    content = fs.readFileSync(eventsPath(deepDir), 'utf8');
+  } catch {
+    return [];
+  }
+
+  const events = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Partial line — ignore
+    }
+  }
+  return events;
+}
+
+/**
+ * Run ids in order of first appearance
+ * @param {Object[]} events
+ * @returns {string[]}
+ */
+export function listRuns(events) {
+  return [...new Set(events.map(e => e.run).filter(Boolean))];
+}
+
+function emptyTaskRecord(id) {
+  return { id, worker: null, title: null, pr: null, outcome: null, ciFailures: 0, judge: [], category: null };
+}
+
+/**
+ * Replay a run's events into a summary
+ * @param {Object[]} events All events (filtered to runId when given)
+ * @param {string} [runId]
+ */
+export function summarizeRun(events, runId) {
+  const runEvents = runId ? events.filter(e => e.run === runId) : events;
+  const start = runEvents.find(e => e.type === 'run_start');
+  const end = [...runEvents].reverse().find(e => e.type === 'run_end');
+  const tasks = new Map();
+  const workers = new Map();
+  const counts = {
+    claimed: 0, completed: 0, failed: 0, released: 0, prs: 0,
+    ciPassed: 0, ciFailed: 0, ciTimeout: 0, merged: 0, mergeFailed: 0, revives: 0, resumed: 0
+  };
+  const judge = { approved: 0, needs_work: 0, rejected: 0 };
+
+  const taskRecord = (id) => {
+    if (!tasks.has(id)) tasks.set(id, emptyTaskRecord(id));
+    return tasks.get(id);
+  };
+  const workerRecord = (id) => {
+    if (!workers.has(id)) workers.set(id, { id, slot: null, claimed: 0, merged: 0, failed: 0, stopped: null });
+    return workers.get(id);
+  };
+
+  for (const e of runEvents) {
+    const task = e.task ? taskRecord(e.task) : null;
+    const worker = e.worker ? workerRecord(e.worker) : null;
+
+    switch (e.type) {
+      case 'worker_start':
+        if (worker) worker.slot = e.slot ?? null;
+        break;
+      case 'worker_stop':
+        if (worker) worker.stopped = e.reason || 'done';
+        break;
+      case 'claim':
+        counts.claimed++;
+        if (worker) worker.claimed++;
+        if (task) task.worker = e.worker || null;
+        break;
+      case 'task_complete':
+        counts.completed++;
+        if (task) {
+          task.title = e.title || task.title;
+          task.outcome = 'implemented';
+        }
+        break;
+      case 'task_failed':
+        counts.failed++;
+        if (worker) worker.failed++;
+        if (task) {
+          // A failed merge is logged as a failure but the PR stays open
+          if (task.outcome !== 'blocked') task.outcome = 'failed';
+          task.category = e.category || null;
+        }
+        break;
+      case 'task_released':
+        counts.released++;
+        if (task) task.outcome = 'released';
+        break;
+      case 'pr_created':
+        counts.prs++;
+        if (task) task.pr = e.pr;
+        break;
+      case 'ci_result':
+        if (e.result === 'pass') counts.ciPassed++;
+        else if (e.result === 'timeout') counts.ciTimeout++;
+        else { counts.ciFailed++; if (task) task.ciFailures++; }
+        break;
+      case 'judge_verdict':
+        if (e.verdict in judge) judge[e.verdict]++;
+        if (task) task.judge.push(e.verdict);
+        break;
+      case 'merge':
+        if (e.result === 'merged') {
+          counts.merged++;
+          if (worker) worker.merged++;
+          if (task) task.outcome = 'merged';
+        } else {
+          counts.mergeFailed++;
+          if (task) task.outcome = 'blocked';
+        }
+        break;
+      case 'revive':
+        counts.revives++;
+        break;
+      case 'resume':
+        counts.resumed++;
+        if (task) {
+          task.worker = e.worker || null;
+          task.pr = e.pr || task.pr;
+          task.outcome = null;
+        }
+        break;
+    }
+  }
+
+  const startedAt = start?.ts || runEvents[0]?.ts || null;
+  const endedAt = end?.ts || null;
+
+  return {
+    run: runId || start?.run || null,
+    startedAt,
+    endedAt,
+    durationMs: startedAt && endedAt ? new Date(endedAt) - new Date(startedAt) : null,
+    interrupted: (Boolean(start) && !end) || end?.result === 'interrupted',
+    workers: start?.workers ?? workers.size,
+    forge: start?.forge || null,
+    baseBranch: start?.base || null,
+    counts,
+    judge,
+    workerStats: [...workers.values()],
+    tasks: [...tasks.values()]
+  };
+}
+
+function formatDuration(ms) {
+  if (ms === null) return 'unknown';
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}m ${seconds}s`;
+}
+
+/**
+ * Human-readable summary
+ * @param {ReturnType<typeof summarizeRun>} summary
+ * @returns {string}
+ */
+export function formatSummary(summary) {
+  const { counts, judge } = summary;
+  const lines = [
+    `=== Run ${summary.run || '(unknown)'} ===`,
+    `Started: ${summary.startedAt || 'unknown'}`,
+    `Ended: ${summary.endedAt ? `${summary.endedAt}${summary.interrupted ? ' (interrupted)' : ''}` : 'never (interrupted or still running)'}`,
+    `Duration: ${formatDuration(summary.durationMs)}`,
+    `Workers: ${summary.workers}${summary.forge ? ` | Forge: ${summary.forge}` : ''}${summary.baseBranch ? ` | Base: ${summary.baseBranch}` : ''}`,
+    '',
+    `Claimed: ${counts.claimed} | Implemented: ${counts.completed} | Failed: ${counts.failed} | Released: ${counts.released}`,
+    `PRs: ${counts.prs} | CI pass/fail/timeout: ${counts.ciPassed}/${counts.ciFailed}/${counts.ciTimeout}`,
+    `Judge approved/needs-work/rejected: ${judge.approved}/${judge.needs_work}/${judge.rejected}`,
+    `Merged: ${counts.merged} | Merge failed: ${counts.mergeFailed} | Revives: ${counts.revives} | Resumed: ${counts.resumed}`
+  ];
+
+  if (summary.tasks.length > 0) {
+    lines.push('', 'Tasks:');
+    for (const t of summary.tasks) {
+      const details = [
+        t.worker,
+        t.pr ? `PR ${t.pr}` : null,
+        t.ciFailures ? `${t.ciFailures} CI failure(s)` : null,
+        t.judge.length ? `judge: ${t.judge.join(' → ')}` : null,
+        t.category
+      ].filter(Boolean).join(', ');
+      lines.push(`  ${t.id}: ${t.outcome || 'in progress'}${details ? ` (${details})` : ''}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: events.js <command> <deepDir> [args]
+
+Commands:
+  emit <deepDir> <type> [key=value]...  Append an event
+  summary <deepDir> [--run ID] [--all] [--json]
+                                        Summarize the latest (or given) run
+  runs <deepDir>                        List run ids`;
+
+// Integers stay numbers so summaries can do arithmetic
+function parseFieldValue(value) {
+  return /^-?\d+$/.test(value) && value.length < 16 ? Number(value) : value;
+}
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean' },
+      run: { type: 'string' },
+      all: { type: 'boolean' }
+    }
+  });
+
+  const [command, deepDir, ...rest] = positionals;
+  if (!command || !deepDir) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  switch (command) {
+    case 'emit': {
+      const [type, ...pairs] = rest;
+      if (!type) {
+        console.error('emit requires an event type');
+        return 1;
+      }
+      const fields = {};
+      for (const pair of pairs) {
+        const eq = pair.indexOf('=');
+        if (eq <= 0) continue;
+        const value = pair.slice(eq + 1);
+        if (value !== '') fields[pair.slice(0, eq)] = parseFieldValue(value);
+      }
+      appendEvent(deepDir, type, fields);
+      return 0;
+    }
+
+    case 'summary': {
+      const events = readEvents(deepDir);
+      const runs = listRuns(events);
+      const selected = values.all ? runs : [values.run || runs[runs.length - 1]].filter(Boolean);
+      if (selected.length === 0) {
+        console.error(`No events in ${eventsPath(deepDir)}`);
+        return 1;
+      }
+      const summaries = selected.map(run => summarizeRun(events, run));
+      if (values.json) {
+        console.log(JSON.stringify(values.all ? summaries : summaries[0], null, 2));
+      } else {
+        console.log(summaries.map(formatSummary).join('\n\n'));
+      }
+      return 0;
+    }
+
+    case 'runs':
+      for (const run of listRuns(readEvents(deepDir))) console.log(run);
+      return 0;
+
+    default:
+      console.error(USAGE);
+      return 1;
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node events.js <command> <deepDir> [args]
+ */
+if (process.argv[1] && process.argv[1].endsWith('events.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * File Lock
+ *
+ * Cross-process mutual exclusion for shared .deep files. A lock is a file
+ * created with O_EXCL ('wx'), so exactly one process can hold it. Writes
+ * made under the lock go through a temp file + rename, so readers never
+ * see a half-written file.
+ *
+ * Locks older than staleMs (or whose owning PID is gone) are broken, which
+ * covers workers killed mid-update. Breakers take a short-lived <lock>.break
+ * guard and only remove the lock if it is still the exact file (inode and
+ * contents) they judged stale, so a lock taken in the meantime survives.
+ * acquireLock returns a token that releaseLock checks under the same guard,
+ * so a holder that outlived staleMs cannot delete the next holder's lock.
+ *
+ * Shell callers use the CLI and record their own PID as the owner, since
+ * the node process exits as soon as the lock is taken.
+ *
+ * Usage: node file-lock.js <acquire|release> <lockPath> [options]
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { parseArgs } from 'util';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_MS = 25;
+
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(sleepBuffer, 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function readLockFile(lockPath) {
+  try {
+    const { ino, mtimeMs } = fs.statSync(lockPath);
+    return { ino, mtimeMs, content: fs.readFileSync(lockPath, 'utf8') };
+  } catch {
+    return null;
+  }
+}
+
+function sameLockFile(a, b) {
+  return Boolean(a && b) && a.ino === b.ino && a.content === b.content;
+}
+
+function lockToken(lock) {
+  try {
+    return JSON.parse(lock.content).token;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Take the <lock>.break guard; clears a guard left by a dead breaker
+ * @returns {boolean} Whether the guard is now held
+ */
+function takeBreakGuard(lockPath, staleMs) {
+  const guard = `${lockPath}.break`;
+  try {
+    fs.writeFileSync(guard, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    // The guard is held for a stat and an unlink; an old one means its breaker died
+    const held = readLockFile(guard);
+    if (held && Date.now() - held.mtimeMs > staleMs) fs.rmSync(guard, { force: true });
+    return false;
+  }
+}
+
+/**
+ * The lock as judged stale, or null when it is live (or gone)
+ * @param {string} lockPath
+ * @param {number} [staleMs]
+ * @returns {{ino: number, mtimeMs: number, content: string}|null}
+ */
+export function staleLock(lockPath, staleMs = DEFAULT_STALE_MS) {
+  const lock = readLockFile(lockPath);
+  if (!lock) return null;
+  if (Date.now() - lock.mtimeMs > staleMs) return lock;
+
+  try {
+    const owner = JSON.parse(lock.content);
+    const dead = owner.host === os.hostname() && Number.isInteger(owner.pid) && !isProcessAlive(owner.pid);
+    return dead ? lock : null;
+  } catch {
+    // Mid-write - not stale, just retry
+    return null;
+  }
+}
+
+/**
+ * Remove a stale lock unless it was replaced since it was judged stale
+ * @param {string} lockPath
+ * @param {Object} judged What staleLock returned
+ * @param {number} [staleMs]
+ */
+export function breakStaleLock(lockPath, judged, staleMs = DEFAULT_STALE_MS) {
+  if (!takeBreakGuard(lockPath, staleMs)) return;
+
+  try {
+    if (sameLockFile(readLockFile(lockPath), judged)) fs.unlinkSync(lockPath);
+  } finally {
+    fs.rmSync(`${lockPath}.break`, { force: true });
+  }
+}
+
+/**
+ * Acquire a lockfile, waiting up to timeoutMs
+ * @param {string} lockPath
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.staleMs]
+ * @param {number} [options.pid] Owner recorded in the lock (defaults to this process)
+ * @returns {string} Token to pass to releaseLock
+ * @throws {Error} When the lock cannot be acquired in time
+ */
+export function acquireLock(lockPath, { timeoutMs = DEFAULT_TIMEOUT_MS, staleMs = DEFAULT_STALE_MS, pid = process.pid } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  const token = randomUUID();
+  const owner = JSON.stringify({ pid, host: os.hostname(), acquiredAt: new Date().toISOString(), token });
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, owner, { flag: 'wx' });
+      return token;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    const stale = staleLock(lockPath, staleMs);
+    if (stale) {
+      breakStaleLock(lockPath, stale, staleMs);
+      if (!fs.existsSync(lockPath)) continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock: ${lockPath}`);
+    }
+    sleepSync(RETRY_MS);
+  }
+}
+
+/**
+ * Release a lock, unless it was broken and has a new holder
+ * @param {string} lockPath
+ * @param {string} token What acquireLock returned
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] How long to wait for a breaker to finish
+ * @param {number} [options.staleMs]
+ * @returns {boolean} Whether the lock was still ours
+ */
+export function releaseLock(lockPath, token, { timeoutMs = DEFAULT_TIMEOUT_MS, staleMs = DEFAULT_STALE_MS } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!takeBreakGuard(lockPath, staleMs)) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock guard: ${lockPath}.break`);
+    }
+    sleepSync(RETRY_MS);
+  }
+
+  try {
+    const lock = readLockFile(lockPath);
+    if (!lock || lockToken(lock) !== token) return false;
+    fs.unlinkSync(lockPath);
+    return true;
+  } finally {
+    fs.rmSync(`${lockPath}.break`, { force: true });
+  }
+}
+
+/**
+ * Run fn while holding the lock
+ * @template T
+ * @param {string} lockPath
+ * @param {() => T} fn
+ * @param {Object} [options] See acquireLock
+ * @returns {T}
+ */
+export function withLock(lockPath, fn, options) {
+  const token = acquireLock(lockPath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath, token, options);
+  }
+}
+
+/**
+ * Write a file via temp file + rename (atomic on the same filesystem)
+ * @param {string} filePath
+ * @param {string} data
+ */
+export function writeFileAtomic(filePath, data) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, filePath);
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: file-lock.js <command> <lockPath> [options]
+
+Commands:
+  acquire <lockPath> [--pid N] [--timeout ms] [--stale ms]
+                                          Take the lock for PID N (default: this
+                                          process), print its token
+  release <lockPath> --token T [--stale ms]
+                                          Release the lock if it still holds T
+                                          (exit 3 if it was broken and retaken)`;
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      pid: { type: 'string' },
+      timeout: { type: 'string' },
+      stale: { type: 'string' },
+      token: { type: 'string' }
+    }
+  });
+
+  const [command, lockPath] = positionals;
+  if (!command || !lockPath) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const options = {};
+  if (values.timeout) options.timeoutMs = Number(values.timeout);
+  if (values.stale) options.staleMs = Number(values.stale);
+
+  switch (command) {
+    case 'acquire':
+      if (values.pid) options.pid = Number(values.pid);
+      console.log(acquireLock(lockPath, options));
+      return 0;
+
+    case 'release':
+      if (!values.token) {
+        console.error('release requires --token');
+        return 1;
+      }
+      return releaseLock(lockPath, values.token, options) ? 0 : 3;
+
+    default:
+      console.error(`Unknown command: ${command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node file-lock.js <acquire|release> <lockPath> [options]
+ */
+if (process.argv[1] && process.argv[1].endsWith('file-lock.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
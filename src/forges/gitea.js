@@ -0,0 +1,147 @@
+/**
+ * Gitea forge — pull requests via the tea CLI, CI via commit statuses
+ *
+ * Commit statuses and diffs come from the REST API. GITEA_URL defaults to
+ * the origin host; set GITEA_TOKEN for private repos.
+ */
+
+import { remoteGitFunctions } from './remote.js';
+
+export default {
+  name: 'gitea',
+  description: 'Gitea / Forgejo (tea CLI)',
+  baseRef: 'origin/$BASE_BRANCH',
+
+  functions() {
+    return `${remoteGitFunctions('Gitea')}
+
+forge_preflight() {
+  if ! command -v tea &> /dev/null; then
+    echo "Error: Gitea CLI (tea) not found — required for PR/CI pipeline"
+    return 1
+  fi
+
+  if ! tea login list 2>/dev/null | grep -q "http"; then
+    echo "Error: Gitea CLI not logged in. Run: tea login add"
+    return 1
+  fi
+
+  forge_require_origin
+}
+
+# owner/repo from the origin URL (https or scp-style ssh)
+gitea_repo_slug() {
+  git -C "$CWD" remote get-url origin 2>/dev/null \\
+    | sed -E -e 's#\\.git\$##' -e 's#^[a-z+]+://[^/]+/##' -e 's#^[^@]+@[^:]+:##'
+}
+
+# Args: API_PATH (relative to /api/v1/repos/{owner}/{repo})
+gitea_api() {
+  local BASE="\${GITEA_URL:-https://\$(git -C "$CWD" remote get-url origin 2>/dev/null | sed -E 's#^[a-z+]+://##; s#^[^@]+@##; s#[:/].*\$##')}"
+  local AUTH=()
+  [[ -n "\${GITEA_TOKEN:-}" ]] && AUTH=(-H "Authorization: token \$GITEA_TOKEN")
+  curl -sf "\${AUTH[@]}" "\$BASE/api/v1/repos/\$(gitea_repo_slug)\$1"
+}
+
+# Head commit SHA of a PR (head follows base in the PR JSON)
+# Args: PR_NUM
+gitea_pr_head_sha() {
+  gitea_api "/pulls/\$1" 2>/dev/null | grep -oE '"sha":"[0-9a-f]{40}"' | tail -1 | cut -d'"' -f4
+}
+
+# Create a PR from a branch
+# Args: BRANCH, TASK_ID, TITLE
+# Sets: PR_NUM
+create_pr() {
+  local BRANCH="\$1"
+  local TASK_ID="\$2"
+  local TITLE="\$3"
+
+  push_branch "\$BRANCH" || return 1
+
+  PR_NUM=\$(cd "$CWD" && tea pulls create \\
+    --base "\$BASE_BRANCH" \\
+    --head "\$BRANCH" \\
+    --title "[deep] \$TITLE" \\
+    --description "Automated by deep-execute worker.
+
+Task: \$TASK_ID
+Branch: \$BRANCH
+
+---
+*Auto-generated by deep-execute worktree pipeline*" 2>/dev/null | grep -oE 'pulls/[0-9]+' | tail -1 | cut -d/ -f2)
+
+  [[ -n "\$PR_NUM" ]] && return 0 || return 1
+}
+
+# Wait for the combined commit status of the PR head
+# Args: PR_NUM
+# Returns: 0 = pass, 1 = fail, 2 = timeout
+wait_for_ci() {
+  local PR="\$1"
+  local ELAPSED=0
+
+  while [[ \$ELAPSED -lt \$CI_POLL_TIMEOUT ]]; do
+    [[ -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" ]] && return 2
+    # Or the task's time budget is spent (see fail_if_task_timed_out)
+    task_deadline_passed && return 2
+
+    sleep \$CI_POLL_INTERVAL
+    ELAPSED=\$((ELAPSED + CI_POLL_INTERVAL))
+
+    local SHA=\$(gitea_pr_head_sha "\$PR")
+    [[ -z "\$SHA" ]] && continue
+
+    local COMBINED=\$(gitea_api "/commits/\$SHA/status" 2>/dev/null)
+    # No statuses reported yet — keep waiting
+    echo "\$COMBINED" | grep -q '"total_count":0' && continue
+
+    case "\$(echo "\$COMBINED" | grep -oE '"state":"[a-z]+"' | head -1 | cut -d'"' -f4)" in
+      success) return 0 ;;
+      failure|error) return 1 ;;
+      *) ;;
+    esac
+  done
+
+  return 2  # timeout
+}
+
+# Gitea exposes no job logs over the API; report failing statuses instead
+# Args: PR_NUM
+get_ci_failure_output() {
+  local SHA=\$(gitea_pr_head_sha "\$1")
+  local STATUSES=""
+  [[ -n "\$SHA" ]] && STATUSES=\$(gitea_api "/commits/\$SHA/statuses" 2>/dev/null \\
+    | grep -oE '"(context|status|description|target_url)":"[^"]*"' | paste -d' ' - - - -)
+
+  if [[ -n "\$STATUSES" ]]; then
+    echo "\$STATUSES" | grep -E 'failure|error' | tail -20
+    echo "Open the target_url above for full logs."
+  else
+    echo "Could not retrieve CI failure logs"
+  fi
+}
+
+# Args: PR_NUM
+pr_diff() {
+  gitea_api "/pulls/\$1.diff" 2>/dev/null
+}
+
+# Squash-merge a PR and delete its branch
+# Args: PR_NUM
+# Returns: 0 = merged, 1 = failed (conflict or other)
+merge_pr() {
+  local BRANCH=\$(gitea_api "/pulls/\$1" 2>/dev/null | grep -oE '"ref":"[^"]+"' | tail -1 | cut -d'"' -f4)
+  (cd "$CWD" && tea pulls merge --style squash "\$1" >/dev/null 2>&1) || return 1
+  [[ -n "\$BRANCH" ]] && git -C "$CWD" push origin --delete "\$BRANCH" 2>/dev/null || true
+  return 0
+}
+
+# Args: PR_NUM, COMMENT
+close_pr() {
+  local BRANCH=\$(gitea_api "/pulls/\$1" 2>/dev/null | grep -oE '"ref":"[^"]+"' | tail -1 | cut -d'"' -f4)
+  (cd "$CWD" && tea comment "\$1" "\$2" && tea pulls close "\$1") >/dev/null 2>&1 || true
+  [[ -n "\$BRANCH" ]] && git -C "$CWD" push origin --delete "\$BRANCH" 2>/dev/null || true
+}`;
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * GitHub forge — PRs, checks and merges via the gh CLI
+ */
+
+import { remoteGitFunctions } from './remote.js';
+
+export default {
+  name: 'github',
+  description: 'GitHub (gh CLI)',
+  baseRef: 'origin/$BASE_BRANCH',
+
+  functions() {
+    return `${remoteGitFunctions('GitHub')}
+
+forge_preflight() {
+  if ! command -v gh &> /dev/null; then
+    echo "Error: GitHub CLI (gh) not found — required for PR/CI pipeline"
+    return 1
+  fi
+
+  # Verify gh auth
+  if ! gh auth status &>/dev/null; then
+    echo "Error: GitHub CLI not authenticated. Run: gh auth login"
+    return 1
+  fi
+
+  forge_require_origin
+}
+
+# Create a PR from a branch
+# Args: BRANCH, TASK_ID, TITLE
+# Sets: PR_NUM
+create_pr() {
+  local BRANCH="\$1"
+  local TASK_ID="\$2"
+  local TITLE="\$3"
+
+  push_branch "\$BRANCH" || return 1
+
+  PR_NUM=\$(cd "$CWD" && gh pr create \\
+    --base "\$BASE_BRANCH" \\
+    --head "\$BRANCH" \\
+    --title "[deep] \$TITLE" \\
+    --body "Automated by deep-execute worker.
+
+Task: \$TASK_ID
+Branch: \$BRANCH
+
+---
+*Auto-generated by deep-execute worktree pipeline*" 2>/dev/null | grep -oE '[0-9]+$')
+
+  [[ -n "\$PR_NUM" ]] && return 0 || return 1
+}
+
+# Wait for CI checks to complete
+# Args: PR_NUM
+# Returns: 0 = pass, 1 = fail, 2 = timeout
+wait_for_ci() {
+  local PR="\$1"
+  local ELAPSED=0
+
+  while [[ \$ELAPSED -lt \$CI_POLL_TIMEOUT ]]; do
+    # Check force exit
+    [[ -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" ]] && return 2
+    # Or the task's time budget is spent (see fail_if_task_timed_out)
+    task_deadline_passed && return 2
+
+    sleep \$CI_POLL_INTERVAL
+    ELAPSED=\$((ELAPSED + CI_POLL_INTERVAL))
+
+    # Get check status
+    local STATUS=\$(cd "$CWD" && gh pr checks "\$PR" 2>/dev/null)
+
+    if echo "\$STATUS" | grep -qi "fail\\|error"; then
+      return 1
+    fi
+
+    # All checks pass if no pending/queued and at least one pass
+    if echo "\$STATUS" | grep -qi "pass\\|success"; then
+      if ! echo "\$STATUS" | grep -qi "pending\\|queued\\|in_progress"; then
+        return 0
+      fi
+    fi
+
+    # No checks at all yet — keep waiting
+  done
+
+  return 2  # timeout
+}
+
+# Get CI failure output for debugging
+# Args: PR_NUM
+get_ci_failure_output() {
+  local PR="\$1"
+
+  # Get the failed run ID
+  local RUN_ID=\$(cd "$CWD" && gh run list --branch "\$(gh pr view "\$PR" --json headRefName -q .headRefName 2>/dev/null)" \\
+    --status failure --limit 1 --json databaseId -q '.[0].databaseId' 2>/dev/null)
+
+  if [[ -n "\$RUN_ID" ]]; then
+    (cd "$CWD" && gh run view "\$RUN_ID" --log-failed 2>/dev/null | tail -100)
+  else
+    echo "Could not retrieve CI failure logs"
+  fi
+}
+
+# Args: PR_NUM
+pr_diff() {
+  (cd "$CWD" && gh pr diff "\$1" 2>/dev/null)
+}
+
+# Merge a PR with squash
+# Args: PR_NUM
+# Returns: 0 = merged, 1 = failed (conflict or other)
+merge_pr() {
+  (cd "$CWD" && gh pr merge "\$1" --squash --delete-branch 2>/dev/null)
+}
+
+# Args: PR_NUM, COMMENT
+close_pr() {
+  (cd "$CWD" && gh pr close "\$1" --comment "\$2" --delete-branch) 2>/dev/null || true
+}`;
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * GitLab forge — merge requests and pipelines via the glab CLI
+ *
+ * PR_NUM is the merge request IID. Pipeline state comes from the REST API
+ * (glab api) so it does not depend on glab's human-readable output.
+ */
+
+import { remoteGitFunctions } from './remote.js';
+
+export default {
+  name: 'gitlab',
+  description: 'GitLab (glab CLI)',
+  baseRef: 'origin/$BASE_BRANCH',
+
+  functions() {
+    return `${remoteGitFunctions('GitLab')}
+
+forge_preflight() {
+  if ! command -v glab &> /dev/null; then
+    echo "Error: GitLab CLI (glab) not found — required for MR/pipeline pipeline"
+    return 1
+  fi
+
+  if ! glab auth status &>/dev/null; then
+    echo "Error: GitLab CLI not authenticated. Run: glab auth login"
+    return 1
+  fi
+
+  forge_require_origin
+}
+
+# Latest pipeline JSON field for an MR
+# Args: MR_IID, FIELD (status|id)
+gitlab_mr_pipeline_field() {
+  (cd "$CWD" && glab api "projects/:id/merge_requests/\$1/pipelines" 2>/dev/null) \\
+    | grep -oE "\\"\$2\\":(\\"[a-z_]+\\"|[0-9]+)" | head -1 | cut -d: -f2 | tr -d '"'
+}
+
+# Create a merge request from a branch
+# Args: BRANCH, TASK_ID, TITLE
+# Sets: PR_NUM (MR IID)
+create_pr() {
+  local BRANCH="\$1"
+  local TASK_ID="\$2"
+  local TITLE="\$3"
+
+  push_branch "\$BRANCH" || return 1
+
+  PR_NUM=\$(cd "$CWD" && glab mr create \\
+    --target-branch "\$BASE_BRANCH" \\
+    --source-branch "\$BRANCH" \\
+    --title "[deep] \$TITLE" \\
+    --description "Automated by deep-execute worker.
+
+Task: \$TASK_ID
+Branch: \$BRANCH
+
+---
+*Auto-generated by deep-execute worktree pipeline*" \\
+    --yes 2>/dev/null | grep -oE 'merge_requests/[0-9]+' | tail -1 | cut -d/ -f2)
+
+  [[ -n "\$PR_NUM" ]] && return 0 || return 1
+}
+
+# Wait for the MR pipeline to complete
+# Args: MR_IID
+# Returns: 0 = pass, 1 = fail, 2 = timeout
+wait_for_ci() {
+  local PR="\$1"
+  local ELAPSED=0
+
+  while [[ \$ELAPSED -lt \$CI_POLL_TIMEOUT ]]; do
+    [[ -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" ]] && return 2
+    # Or the task's time budget is spent (see fail_if_task_timed_out)
+    task_deadline_passed && return 2
+
+    sleep \$CI_POLL_INTERVAL
+    ELAPSED=\$((ELAPSED + CI_POLL_INTERVAL))
+
+    case "\$(gitlab_mr_pipeline_field "\$PR" status)" in
+      success) return 0 ;;
+      failed|canceled) return 1 ;;
+      *) ;;  # created/pending/running or no pipeline yet — keep waiting
+    esac
+  done
+
+  return 2  # timeout
+}
+
+# Get the trace of the first failed job in the latest MR pipeline
+# Args: MR_IID
+get_ci_failure_output() {
+  local PR="\$1"
+  local PIPELINE_ID=\$(gitlab_mr_pipeline_field "\$PR" id)
+  local JOB_ID=""
+
+  if [[ -n "\$PIPELINE_ID" ]]; then
+    JOB_ID=\$(cd "$CWD" && glab api "projects/:id/pipelines/\$PIPELINE_ID/jobs?scope[]=failed" 2>/dev/null \\
+      | grep -oE '"id":[0-9]+' | head -1 | cut -d: -f2)
+  fi
+
+  if [[ -n "\$JOB_ID" ]]; then
+    (cd "$CWD" && glab api "projects/:id/jobs/\$JOB_ID/trace" 2>/dev/null | tail -100)
+  else
+    echo "Could not retrieve CI failure logs"
+  fi
+}
+
+# Args: MR_IID
+pr_diff() {
+  (cd "$CWD" && glab mr diff "\$1" --raw 2>/dev/null)
+}
+
+# Squash-merge an MR
+# Args: MR_IID
+# Returns: 0 = merged, 1 = failed (conflict or other)
+merge_pr() {
+  (cd "$CWD" && glab mr merge "\$1" --squash --remove-source-branch --yes 2>/dev/null)
+}
+
+# Args: MR_IID, COMMENT
+close_pr() {
+  local BRANCH=\$(cd "$CWD" && glab api "projects/:id/merge_requests/\$1" 2>/dev/null \\
+    | grep -oE '"source_branch":"[^"]+"' | cut -d'"' -f4)
+  (cd "$CWD" && glab mr note "\$1" --message "\$2" && glab mr close "\$1") >/dev/null 2>&1 || true
+  [[ -n "\$BRANCH" ]] && git -C "$CWD" push origin --delete "\$BRANCH" 2>/dev/null || true
+}`;
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * Forge Registry
+ *
+ * A forge is the hosting backend behind execute.sh's PR/CI/merge pipeline.
+ * Each forge module contributes the same set of bash functions, so the
+ * worker loop never calls gh/glab/tea directly:
+ *
+ *   forge_preflight                 0 = tools/auth/remote OK, else prints why
+ *   forge_sync_base                 Make $FORGE_BASE_REF current (fetch)
+ *   push_branch BRANCH              Publish a branch (no-op for local)
+ *   create_pr BRANCH TASK_ID TITLE  Open a PR/MR, sets PR_NUM
+ *   wait_for_ci PR                  0 = pass, 1 = fail, 2 = timeout
+ *   get_ci_failure_output PR        Failure log tail for the CI fixer
+ *   pr_diff PR                      Unified diff of the PR
+ *   merge_pr PR                     0 = merged, 1 = failed (conflict or other)
+ *   close_pr PR COMMENT             Close without merging, delete the branch
+ *
+ * Forges also declare baseRef, the ref new worktrees branch from, written
+ * into the script as FORGE_BASE_REF. Functions target $BASE_BRANCH.
+ */
+
+import { execFileSync } from 'child_process';
+import github from './github.js';
+import gitlab from './gitlab.js';
+import gitea from './gitea.js';
+import local from './local.js';
+import { resolveConfig } from '../config.js';
+
+const FORGES = { github, gitlab, gitea, local };
+
+export const FORGE_NAMES = Object.keys(FORGES);
+
+/**
+ * Look up a forge by name
+ * @param {string} name
+ * @returns {{name: string, description: string, baseRef: string, functions: () => string}}
+ * @throws {Error} On unknown forge names
+ */
+export function getForge(name) {
+  const forge = FORGES[name];
+  if (!forge) {
+    throw new Error(`Unknown forge "${name}" (expected one of: ${FORGE_NAMES.join(', ')})`);
+  }
+  return forge;
+}
+
+/**
+ * Pick a forge from the origin remote URL
+ * No origin → local; unrecognised hosts default to github (previous behavior).
+ * @param {string} cwd
+ * @returns {string} Forge name
+ */
+export function detectForge(cwd) {
+  let url;
+  try {
+    url = execFileSync('git', ['-C', cwd, 'remote', 'get-url', 'origin'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return 'local';
+  }
+
+  if (/gitlab/i.test(url)) return 'gitlab';
+  if (/gitea|codeberg|forgejo/i.test(url)) return 'gitea';
+  return 'github';
+}
+
+/**
+ * Resolve the forge to use: explicit option > DEEP_FORGE env > project
+ * config "forge" > origin URL
+ * @param {string} cwd
+ * @param {string} [name]
+ */
+export function resolveForge(cwd, name) {
+  return getForge(name || process.env.DEEP_FORGE || resolveConfig(cwd).forge || detectForge(cwd));
+}
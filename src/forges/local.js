@@ -0,0 +1,160 @@
+/**
+ * Local forge — no hosting service
+ *
+ * A "PR" is just the task branch (PR_NUM is the branch name). "CI" is the
+ * project's test command run inside the branch's worktree, and merging
+ * rebases the branch onto the local base branch and fast-forwards it.
+ *
+ * Test command: DEEP_TEST_CMD, else detected from the project files.
+ */
+
+export default {
+  name: 'local',
+  description: 'Local only (test command as CI, fast-forward merge)',
+  baseRef: '$BASE_BRANCH',
+
+  functions() {
+    return `forge_preflight() {
+  if ! git -C "$CWD" rev-parse --verify --quiet "\$BASE_BRANCH" >/dev/null; then
+    echo "Error: local forge needs a '\$BASE_BRANCH' branch in $CWD"
+    return 1
+  fi
+}
+
+# Nothing to fetch — worktrees branch from the local base branch
+forge_sync_base() {
+  return 0
+}
+
+# Nothing to publish — worktree branches live in the main repo
+push_branch() {
+  return 0
+}
+
+# Worktree directory that has a branch checked out
+# Args: BRANCH
+local_branch_worktree() {
+  git -C "$CWD" worktree list --porcelain 2>/dev/null | awk -v ref="refs/heads/\$1" '
+    /^worktree / { wt = substr(\$0, 10) }
+    /^branch / && \$2 == ref { print wt; exit }'
+}
+
+# Project test command: DEEP_TEST_CMD or detected from project files
+# Args: DIR
+local_test_command() {
+  local DIR="\$1"
+  if [[ -n "\${DEEP_TEST_CMD:-}" ]]; then
+    echo "\$DEEP_TEST_CMD"
+  elif [[ -f "\$DIR/package.json" ]] && grep -q '"test"[[:space:]]*:' "\$DIR/package.json"; then
+    echo "npm test"
+  elif [[ -f "\$DIR/pyproject.toml" || -f "\$DIR/pytest.ini" || -d "\$DIR/tests" && -n "\$(ls "\$DIR"/tests/test_*.py 2>/dev/null)" ]]; then
+    echo "pytest"
+  elif [[ -f "\$DIR/Cargo.toml" ]]; then
+    echo "cargo test"
+  elif [[ -f "\$DIR/go.mod" ]]; then
+    echo "go test ./..."
+  elif [[ -f "\$DIR/Makefile" ]] && grep -q '^test:' "\$DIR/Makefile"; then
+    echo "make test"
+  fi
+}
+
+# CI log path for a branch
+# Args: BRANCH
+local_ci_log() {
+  echo "$DEEP_DIR/ci-\$(echo "\$1" | tr '/' '-').log"
+}
+
+# "Open" a PR: the branch itself
+# Args: BRANCH, TASK_ID, TITLE
+# Sets: PR_NUM
+create_pr() {
+  git -C "$CWD" rev-parse --verify --quiet "\$1" >/dev/null || return 1
+  PR_NUM="\$1"
+  return 0
+}
+
+# Run the test command in the branch's worktree, for at most CI_POLL_TIMEOUT
+# or the time left in the task budget
+# Args: BRANCH
+# Returns: 0 = pass, 1 = fail, 2 = timeout
+wait_for_ci() {
+  local BRANCH="\$1"
+  local DIR=\$(local_branch_worktree "\$BRANCH")
+  local LOG=\$(local_ci_log "\$BRANCH")
+
+  [[ -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" ]] && return 2
+  task_deadline_passed && return 2
+  if [[ -z "\$DIR" ]]; then
+    echo "No worktree has \$BRANCH checked out" > "\$LOG"
+    return 1
+  fi
+
+  local CMD=\$(local_test_command "\$DIR")
+  if [[ -z "\$CMD" ]]; then
+    echo "No test command detected (set DEEP_TEST_CMD); treating as pass" > "\$LOG"
+    return 0
+  fi
+
+  echo "\$ \$CMD" > "\$LOG"
+  # No timeout binary (stock macOS): run without a limit, like with_timeout
+  if [[ -n "\$TIMEOUT_BIN" ]]; then
+    (cd "\$DIR" && "\$TIMEOUT_BIN" "\$(ci_time_limit)" bash -c "\$CMD") >> "\$LOG" 2>&1
+  else
+    (cd "\$DIR" && bash -c "\$CMD") >> "\$LOG" 2>&1
+  fi
+  local RC=\$?
+  [[ \$RC -eq 0 ]] && return 0
+  [[ \$RC -eq 124 ]] && return 2
+  return 1
+}
+
+# Args: BRANCH
+get_ci_failure_output() {
+  local LOG=\$(local_ci_log "\$1")
+  if [[ -f "\$LOG" ]]; then
+    tail -100 "\$LOG"
+  else
+    echo "Could not retrieve CI failure logs"
+  fi
+}
+
+# Args: BRANCH
+pr_diff() {
+  git -C "$CWD" diff "\$BASE_BRANCH...\$1" 2>/dev/null
+}
+
+# Rebase the branch onto the base branch, then fast-forward it
+# Serialized with a file lock so concurrent workers merge one at a time.
+# The lock records this worker's PID, so a killed worker's lock is broken.
+# Args: BRANCH
+# Returns: 0 = merged, 1 = failed (conflict or other)
+merge_pr() {
+  local BRANCH="\$1"
+  local LOCK="$DEEP_DIR/merge.lock"
+  local DIR=\$(local_branch_worktree "\$BRANCH")
+  local RC=0
+  local TOKEN
+
+  TOKEN=\$(node "\$FILE_LOCK" acquire "\$LOCK" --pid "\${BASHPID:-\$\$}" --timeout 300000 --stale 600000) || return 1
+
+  if [[ -n "\$DIR" ]] && ! git -C "\$DIR" rebase "\$BASE_BRANCH" >/dev/null 2>&1; then
+    git -C "\$DIR" rebase --abort >/dev/null 2>&1
+    RC=1
+  elif [[ "\$(git -C "$CWD" symbolic-ref --quiet --short HEAD)" == "\$BASE_BRANCH" ]]; then
+    git -C "$CWD" merge --ff-only "\$BRANCH" >/dev/null 2>&1 || RC=1
+  else
+    git -C "$CWD" fetch . "\$BRANCH:\$BASE_BRANCH" >/dev/null 2>&1 || RC=1
+  fi
+
+  node "\$FILE_LOCK" release "\$LOCK" --token "\$TOKEN" >/dev/null 2>&1
+  [[ \$RC -eq 0 ]] && rm -f "\$(local_ci_log "\$BRANCH")"
+  return \$RC
+}
+
+# Nothing to close — the worker deletes the branch with its worktree
+# Args: BRANCH, COMMENT
+close_pr() {
+  echo "Closed \$1: \$2" >> "\$(local_ci_log "\$1")"
+}`;
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Shared git plumbing for forges backed by an 'origin' remote
+ */
+
+/**
+ * Bash: origin check, base fetch and branch publishing
+ * @param {string} forgeLabel Used in preflight error messages
+ * @returns {string}
+ */
+export function remoteGitFunctions(forgeLabel) {
+  return `# Verify we're in a git repo with a remote
+forge_require_origin() {
+  if ! git -C "$CWD" remote get-url origin &>/dev/null; then
+    echo "Error: No git remote 'origin' found (${forgeLabel} forge needs one; use --forge local for offline repos)"
+    return 1
+  fi
+}
+
+# Fetch the latest base branch
+forge_sync_base() {
+  git -C "$CWD" fetch origin "\$BASE_BRANCH" --quiet 2>/dev/null || true
+}
+
+# Push a branch to origin
+# Args: BRANCH
+push_branch() {
+  git -C "$CWD" push -u origin "\$1" 2>/dev/null
+}`;
+}
@@ -10,17 +10,61 @@
  * Architecture:
  *   Worker loop: claim task → worktree → claude -p implements → push → PR → CI → fix → merge → cleanup
  *
- * Usage: node generate-execute-script.js <workers> <cwd>
+ * The PR/CI/merge steps come from a forge backend (src/forges/): github,
+ * gitlab, gitea, or local (test command as CI, fast-forward merge).
+ * PRs target the base branch from .deep/state.json \`baseBranch\`, project
+ * config, or origin/HEAD (see base-branch.js).
+ *
+ * Every claude -p call runs with JSON output so its token usage lands in
+ * .deep/usage.json; workers stop claiming once the .deep/state.json
+ * "budget" is spent (see budget.js).
+ * Each task also has a wall-clock budget (state.json timeouts.task or
+ * DEEP_TASK_TIMEOUT, see time-budget.js) that starts when a worker claims
+ * or resumes it: every claude -p call gets only the time left, and a task
+ * past its deadline fails with category "timeout".
+ *
+ * Each task's pipeline stage is saved to .deep/inflight.json (see
+ * inflight.js), so a crashed or interrupted run's open PRs are resumed at
+ * their CI / judge / merge stage on the next launch.
+ *
+ * ".deep" above is the session directory from session.js: the running
+ * loop's .deep-<sid8> (or --session-id's), else the repo's .deep.
+ *
+ * The run holds the repo lock (see repo-lock.js) from startup to exit,
+ * inside its session's loop when there is one; a repo locked by another
+ * session or script is refused unless DEEP_TAKEOVER_LOCK=1.
+ *
+ * Usage: node generate-execute-script.js <workers> <cwd> [--forge <name>] [--base <branch>] [--session-id <id>]
  */
 
 import fs from 'fs';
 import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { resolveForge, FORGE_NAMES } from './forges/index.js';
+import { resolveBaseBranch } from './base-branch.js';
+import { resolveConfig } from './config.js';
+import { taskTimeoutSeconds } from './time-budget.js';
+import { resolveSession } from './session.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function readExecuteState(deepDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(deepDir, 'state.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
 
 /**
  * Generate execute.sh script for worktree-per-task concurrent workers
  * @param {Object} options
  * @param {number} options.workers Number of concurrent workers
  * @param {string} options.cwd Working directory
+ * @param {string} [options.forge] Forge backend (default: DEEP_FORGE env, project config, then origin URL)
+ * @param {string} [options.baseBranch] Branch PRs target (default: resolveBaseBranch)
+ * @param {string} [options.sessionId] Session whose directory to use (default: see session.js)
  * @returns {string} Path to generated script
  */
 export function generateExecuteScript(options) {
@@ -28,62 +72,48 @@ export function generateExecuteScript(options) {
     workers = 3,
     cwd = process.cwd()
   } = options;
+  const session = resolveSession({ sessionId: options.sessionId, cwd });
+  const deepDir = session.dir;
+  const forge = resolveForge(session.root, options.forge);
+  const baseBranch = options.baseBranch || resolveBaseBranch(session.root, readExecuteState(deepDir));
 
-  const scriptPath = path.join(cwd, '.deep', 'execute.sh');
+  const scriptPath = path.join(deepDir, 'execute.sh');
   const bashCwd = cwd.replace(/\\/g, '/');
+  const bashDeepDir = deepDir.replace(/\\/g, '/');
+  const bashSrcDir = __dirname.replace(/\\/g, '/');
 
-  const workerPrompt = `You are a deep-execute worker processing ONE task from the queue.
+  // CI, judge and loop limits from .deeploop.json (see config.js); env vars still win
+  const exec = resolveConfig(session.root).execute;
+
+  const workerPrompt = `You are a deep-execute worker implementing ONE task.
 You are in a GIT WORKTREE. Your CWD is an isolated copy of the repo. Commit freely, do NOT push.
 
-SHARED STATE (use absolute paths):
-- Task queue: {ABSOLUTE_DEEP_DIR}/task-queue.txt
-- Claims: {ABSOLUTE_DEEP_DIR}/claims.json
-- Completed: {ABSOLUTE_DEEP_DIR}/completed-tasks.md
-- Failures: {ABSOLUTE_DEEP_DIR}/failures.md
+The outer script has already selected and claimed your task. The full task block
+and any previous failures for it are included at the end of this prompt.
 
 INSTRUCTIONS:
-1. Read {ABSOLUTE_DEEP_DIR}/failures.md — learn from previous failures. Skip dependency-blocked tasks, adapt approach based on logged errors.
-
-2. Read {ABSOLUTE_DEEP_DIR}/task-queue.txt — pre-sorted index of eligible tasks.
-   Format: priority|task-id|title|attempts — one per line, sorted high→medium→low
-   Pick the FIRST task-id whose id is NOT in {ABSOLUTE_DEEP_DIR}/claims.json, or whose claim is older than 30 min.
-
-3. If task-queue.txt is empty or all tasks are claimed: output exactly QUEUE_EMPTY and stop.
-
-4. Read ONLY the chosen task block from {ABSOLUTE_DEEP_DIR}/tasks.md by searching for:
-   ## [ ] {task-id}: ...
-   Read from that header down to the next --- separator.
-
-5. Claim the task: update {ABSOLUTE_DEEP_DIR}/claims.json with your worker ID and 30-min expiry.
+1. Read YOUR TASK below. Learn from PREVIOUS FAILURES (if any) and adapt your approach.
 
-6. Execute the task through all phases:
+2. Execute the task through all phases:
    PLAN: Create mini-plan, identify files to modify
    BUILD: Implement changes, write tests, run code-simplifier via Task tool [subagent_type: deep-loop:code-simplifier, model: haiku]
    REVIEW: Run tests via npm test or pytest, lint via npm run lint, typecheck via npx tsc --noEmit
    FIX: If issues found, fix them — max 3 iterations, then TASK_FAILED
    SHIP: git add + commit with message "[deep] implement: {task title}" — do NOT push, the outer script handles PR/CI/merge.
 
-7. On success:
-   - DELETE the entire task block from {ABSOLUTE_DEEP_DIR}/tasks.md
-   - APPEND to {ABSOLUTE_DEEP_DIR}/completed-tasks.md:
-     ## [x] {task-id}: {task title}
-     - Completed: {ISO timestamp}
-     - Commit: {commit-sha}
-     - Worker: {WORKER_ID}
-     - Files: {list of changed files}
-   - Remove claim from {ABSOLUTE_DEEP_DIR}/claims.json
-   - Output: TASK_COMPLETE:{task-id}:{commit-sha}:{task title}
-
-8. On failure — after 3 FIX iterations:
-   - Increment Attempts in {ABSOLUTE_DEEP_DIR}/tasks.md, add Last Attempt line
-   - Release claim from {ABSOLUTE_DEEP_DIR}/claims.json
-   - Output: TASK_FAILED:{task-id}:{category}:{description}
+3. On success, output exactly:
+   TASK_COMPLETE:{TASK_ID}:{commit-sha}:{task title}
+
+4. On failure — after 3 FIX iterations — output exactly:
+   TASK_FAILED:{TASK_ID}:{category}:{description}
    Categories: build-error, test-failure, lint-error, type-error, dependency-missing, unknown
 
+The outer script records completion/failure in the queue and manages claims.
+Do NOT read or edit {ABSOLUTE_DEEP_DIR}/tasks.md, completed-tasks.md, claims.json or failures.md.
+
 WORKER_ID will be set as environment variable.
 Work autonomously. Do NOT ask for confirmation. Execute the full loop for ONE task then exit.
 
-IMPORTANT: Do NOT read the full tasks.md to find tasks. Use task-queue.txt for task selection, then read only the specific task block you need.
 IMPORTANT: Do NOT push to any remote. The outer bash script handles git push, PR creation, and CI monitoring.`;
 
   const ciFixPrompt = `CI checks failed on this PR branch. Read the failure output below and fix the issues.
@@ -149,6 +179,8 @@ Work autonomously. Do NOT push.`;
   const script = `#!/bin/bash
 # Generated by /deep execute - Worktree-Per-Task Concurrent Workers
 # Workers: ${workers}
+# Forge: ${forge.name}
+# Base branch: ${baseBranch}
 # CWD: ${bashCwd}
 # Generated: ${new Date().toISOString()}
 
@@ -156,23 +188,42 @@ Work autonomously. Do NOT push.`;
 set -uo pipefail
 
 CWD="${bashCwd}"
-DEEP_DIR="$CWD/.deep"
-ABSOLUTE_DEEP_DIR="\$(cd "$CWD/.deep" && pwd)"
-WORKTREE_BASE="$CWD/.deep/worktrees"
+DEEP_DIR="${bashDeepDir}"
+ABSOLUTE_DEEP_DIR="\$(cd "$DEEP_DIR" && pwd)"
+WORKTREE_BASE="$DEEP_DIR/worktrees"
+TASK_QUEUE="${bashSrcDir}/task-queue.js"
+EVENTS="${bashSrcDir}/events.js"
+INFLIGHT="${bashSrcDir}/inflight.js"
+NOTIFY="${bashSrcDir}/notify.js"
+BUDGET="${bashSrcDir}/budget.js"
+TIME_BUDGET="${bashSrcDir}/time-budget.js"
+REPO_LOCK="${bashSrcDir}/repo-lock.js"
+FILE_LOCK="${bashSrcDir}/file-lock.js"
+SESSION_ID="\${DEEP_SESSION_ID:-${session.sessionId || ''}}"
+RUN_ID="\$(date +%Y%m%d-%H%M%S)-\$\$"
+FORGE="${forge.name}"
+BASE_BRANCH="${baseBranch}"
+FORGE_BASE_REF="${forge.baseRef}"
 WORKERS=${workers}
 PIDS=()
 MONITOR_PID=""
 REVIVAL_COUNTS=()
-CI_FIX_MAX=3
-CI_POLL_INTERVAL=30
-CI_POLL_TIMEOUT=1200
-DEEP_JUDGE_ENABLED=\${DEEP_JUDGE_ENABLED:-1}
-JUDGE_DIFF_MAX=300
-JUDGE_DIFF_SKIP=400
+CI_FIX_MAX=${exec.ciFixMax}
+CI_POLL_INTERVAL=${exec.ciPollInterval}
+CI_POLL_TIMEOUT=${exec.ciPollTimeout}
+DEEP_JUDGE_ENABLED=\${DEEP_JUDGE_ENABLED:-${exec.judge.enabled ? 1 : 0}}
+JUDGE_DIFF_MAX=${exec.judge.diffMax}
+JUDGE_DIFF_SKIP=${exec.judge.diffSkip}
+
+# Wall-clock budget per task, in seconds (0 = none):
+# DEEP_TASK_TIMEOUT, else state.json timeouts.task, else config execute.taskTimeout
+TASK_TIMEOUT=\$(node "\$TIME_BUDGET" task-timeout "$DEEP_DIR/state.json" --default "${exec.taskTimeout}" \${DEEP_TASK_TIMEOUT:+--override "\$DEEP_TASK_TIMEOUT"} 2>/dev/null || echo ${taskTimeoutSeconds({ task: exec.taskTimeout })})
+TIMEOUT_BIN=\$(command -v timeout || command -v gtimeout || true)
+TASK_DEADLINE=0  # Per worker: epoch seconds when its current task's budget runs out
 
 # Dynamic loop cap: max(50, ceil(pending * 1.2) + 10), env override
 PENDING_COUNT=0
-MAX_LOOPS_PER_WORKER=\${DEEP_EXECUTE_MAX_LOOPS:-0}
+MAX_LOOPS_PER_WORKER=\${DEEP_EXECUTE_MAX_LOOPS:-${exec.maxLoopsPerWorker}}
 
 # Initialize revival counts
 for i in \$(seq 1 $WORKERS); do
@@ -183,16 +234,11 @@ done
 #  UTILITY FUNCTIONS
 # ==========================================
 
-# Telegram notification
+# Notify the project's channels (see notify.js); filtered by status there
+# Args: STATUS, MESSAGE
 notify() {
-  local status="\$1"
-  local message="\$2"
-  if [[ -n "\${TELEGRAM_BOT_TOKEN:-}" && -n "\${TELEGRAM_CHAT_ID:-}" ]]; then
-    curl -s -X POST "https://api.telegram.org/bot\$TELEGRAM_BOT_TOKEN/sendMessage" \\
-      -d chat_id="\$TELEGRAM_CHAT_ID" \\
-      -d text="⚡ Deep Execute [\$status]: \$message" \\
-      -d parse_mode="Markdown" > /dev/null 2>&1 || true
-  fi
+  node "\$NOTIFY" "\$1" "\$2" --cwd "$CWD" --source execute \\
+    >/dev/null 2>>"$DEEP_DIR/notify-errors.log" || true
 }
 
 # Log failure to failures.md
@@ -203,6 +249,128 @@ log_failure() {
   local ERROR_MSG="\$4"
   local TS=\$(date -u +%Y-%m-%dT%H:%M:%SZ)
   echo "| \$TASK_ID | \$WORKER_ID | \$TS | \$CATEGORY | \$ERROR_MSG |" >> "\$ABSOLUTE_DEEP_DIR/failures.md"
+  emit_event task_failed task="\$TASK_ID" category="\$CATEGORY" reason="\$ERROR_MSG"
+}
+
+# Append a structured event to events.jsonl (see events.js)
+# Args: TYPE, then key=value pairs. Adds run and, inside a worker, worker.
+emit_event() {
+  local TYPE="\$1"
+  shift
+  node "\$EVENTS" emit "\$ABSOLUTE_DEEP_DIR" "\$TYPE" run="\$RUN_ID" worker="\${WORKER_ID:-}" "\$@" 2>/dev/null || true
+}
+
+# Record the calling worker's pipeline stage for dashboard.js
+# Reads run_worker's locals; TASK_ID and PR_NUM are per-worker globals.
+# Args: STAGE
+set_worker_state() {
+  echo "stage=\$1 task=\${TASK_ID:-} pr=\${PR_NUM:-} since=\$(date +%s) loop=\$LOOPS done=\$TASKS_DONE failed=\$TASKS_FAILED blocked=\$TASKS_BLOCKED" \
+    > "$DEEP_DIR/worker-\${WORKER_NUM}.status" 2>/dev/null || true
+}
+
+# Persist the calling worker's task and pipeline stage to inflight.json,
+# so a run interrupted mid-pipeline can be resumed by the next launch
+# Args: STAGE, then key=value pairs (branch, pr, title, commit)
+save_inflight() {
+  local STAGE="\$1"
+  shift
+  node "\$INFLIGHT" set "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" stage="\$STAGE" \\
+    worker="\$WORKER_ID" slot="\$WORKER_NUM" run="\$RUN_ID" "\$@" 2>/dev/null || true
+}
+
+# Record a failed attempt for the calling worker's task in the queue
+# (Attempts + 1, claim released), so it is retried from the current base
+# Args: CATEGORY, REASON
+fail_queued_task() {
+  node "\$TASK_QUEUE" fail "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" \\
+    --category "\$1" --reason "\$2" >> "\$LOG" 2>&1 || true
+}
+
+# Start the calling worker's task budget (TASK_TIMEOUT from now)
+start_task_clock() {
+  TASK_DEADLINE=0
+  if [[ "\$TASK_TIMEOUT" -gt 0 ]]; then
+    TASK_DEADLINE=\$((\$(date +%s) + TASK_TIMEOUT))
+  fi
+}
+
+# Seconds left in the task budget (at least 1); prints nothing when unlimited
+task_time_left() {
+  [[ "\$TASK_DEADLINE" -gt 0 ]] || return 0
+  local LEFT=\$((TASK_DEADLINE - \$(date +%s)))
+  echo \$((LEFT > 1 ? LEFT : 1))
+}
+
+# Succeeds once the task budget is spent
+task_deadline_passed() {
+  [[ "\$TASK_DEADLINE" -gt 0 && \$(date +%s) -ge "\$TASK_DEADLINE" ]]
+}
+
+# CI_POLL_TIMEOUT, cut down to the time left in the task budget
+ci_time_limit() {
+  local LEFT=\$(task_time_left)
+  if [[ -n "\$LEFT" && "\$LEFT" -lt "\$CI_POLL_TIMEOUT" ]]; then
+    echo "\$LEFT"
+  else
+    echo "\$CI_POLL_TIMEOUT"
+  fi
+}
+
+# Fail the calling worker's task (closing its PR, if any) once its budget is spent.
+# Reads run_worker's locals, like run_pipeline.
+# Returns: 0 = task failed, 1 = time left
+fail_if_task_timed_out() {
+  task_deadline_passed || return 1
+  local DESC="task exceeded its \${TASK_TIMEOUT}s time budget"
+  echo "[\$WORKER_ID] ✗ \$TASK_ID timed out (\$DESC)" >> "\$LOG" 2>/dev/null
+  [[ -n "\$PR_NUM" ]] && close_pr "\$PR_NUM" "Closing: the \$DESC."
+  TASKS_FAILED=\$((TASKS_FAILED + 1))
+  log_failure "\$TASK_ID" "\$WORKER_ID" "timeout" "\$DESC"
+  fail_queued_task "timeout" "\$DESC"
+  return 0
+}
+
+# Run a command under the time left in the task budget (TERM, then KILL 30s later).
+# Runs it unlimited when there is no budget or no timeout(1) is installed.
+with_timeout() {
+  local LIMIT=\$(task_time_left)
+  if [[ -n "\$TIMEOUT_BIN" && -n "\$LIMIT" ]]; then
+    "\$TIMEOUT_BIN" --kill-after=30 "\$LIMIT" "\$@"
+  else
+    "\$@"
+  fi
+}
+
+# Run claude -p in a directory with JSON output. Prints the result text and
+# charges the token usage to PHASE in usage.json (see budget.js).
+# Prints CLAUDE_TIMEOUT:PHASE:SECONDS when the call ran out the task budget.
+# Args: PHASE, DIR, PROMPT, ALLOWED_TOOLS
+run_claude() {
+  local RC=0
+  (cd "\$2" && with_timeout env -u ANTHROPIC_API_KEY claude -p "\$3" \\
+    --output-format json \\
+    --allowedTools "\$4" \\
+    --dangerously-skip-permissions 2>&1) | node "\$BUDGET" record "\$ABSOLUTE_DEEP_DIR" --phase "\$1" || RC=\$?
+  if [[ \$RC -eq 124 || \$RC -eq 137 ]]; then
+    echo "CLAUDE_TIMEOUT:\$1:\$TASK_TIMEOUT"
+  fi
+  return \$RC
+}
+
+# Succeeds (and prints why) once the state.json token/cost budget is spent
+budget_exhausted() {
+  local RC=0
+  node "\$BUDGET" check "\$ABSOLUTE_DEEP_DIR" || RC=\$?
+  [[ \$RC -eq 4 ]]
+}
+
+# Map a wait_for_ci exit code to pass/fail/timeout
+ci_result_name() {
+  case "\$1" in
+    0) echo pass ;;
+    2) echo timeout ;;
+    *) echo fail ;;
+  esac
 }
 
 # ==========================================
@@ -224,9 +392,12 @@ cleanup_orphan_worktrees() {
   # Prune worktree bookkeeping
   git -C "$CWD" worktree prune 2>/dev/null || true
 
-  # Remove stale deep/* branches (local only)
+  # Remove stale deep/* branches (local only), except ones a previous run
+  # left mid-pipeline — workers resume those (see inflight.js)
+  local KEEP=\$(node "\$INFLIGHT" branches "$DEEP_DIR" 2>/dev/null)
   git -C "$CWD" branch --list 'deep/*' | while read -r branch; do
     branch=\$(echo "\$branch" | xargs)
+    grep -qxF "\$branch" <<< "\$KEEP" && continue
     git -C "$CWD" branch -D "\$branch" 2>/dev/null || true
   done
 
@@ -248,15 +419,36 @@ create_worktree() {
     git -C "$CWD" worktree remove "\$WT_DIR" --force 2>/dev/null || rm -rf "\$WT_DIR"
   fi
 
-  # Fetch latest main
-  git -C "$CWD" fetch origin main --quiet 2>/dev/null || true
+  forge_sync_base
 
-  # Create worktree branching off origin/main
+  # Create worktree branching off the forge's base ref
   mkdir -p "\$WORKTREE_BASE"
-  git -C "$CWD" worktree add -b "\$WT_BRANCH" "\$WT_DIR" origin/main 2>/dev/null
+  git -C "$CWD" worktree add -b "\$WT_BRANCH" "\$WT_DIR" "\$FORGE_BASE_REF" 2>/dev/null
   return \$?
 }
 
+# Check out an existing task branch in a worker's worktree slot (resume)
+# Fetches the branch from origin when only the pushed copy survived.
+# Args: WORKER_NUM, BRANCH
+# Sets: WT_DIR, WT_BRANCH
+reattach_worktree() {
+  local WORKER_NUM="\$1"
+  WT_BRANCH="\$2"
+  WT_DIR="\$WORKTREE_BASE/w-\${WORKER_NUM}"
+
+  if [[ -d "\$WT_DIR" ]]; then
+    git -C "$CWD" worktree remove "\$WT_DIR" --force 2>/dev/null || rm -rf "\$WT_DIR"
+  fi
+  git -C "$CWD" worktree prune 2>/dev/null || true
+
+  if ! git -C "$CWD" rev-parse --verify --quiet "refs/heads/\$WT_BRANCH" >/dev/null; then
+    git -C "$CWD" fetch origin "\$WT_BRANCH:\$WT_BRANCH" >/dev/null 2>&1 || return 1
+  fi
+
+  mkdir -p "\$WORKTREE_BASE"
+  git -C "$CWD" worktree add "\$WT_DIR" "\$WT_BRANCH" 2>/dev/null
+}
+
 # Cleanup worktree after task
 # Args: WORKER_NUM, BRANCH, DELETE_REMOTE (0/1)
 cleanup_worktree() {
@@ -286,91 +478,7 @@ cleanup_worktree() {
 #  PR / CI / MERGE PIPELINE
 # ==========================================
 
-# Create a PR from a branch
-# Args: BRANCH, TASK_ID, TITLE, WT_DIR
-# Sets: PR_NUM
-create_pr() {
-  local BRANCH="\$1"
-  local TASK_ID="\$2"
-  local TITLE="\$3"
-
-  # Push branch to remote
-  git -C "$CWD" push -u origin "\$BRANCH" 2>/dev/null || return 1
-
-  # Create PR
-  PR_NUM=\$(cd "$CWD" && gh pr create \\
-    --base main \\
-    --head "\$BRANCH" \\
-    --title "[deep] \$TITLE" \\
-    --body "Automated by deep-execute worker.
-
-Task: \$TASK_ID
-Branch: \$BRANCH
-
----
-*Auto-generated by deep-execute worktree pipeline*" 2>/dev/null | grep -oE '[0-9]+$')
-
-  [[ -n "\$PR_NUM" ]] && return 0 || return 1
-}
-
-# Wait for CI checks to complete
-# Args: PR_NUM
-# Returns: 0 = pass, 1 = fail, 2 = timeout
-wait_for_ci() {
-  local PR="\$1"
-  local ELAPSED=0
-
-  while [[ \$ELAPSED -lt \$CI_POLL_TIMEOUT ]]; do
-    # Check force exit
-    [[ -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" ]] && return 2
-
-    sleep \$CI_POLL_INTERVAL
-    ELAPSED=\$((ELAPSED + CI_POLL_INTERVAL))
-
-    # Get check status
-    local STATUS=\$(cd "$CWD" && gh pr checks "\$PR" 2>/dev/null)
-
-    if echo "\$STATUS" | grep -qi "fail\\|error"; then
-      return 1
-    fi
-
-    # All checks pass if no pending/queued and at least one pass
-    if echo "\$STATUS" | grep -qi "pass\\|success"; then
-      if ! echo "\$STATUS" | grep -qi "pending\\|queued\\|in_progress"; then
-        return 0
-      fi
-    fi
-
-    # No checks at all yet — keep waiting
-  done
-
-  return 2  # timeout
-}
-
-# Get CI failure output for debugging
-# Args: PR_NUM
-get_ci_failure_output() {
-  local PR="\$1"
-
-  # Get the failed run ID
-  local RUN_ID=\$(cd "$CWD" && gh run list --branch "\$(gh pr view "\$PR" --json headRefName -q .headRefName 2>/dev/null)" \\
-    --status failure --limit 1 --json databaseId -q '.[0].databaseId' 2>/dev/null)
-
-  if [[ -n "\$RUN_ID" ]]; then
-    cd "$CWD" && gh run view "\$RUN_ID" --log-failed 2>/dev/null | tail -100
-  else
-    echo "Could not retrieve CI failure logs"
-  fi
-}
-
-# Merge a PR with squash
-# Args: PR_NUM
-# Returns: 0 = merged, 1 = failed (conflict or other)
-merge_pr() {
-  local PR="\$1"
-  cd "$CWD" && gh pr merge "\$PR" --squash --delete-branch 2>/dev/null
-  return \$?
-}
+${forge.functions()}
 
 # ==========================================
 #  MERGE QUEUE JUDGE
@@ -387,33 +495,21 @@ judge_pr() {
   JUDGE_FEEDBACK=""
 
   # Extract task block from tasks.md or completed-tasks.md
-  local TASK_BLOCK=""
-  for TFILE in "\$ABSOLUTE_DEEP_DIR/tasks.md" "\$ABSOLUTE_DEEP_DIR/completed-tasks.md"; do
-    if [[ -f "\$TFILE" ]]; then
-      local BLOCK=\$(awk -v tid="\$TASK_ID" '
-        \$0 ~ "## .* " tid ":" { found=1; next }
-        found && /^---$/ { exit }
-        found { print }
-      ' "\$TFILE" 2>/dev/null)
-      if [[ -n "\$BLOCK" ]]; then
-        TASK_BLOCK="\$BLOCK"
-        break
-      fi
-    fi
-  done
+  local TASK_BLOCK=\$(node "\$TASK_QUEUE" show "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null)
 
   if [[ -z "\$TASK_BLOCK" ]]; then
     TASK_BLOCK="Task: \$TASK_ID - \$TASK_TITLE"
   fi
 
   # Get PR diff, capped
-  local DIFF_LINES=\$(cd "$CWD" && gh pr diff "\$PR" 2>/dev/null | wc -l)
+  local DIFF_LINES=\$(pr_diff "\$PR" | wc -l)
   if [[ \$DIFF_LINES -gt \$JUDGE_DIFF_SKIP ]]; then
     echo "Judge: diff too large (\$DIFF_LINES lines > \$JUDGE_DIFF_SKIP), auto-approving"
+    emit_event judge_verdict task="\$TASK_ID" pr="\$PR" verdict=approved reason=diff-too-large
     return 0
   fi
 
-  local PR_DIFF=\$(cd "$CWD" && gh pr diff "\$PR" 2>/dev/null | head -\$JUDGE_DIFF_MAX)
+  local PR_DIFF=\$(pr_diff "\$PR" | head -\$JUDGE_DIFF_MAX)
 
   # Build judge prompt with task + diff injected
   local PROMPT='${escapedJudgePrompt}'
@@ -421,23 +517,24 @@ judge_pr() {
   PROMPT=\$(echo "\$PROMPT" | sed "s|{PR_DIFF}|\$PR_DIFF|g")
 
   # Invoke judge — read-only tools only
-  local JUDGE_OUTPUT=\$(cd "$CWD" && env -u ANTHROPIC_API_KEY claude -p "\$PROMPT" \\
-    --output-format text \\
-    --allowedTools "Read,Grep" \\
-    --dangerously-skip-permissions 2>&1 || true)
+  local JUDGE_OUTPUT=\$(run_claude JUDGE "$CWD" "\$PROMPT" "Read,Grep" || true)
 
   # Parse verdict
   if echo "\$JUDGE_OUTPUT" | grep -q "MERGE_APPROVED"; then
+    emit_event judge_verdict task="\$TASK_ID" pr="\$PR" verdict=approved
     return 0
   elif echo "\$JUDGE_OUTPUT" | grep -q "NEEDS_WORK"; then
     JUDGE_FEEDBACK=\$(echo "\$JUDGE_OUTPUT" | grep "NEEDS_WORK" | tail -1 | sed 's/NEEDS_WORK://')
+    emit_event judge_verdict task="\$TASK_ID" pr="\$PR" verdict=needs_work reason="\$JUDGE_FEEDBACK"
     return 1
   elif echo "\$JUDGE_OUTPUT" | grep -q "MERGE_REJECTED"; then
     JUDGE_FEEDBACK=\$(echo "\$JUDGE_OUTPUT" | grep "MERGE_REJECTED" | tail -1 | sed 's/MERGE_REJECTED://')
+    emit_event judge_verdict task="\$TASK_ID" pr="\$PR" verdict=rejected reason="\$JUDGE_FEEDBACK"
     return 2
   else
     # Unexpected output — fail-safe to rejected
     JUDGE_FEEDBACK="Unexpected judge output"
+    emit_event judge_verdict task="\$TASK_ID" pr="\$PR" verdict=rejected reason="\$JUDGE_FEEDBACK"
     return 2
   fi
 }
@@ -452,10 +549,7 @@ fix_from_judge() {
   local PROMPT='${escapedJudgeFixPrompt}'
   PROMPT=\$(echo "\$PROMPT" | sed "s|{JUDGE_FEEDBACK}|\$FEEDBACK|g")
 
-  local FIX_OUTPUT=\$(cd "\$FIX_DIR" && env -u ANTHROPIC_API_KEY claude -p "\$PROMPT" \\
-    --output-format text \\
-    --allowedTools "Read,Edit,Write,Bash,Grep,Glob" \\
-    --dangerously-skip-permissions 2>&1 || true)
+  local FIX_OUTPUT=\$(run_claude JUDGE_FIX "\$FIX_DIR" "\$PROMPT" "Read,Edit,Write,Bash,Grep,Glob" || true)
 
   if echo "\$FIX_OUTPUT" | grep -q "FIX_COMPLETE"; then
     return 0
@@ -464,6 +558,230 @@ fix_from_judge() {
   fi
 }
 
+# ==========================================
+#  TASK PIPELINE
+# ==========================================
+
+# PR -> CI (with fix attempts) -> judge -> merge for the calling worker's task
+# Reads run_worker's locals and TASK_ID, TASK_TITLE, WT_DIR, WT_BRANCH, PR_NUM.
+# Stages are entered in order from START_STAGE; later stages resume a task
+# whose PR already exists.
+# Args: START_STAGE (pr|ci|judging|merging)
+# Returns: 0 = finished (merged, failed or blocked), 2 = paused by force exit
+run_pipeline() {
+  local STAGE="\${1:-pr}"
+  local CI_ATTEMPTS=0
+  local CI_PASSED=false
+  local SHOULD_MERGE=false
+
+  if [[ "\$STAGE" == "pr" ]]; then
+    echo "[\$WORKER_ID] Creating PR for \$TASK_ID..." >> "\$LOG" 2>/dev/null
+    set_worker_state pr
+    PR_NUM=""
+    if ! create_pr "\$WT_BRANCH" "\$TASK_ID" "\$TASK_TITLE"; then
+      echo "[\$WORKER_ID] ⚠ Failed to create PR for \$TASK_ID" >> "\$LOG" 2>/dev/null
+      TASKS_FAILED=\$((TASKS_FAILED + 1))
+      log_failure "\$TASK_ID" "\$WORKER_ID" "pr-creation" "Failed to push branch or create PR"
+      fail_queued_task "pr-creation" "Failed to push branch or create PR"
+      return 0
+    fi
+    echo "[\$WORKER_ID] PR #\$PR_NUM created" >> "\$LOG" 2>/dev/null
+    emit_event pr_created task="\$TASK_ID" pr="\$PR_NUM" branch="\$WT_BRANCH"
+    save_inflight ci pr="\$PR_NUM"
+    STAGE=ci
+  fi
+
+  if [[ "\$STAGE" == "ci" ]]; then
+    echo "[\$WORKER_ID] Waiting for CI on PR #\$PR_NUM..." >> "\$LOG" 2>/dev/null
+    set_worker_state ci
+
+    while [[ \$CI_ATTEMPTS -lt \$CI_FIX_MAX ]]; do
+      fail_if_task_timed_out && return 0
+      wait_for_ci "\$PR_NUM"
+      CI_RESULT=\$?
+      emit_event ci_result task="\$TASK_ID" pr="\$PR_NUM" result="\$(ci_result_name \$CI_RESULT)" attempt="\$((CI_ATTEMPTS + 1))"
+
+      if [[ \$CI_RESULT -eq 0 ]]; then
+        CI_PASSED=true
+        break
+      elif [[ \$CI_RESULT -eq 2 ]]; then
+        echo "[\$WORKER_ID] CI timeout on PR #\$PR_NUM" >> "\$LOG" 2>/dev/null
+        break
+      fi
+
+      # CI failed — attempt fix
+      fail_if_task_timed_out && return 0
+      CI_ATTEMPTS=\$((CI_ATTEMPTS + 1))
+      echo "[\$WORKER_ID] CI failed (attempt \$CI_ATTEMPTS/\$CI_FIX_MAX), invoking fix..." >> "\$LOG" 2>/dev/null
+      set_worker_state ci-fix
+
+      FAILURE_OUTPUT=\$(get_ci_failure_output "\$PR_NUM")
+
+      CI_FIX_PROMPT='${escapedCiFixPrompt}'
+
+      FIX_OUTPUT=\$(DEEP_CI_FAILURE_OUTPUT="\$FAILURE_OUTPUT" run_claude CI_FIX "\$WT_DIR" "\$CI_FIX_PROMPT
+
+CI FAILURE OUTPUT:
+\$FAILURE_OUTPUT" "Read,Edit,Write,Bash,Grep,Glob" | tee -a "\$LOG" || true)
+
+      if echo "\$FIX_OUTPUT" | grep -q "CI_FIX_COMPLETE:flake"; then
+        # Flaky test — push empty commit to re-trigger
+        echo "[\$WORKER_ID] Flake detected, pushing empty commit" >> "\$LOG" 2>/dev/null
+        (cd "\$WT_DIR" && git commit --allow-empty -m "[deep] re-trigger CI (flake)") >/dev/null 2>&1 && \\
+          push_branch "\$WT_BRANCH"
+      elif echo "\$FIX_OUTPUT" | grep -q "CI_FIX_COMPLETE"; then
+        echo "[\$WORKER_ID] CI fix applied, pushing..." >> "\$LOG" 2>/dev/null
+        push_branch "\$WT_BRANCH"
+      elif echo "\$FIX_OUTPUT" | grep -q "CI_FIX_FAILED"; then
+        FIX_REASON=\$(echo "\$FIX_OUTPUT" | grep "CI_FIX_FAILED" | tail -1 | cut -d: -f2-)
+        echo "[\$WORKER_ID] CI fix failed: \$FIX_REASON" >> "\$LOG" 2>/dev/null
+        break
+      fi
+    done
+
+    if ! \$CI_PASSED; then
+      # A force exit cuts the CI wait short — keep the PR for the next run
+      if [[ -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" ]]; then
+        echo "[\$WORKER_ID] Force exit during CI, leaving PR #\$PR_NUM open to resume" >> "\$LOG" 2>/dev/null
+        return 2
+      fi
+      fail_if_task_timed_out && return 0
+      echo "[\$WORKER_ID] ✗ CI failed after \$CI_ATTEMPTS fixes, closing PR" >> "\$LOG" 2>/dev/null
+      close_pr "\$PR_NUM" "CI failed after \$CI_ATTEMPTS fix attempts. Closing."
+      TASKS_FAILED=\$((TASKS_FAILED + 1))
+      log_failure "\$TASK_ID" "\$WORKER_ID" "ci-failure" "CI failed after \$CI_ATTEMPTS fix attempts"
+      fail_queued_task "ci-failure" "CI failed after \$CI_ATTEMPTS fix attempts"
+      return 0
+    fi
+    save_inflight judging
+    STAGE=judging
+  fi
+
+  if [[ "\$STAGE" == "judging" ]]; then
+    fail_if_task_timed_out && return 0
+    # === MERGE QUEUE JUDGE GATE ===
+    if [[ \$DEEP_JUDGE_ENABLED -eq 1 ]]; then
+      echo "[\$WORKER_ID] CI passed, running judge on PR #\$PR_NUM..." >> "\$LOG" 2>/dev/null
+      set_worker_state judging
+      judge_pr "\$PR_NUM" "\$TASK_ID" "\$TASK_TITLE"
+      JUDGE_RESULT=\$?
+
+      if [[ \$JUDGE_RESULT -eq 0 ]]; then
+        echo "[\$WORKER_ID] Judge: MERGE_APPROVED" >> "\$LOG" 2>/dev/null
+        SHOULD_MERGE=true
+
+      elif [[ \$JUDGE_RESULT -eq 1 ]]; then
+        # NEEDS_WORK — one fix attempt
+        echo "[\$WORKER_ID] Judge: NEEDS_WORK — \$JUDGE_FEEDBACK" >> "\$LOG" 2>/dev/null
+        echo "[\$WORKER_ID] Attempting judge-feedback fix..." >> "\$LOG" 2>/dev/null
+        set_worker_state judge-fix
+
+        if fix_from_judge "\$JUDGE_FEEDBACK" "\$WT_DIR"; then
+          echo "[\$WORKER_ID] Judge fix applied, pushing..." >> "\$LOG" 2>/dev/null
+          push_branch "\$WT_BRANCH"
+          save_inflight ci
+
+          # Wait for CI on the fix
+          echo "[\$WORKER_ID] Waiting for CI after judge fix..." >> "\$LOG" 2>/dev/null
+          set_worker_state ci
+          wait_for_ci "\$PR_NUM"
+          FIX_CI=\$?
+          emit_event ci_result task="\$TASK_ID" pr="\$PR_NUM" result="\$(ci_result_name \$FIX_CI)" after=judge-fix
+
+          if [[ \$FIX_CI -eq 0 ]]; then
+            fail_if_task_timed_out && return 0
+            # Re-judge
+            echo "[\$WORKER_ID] CI passed, re-judging PR #\$PR_NUM..." >> "\$LOG" 2>/dev/null
+            save_inflight judging
+            set_worker_state judging
+            judge_pr "\$PR_NUM" "\$TASK_ID" "\$TASK_TITLE"
+            REJUDGE=\$?
+
+            if [[ \$REJUDGE -eq 0 ]]; then
+              echo "[\$WORKER_ID] Re-judge: MERGE_APPROVED" >> "\$LOG" 2>/dev/null
+              SHOULD_MERGE=true
+            else
+              echo "[\$WORKER_ID] Re-judge: still rejected — closing PR" >> "\$LOG" 2>/dev/null
+              close_pr "\$PR_NUM" "Judge rejected after fix attempt: \$JUDGE_FEEDBACK"
+              TASKS_FAILED=\$((TASKS_FAILED + 1))
+              log_failure "\$TASK_ID" "\$WORKER_ID" "judge-rejected" "Rejected after fix: \$JUDGE_FEEDBACK"
+              fail_queued_task "judge-rejected" "Rejected after fix: \$JUDGE_FEEDBACK"
+            fi
+          elif [[ \$FIX_CI -eq 2 && -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" ]]; then
+            echo "[\$WORKER_ID] Force exit during CI, leaving PR #\$PR_NUM open to resume" >> "\$LOG" 2>/dev/null
+            return 2
+          elif fail_if_task_timed_out; then
+            return 0
+          else
+            echo "[\$WORKER_ID] CI failed after judge fix, closing PR" >> "\$LOG" 2>/dev/null
+            close_pr "\$PR_NUM" "CI failed after judge-feedback fix."
+            TASKS_FAILED=\$((TASKS_FAILED + 1))
+            log_failure "\$TASK_ID" "\$WORKER_ID" "ci-failure" "CI failed after judge-feedback fix"
+            fail_queued_task "ci-failure" "CI failed after judge-feedback fix"
+          fi
+        else
+          echo "[\$WORKER_ID] Judge fix failed, closing PR" >> "\$LOG" 2>/dev/null
+          close_pr "\$PR_NUM" "Could not fix judge feedback: \$JUDGE_FEEDBACK"
+          TASKS_FAILED=\$((TASKS_FAILED + 1))
+          log_failure "\$TASK_ID" "\$WORKER_ID" "judge-fix-failed" "Fix failed: \$JUDGE_FEEDBACK"
+          fail_queued_task "judge-fix-failed" "Fix failed: \$JUDGE_FEEDBACK"
+        fi
+
+      else
+        # MERGE_REJECTED or judge crash
+        echo "[\$WORKER_ID] Judge: REJECTED — \$JUDGE_FEEDBACK" >> "\$LOG" 2>/dev/null
+        close_pr "\$PR_NUM" "Judge rejected: \$JUDGE_FEEDBACK"
+        TASKS_FAILED=\$((TASKS_FAILED + 1))
+        log_failure "\$TASK_ID" "\$WORKER_ID" "judge-rejected" "\$JUDGE_FEEDBACK"
+        fail_queued_task "judge-rejected" "\$JUDGE_FEEDBACK"
+      fi
+    else
+      # Judge disabled — merge directly
+      echo "[\$WORKER_ID] CI passed, judge disabled, merging PR #\$PR_NUM..." >> "\$LOG" 2>/dev/null
+      SHOULD_MERGE=true
+    fi
+
+    \$SHOULD_MERGE || return 0
+    save_inflight merging
+    STAGE=merging
+  fi
+
+  if [[ "\$STAGE" == "merging" ]]; then
+    set_worker_state merging
+    local COMMIT_SHA=\$(git -C "\$WT_DIR" rev-parse HEAD 2>/dev/null)
+    local CHANGED_FILES=\$(git -C "\$WT_DIR" diff --name-only "\$FORGE_BASE_REF"...HEAD 2>/dev/null | paste -sd, -)
+    if merge_pr "\$PR_NUM"; then
+      echo "[\$WORKER_ID] ✓ PR #\$PR_NUM merged" >> "\$LOG" 2>/dev/null
+      emit_event merge task="\$TASK_ID" pr="\$PR_NUM" result=merged
+      TASKS_DONE=\$((TASKS_DONE + 1))
+      # Only now does the task count as done (and unblock its dependents)
+      node "\$TASK_QUEUE" complete "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" \\
+        --commit "\$COMMIT_SHA" --worker "\$WORKER_ID" --files "\$CHANGED_FILES" >> "\$LOG" 2>&1 || true
+    else
+      echo "[\$WORKER_ID] ⚠ Merge failed (conflict?), closing PR for a retry on the current base" >> "\$LOG" 2>/dev/null
+      emit_event merge task="\$TASK_ID" pr="\$PR_NUM" result=failed
+      close_pr "\$PR_NUM" "Merge failed (conflict?). Closing; the task is retried on the current base."
+      TASKS_BLOCKED=\$((TASKS_BLOCKED + 1))
+      log_failure "\$TASK_ID" "\$WORKER_ID" "merge-conflict" "PR #\$PR_NUM merge failed"
+      fail_queued_task "merge-conflict" "PR #\$PR_NUM merge failed"
+    fi
+  fi
+  return 0
+}
+
+# Run the pipeline, then drop the worktree and the in-flight entry.
+# A paused pipeline keeps its branch and entry for the next launch.
+# Args: START_STAGE
+finish_task() {
+  if run_pipeline "\$1"; then
+    node "\$INFLIGHT" clear "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null || true
+    # Don't delete the remote branch — the PR handles it
+    cleanup_worktree "\$WORKER_NUM" "\$WT_BRANCH" 0
+  else
+    cleanup_worktree "\$WORKER_NUM" "" 0
+  fi
+}
+
 # ==========================================
 #  SELF-CORRECTION
 # ==========================================
@@ -487,8 +805,10 @@ revive_worker() {
     sleep 1
   fi
 
-  # Cleanup any leftover worktree for this slot
+  # Cleanup any leftover worktree for this slot; its in-flight PR (if any)
+  # is handed back so the revived worker resumes it
   cleanup_worktree "\$SLOT" "" 0
+  node "\$INFLIGHT" detach "$DEEP_DIR" --slot "\$SLOT" >> "$DEEP_DIR/monitor.log" 2>&1 || true
 
   # Relaunch
   run_worker \$SLOT &
@@ -496,6 +816,7 @@ revive_worker() {
   REVIVAL_COUNTS[\$SLOT]=\$((REVIVES + 1))
 
   echo "Worker \$SLOT revived (attempt \$((REVIVES + 1))/3, PID: \${PIDS[\$SLOT]})" >> "$DEEP_DIR/monitor.log"
+  emit_event revive slot="\$SLOT" attempt="\$((REVIVES + 1))"
   notify "WARN" "Worker \$SLOT revived (attempt \$((REVIVES + 1))/3)"
   return 0
 }
@@ -530,7 +851,7 @@ cleanup_and_exit() {
   done
   [[ -n "\$MONITOR_PID" ]] && { wait \$MONITOR_PID 2>/dev/null || true; }
 
-  # Cleanup ALL worktrees
+  # Cleanup ALL worktrees (task branches stay; inflight.json resumes them)
   if [[ -d "\$WORKTREE_BASE" ]]; then
     for wt in "\$WORKTREE_BASE"/w-*; do
       [[ -d "\$wt" ]] || continue
@@ -541,14 +862,15 @@ cleanup_and_exit() {
 
   # Cleanup temp files
   rm -f $DEEP_DIR/worker-*.result
+  rm -f $DEEP_DIR/worker-*.status
   rm -f $DEEP_DIR/worker-*.heartbeat
   rm -f $DEEP_DIR/worker-*.stale-notified
-  rm -f "$DEEP_DIR/task-queue.txt" "$DEEP_DIR/task-queue.txt.tmp" 2>/dev/null || true
   rm -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" 2>/dev/null || true
   rm -f "$DEEP_DIR/monitor.log" 2>/dev/null || true
 
+  emit_event run_end result=interrupted
   notify "INTERRUPTED" "Workers killed by signal. Check logs for partial work."
-  echo "Cleanup complete. Check worker logs for partial work."
+  echo "Cleanup complete. Open PRs resume on the next launch; check worker logs for partial work."
   exit 130
 }
 trap cleanup_and_exit INT TERM HUP
@@ -565,22 +887,29 @@ if ! command -v claude &> /dev/null; then
   exit 1
 fi
 
-if ! command -v gh &> /dev/null; then
-  echo "Error: GitHub CLI (gh) not found — required for PR/CI pipeline"
-  exit 1
-fi
-
-# Verify gh auth
-if ! gh auth status &>/dev/null; then
-  echo "Error: GitHub CLI not authenticated. Run: gh auth login"
+if ! command -v node &> /dev/null; then
+  echo "Error: node not found — required for task queue management"
   exit 1
 fi
 
-# Verify we're in a git repo with a remote
-if ! git -C "$CWD" remote get-url origin &>/dev/null; then
-  echo "Error: No git remote 'origin' found"
+# Forge tools, auth and remote
+forge_preflight || exit 1
+
+# One deep run per checkout (see repo-lock.js): joins this session's loop,
+# refuses another live session or script unless DEEP_TAKEOVER_LOCK=1
+LOCK_ARGS=(--cwd "$CWD" --owner execute --pid \$\$)
+[[ -n "\$SESSION_ID" ]] && LOCK_ARGS+=(--session "\$SESSION_ID")
+[[ "\${DEEP_TAKEOVER_LOCK:-0}" == "1" ]] && LOCK_ARGS+=(--takeover)
+LOCK_RC=0
+node "\$REPO_LOCK" acquire "\${LOCK_ARGS[@]}" || LOCK_RC=\$?
+if [[ \$LOCK_RC -eq 3 ]]; then
+  echo "Error: repo is locked by another deep run (details above). Rerun with DEEP_TAKEOVER_LOCK=1 to take over."
   exit 1
+elif [[ \$LOCK_RC -ne 0 ]]; then
+  echo "Warning: could not take the repo lock; continuing without it"
 fi
+# EXIT fires after cleanup_and_exit and on the normal path alike
+trap 'node "\$REPO_LOCK" release --cwd "$CWD" --pid \$\$ 2>/dev/null || true' EXIT
 
 # Ensure .deep directory exists
 mkdir -p "$DEEP_DIR"
@@ -599,49 +928,47 @@ fi
 # Monitor log
 > "$DEEP_DIR/monitor.log"
 
+# Tasks a previous run left mid-pipeline: release interrupted builds,
+# keep PRs for the workers to resume
+node "\$INFLIGHT" recover "$DEEP_DIR" || true
+RESUME_COUNT=\$(node "\$INFLIGHT" branches "$DEEP_DIR" 2>/dev/null | wc -l | tr -d ' ')
+
 # Cleanup orphan worktrees from previous crashes
 cleanup_orphan_worktrees
+rmdir "$DEEP_DIR/merge.lock" 2>/dev/null || true  # directory lock from older versions
 
-# Clean expired claims (>30 min old) if jq available
-if [[ -f "$DEEP_DIR/claims.json" ]] && command -v jq &>/dev/null; then
-  NOW_ISO=\$(date -u +%Y-%m-%dT%H:%M:%SZ)
-  jq --arg now "\$NOW_ISO" 'with_entries(select(.value.expiresAt > \$now))' \\
-    "$DEEP_DIR/claims.json" > "$DEEP_DIR/claims.json.tmp" 2>/dev/null && \\
-    mv "$DEEP_DIR/claims.json.tmp" "$DEEP_DIR/claims.json"
-fi
+# Clean expired claims (>30 min old)
+node "\$TASK_QUEUE" prune "$DEEP_DIR" || true
 
-# Build compact task index from tasks.md (eligible tasks only, sorted by priority)
-build_task_index() {
-  local OUT="$DEEP_DIR/task-queue.txt"
-  > "\$OUT"
-
-  awk '
-    /^## \\[ \\] task-/ {
-      id = \$4; gsub(/:$/, "", id)
-      title = ""; for(i=5;i<=NF;i++) title = title (i>5?" ":"") \$i
-      pri = "medium"; att = 0; next
-    }
-    /^\\*\\*Priority:\\*\\*/ { pri = \$2; next }
-    /^\\*\\*Attempts:\\*\\*/ { att = \$2+0; next }
-    /^---$/ {
-      if (id && att < 3) print pri "|" id "|" title "|" att
-      id = ""
-    }
-    END { if (id && att < 3) print pri "|" id "|" title "|" att }
-  ' "$DEEP_DIR/tasks.md" 2>/dev/null > "\$OUT.tmp"
-
-  grep "^high|"   "\$OUT.tmp" >> "\$OUT" 2>/dev/null || true
-  grep "^medium|" "\$OUT.tmp" >> "\$OUT" 2>/dev/null || true
-  grep "^low|"    "\$OUT.tmp" >> "\$OUT" 2>/dev/null || true
-  rm -f "\$OUT.tmp"
+# Token/cost budget is per run
+node "\$BUDGET" reset "$DEEP_DIR" --run "\$RUN_ID" || true
+
+# Count tasks ready to run
+# A task is eligible when attempts < 3, no PR of its own is in flight, and every
+# **Depends:** id is in completed-tasks.md (its PR merged)
+count_eligible_tasks() {
+  node "\$TASK_QUEUE" index "$DEEP_DIR" 2>/dev/null | wc -l | tr -d ' '
 }
 
-# Build index at startup
-build_task_index
-PENDING_COUNT=\$(wc -l < "$DEEP_DIR/task-queue.txt" | tr -d ' ')
+# Validate the dependency graph of pending tasks before any worker launches
+# Exits on cycles; warns about dependencies that are neither pending nor completed
+check_task_dependencies() {
+  local REPORT
+  if ! REPORT=\$(node "\$TASK_QUEUE" check "$DEEP_DIR"); then
+    echo "\$REPORT"
+    echo "Fix the **Depends:** lines in $DEEP_DIR/tasks.md and re-run."
+    notify "ERROR" "Dependency cycle in tasks.md"
+    exit 1
+  fi
+  [[ -n "\$REPORT" ]] && echo "\$REPORT"
+}
+
+check_task_dependencies
+
+PENDING_COUNT=\$(count_eligible_tasks)
 
-# Early exit if no eligible tasks
-if [[ \$PENDING_COUNT -eq 0 ]]; then
+# Early exit if no eligible tasks and nothing to resume
+if [[ \$PENDING_COUNT -eq 0 && \$RESUME_COUNT -eq 0 ]]; then
   echo "No eligible tasks in queue. Nothing to do."
   notify "COMPLETE" "Queue empty, no workers launched."
   exit 0
@@ -650,7 +977,7 @@ fi
 # Dynamic loop cap
 if [[ \$MAX_LOOPS_PER_WORKER -eq 0 ]]; then
   # ceil(pending * 1.2) + 10, minimum 50
-  COMPUTED=\$(( (PENDING_COUNT * 12 + 9) / 10 + 10 ))
+  COMPUTED=\$(( ((PENDING_COUNT + RESUME_COUNT) * 12 + 9) / 10 + 10 ))
   MAX_LOOPS_PER_WORKER=\$(( COMPUTED > 50 ? COMPUTED : 50 ))
 fi
 
@@ -659,16 +986,24 @@ echo "  DEEP EXECUTE - WORKTREE WORKERS"
 echo "=========================================="
 echo ""
 echo "Workers: $WORKERS"
+echo "Forge: \$FORGE (base: \$BASE_BRANCH)"
 echo "Queue: $DEEP_DIR/tasks.md (\$PENDING_COUNT eligible)"
-echo "Index: $DEEP_DIR/task-queue.txt"
+[[ \$RESUME_COUNT -gt 0 ]] && echo "Resuming: \$RESUME_COUNT in-flight task(s) from a previous run"
 echo "Logs: $DEEP_DIR/worker-*.log"
 echo "Worktrees: \$WORKTREE_BASE/"
 echo "Max loops/worker: \$MAX_LOOPS_PER_WORKER"
+echo "Budget: \$(node "\$BUDGET" report "$DEEP_DIR" --short)"
+if [[ \$TASK_TIMEOUT -gt 0 && -n "\$TIMEOUT_BIN" ]]; then
+  echo "Task timeout: \${TASK_TIMEOUT}s per claude -p call"
+elif [[ \$TASK_TIMEOUT -gt 0 ]]; then
+  echo "Task timeout: disabled (timeout/gtimeout not found)"
+fi
 echo ""
 echo "Force exit: touch $DEEP_DIR/FORCE_EXECUTE_EXIT"
 echo ""
 
 notify "STARTED" "Launching $WORKERS worktree workers (\$PENDING_COUNT tasks)..."
+emit_event run_start workers="$WORKERS" forge="\$FORGE" base="\$BASE_BRANCH" pending="\$PENDING_COUNT" resumable="\$RESUME_COUNT"
 
 START_TIME=\$(date +%s)
 
@@ -685,273 +1020,215 @@ run_worker() {
   local TASKS_BLOCKED=0
   local LOOPS=0
   local CONSECUTIVE_UNEXPECTED=0
+  local STOP_REASON="queue-empty"
 
   touch "\$LOG" 2>/dev/null || true
   echo "[\$WORKER_ID] Worker \$WORKER_NUM started (worktree mode)" >> "\$LOG" 2>/dev/null
+  emit_event worker_start slot="\$WORKER_NUM"
+  TASK_ID="" PR_NUM=""
+  set_worker_state starting
 
   while true; do
     LOOPS=\$((LOOPS + 1))
+    TASK_ID="" PR_NUM=""
+    set_worker_state claiming
 
     # Guard: max loops
     if [[ \$LOOPS -gt \$MAX_LOOPS_PER_WORKER ]]; then
       echo "[\$WORKER_ID] Max loops (\$MAX_LOOPS_PER_WORKER) reached" >> "\$LOG" 2>/dev/null
       notify "WARN" "Worker \$WORKER_NUM hit max loops (\$MAX_LOOPS_PER_WORKER)"
+      STOP_REASON="max-loops"
       break
     fi
 
     # Check force exit
     if [[ -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" ]]; then
       echo "[\$WORKER_ID] Force exit detected" >> "\$LOG" 2>/dev/null
+      STOP_REASON="force-exit"
+      break
+    fi
+
+    # Check token/cost budget (state.json "budget")
+    if BUDGET_REASON=\$(budget_exhausted); then
+      echo "[\$WORKER_ID] Budget exhausted: \$BUDGET_REASON" >> "\$LOG" 2>/dev/null
+      STOP_REASON="budget"
       break
     fi
 
     echo "" >> "\$LOG" 2>/dev/null
     echo "[\$WORKER_ID] === Loop \$LOOPS ===" >> "\$LOG" 2>/dev/null
 
-    # --- Step 1: Create worktree ---
+    # --- Resume: finish a task an earlier run left mid-pipeline ---
+    if RESUME=\$(node "\$INFLIGHT" take "\$ABSOLUTE_DEEP_DIR" "\$WORKER_ID" "\$RUN_ID" "\$WORKER_NUM" 2>>"\$LOG"); then
+      IFS='|' read -r TASK_ID RESUME_BRANCH PR_NUM RESUME_STAGE TASK_TITLE <<< "\$RESUME"
+      echo "[\$WORKER_ID] Resuming \$TASK_ID at \$RESUME_STAGE (branch: \$RESUME_BRANCH, PR: \${PR_NUM:-none})" >> "\$LOG" 2>/dev/null
+      emit_event resume task="\$TASK_ID" pr="\$PR_NUM" stage="\$RESUME_STAGE" branch="\$RESUME_BRANCH"
+      set_worker_state worktree
+      start_task_clock
+      WT_DIR="" WT_BRANCH=""
+      if reattach_worktree "\$WORKER_NUM" "\$RESUME_BRANCH"; then
+        finish_task "\$RESUME_STAGE"
+      else
+        echo "[\$WORKER_ID] Branch \$RESUME_BRANCH not found, dropping \$TASK_ID" >> "\$LOG" 2>/dev/null
+        TASKS_FAILED=\$((TASKS_FAILED + 1))
+        log_failure "\$TASK_ID" "\$WORKER_ID" "resume-failed" "Branch \$RESUME_BRANCH not found"
+        fail_queued_task "resume-failed" "Branch \$RESUME_BRANCH not found"
+        node "\$INFLIGHT" clear "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null || true
+        cleanup_worktree "\$WORKER_NUM" "" 0
+      fi
+      sleep 2
+      continue
+    fi
+
+    # --- Step 1: Claim next eligible task (lock-protected) ---
+    TASK_ID=\$(node "\$TASK_QUEUE" claim "\$ABSOLUTE_DEEP_DIR" "\$WORKER_ID" 2>>"\$LOG")
+    CLAIM_RC=\$?
+    if [[ \$CLAIM_RC -eq 3 ]]; then
+      echo "[\$WORKER_ID] Queue empty, stopping" >> "\$LOG" 2>/dev/null
+      break
+    elif [[ \$CLAIM_RC -ne 0 || -z "\$TASK_ID" ]]; then
+      echo "[\$WORKER_ID] Claim failed (rc=\$CLAIM_RC), retrying in 5s..." >> "\$LOG" 2>/dev/null
+      sleep 5
+      CONSECUTIVE_UNEXPECTED=\$((CONSECUTIVE_UNEXPECTED + 1))
+      if [[ \$CONSECUTIVE_UNEXPECTED -ge 3 ]]; then
+        echo "[\$WORKER_ID] 3 consecutive claim failures, stopping" >> "\$LOG" 2>/dev/null
+        STOP_REASON="claim-failures"
+        break
+      fi
+      continue
+    fi
+    echo "[\$WORKER_ID] Claimed \$TASK_ID" >> "\$LOG" 2>/dev/null
+    emit_event claim task="\$TASK_ID" loop="\$LOOPS"
+    start_task_clock
+
+    # --- Step 2: Create worktree ---
     echo "[\$WORKER_ID] Creating worktree..." >> "\$LOG" 2>/dev/null
+    set_worker_state worktree
     WT_DIR="" WT_BRANCH=""
     if ! create_worktree "\$WORKER_NUM" "\$LOOPS"; then
       echo "[\$WORKER_ID] Failed to create worktree, retrying in 5s..." >> "\$LOG" 2>/dev/null
+      node "\$TASK_QUEUE" release "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null || true
+      emit_event task_released task="\$TASK_ID" reason=worktree-failed
       sleep 5
       CONSECUTIVE_UNEXPECTED=\$((CONSECUTIVE_UNEXPECTED + 1))
       if [[ \$CONSECUTIVE_UNEXPECTED -ge 3 ]]; then
         echo "[\$WORKER_ID] 3 consecutive worktree failures, stopping" >> "\$LOG" 2>/dev/null
+        STOP_REASON="worktree-failures"
         break
       fi
       continue
     fi
     echo "[\$WORKER_ID] Worktree: \$WT_DIR (branch: \$WT_BRANCH)" >> "\$LOG" 2>/dev/null
+    save_inflight building branch="\$WT_BRANCH"
 
-    # --- Step 2: Start heartbeat ---
+    # --- Step 3: Start heartbeat (renews the claim every minute) ---
     HEARTBEAT_FILE="$DEEP_DIR/worker-\${WORKER_NUM}.heartbeat"
-    (while true; do
-      echo "\$(date '+%H:%M:%S') loop=\$LOOPS" > "\$HEARTBEAT_FILE"
+    (TICK=0; while true; do
+      echo "\$(date '+%H:%M:%S') loop=\$LOOPS task=\$TASK_ID" > "\$HEARTBEAT_FILE"
+      TICK=\$((TICK + 1))
+      if [[ \$((TICK % 4)) -eq 0 ]]; then
+        node "\$TASK_QUEUE" renew "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" "\$WORKER_ID" 2>/dev/null || true
+      fi
       sleep 15
     done) &
     HEARTBEAT_PID=\$!
 
-    # --- Step 3: Run claude -p in worktree ---
+    # --- Step 4: Run claude -p in worktree ---
+    set_worker_state building
     WORKER_PROMPT='${escapedPrompt}'
-    # Replace placeholder with actual absolute path
-    WORKER_PROMPT=\$(echo "\$WORKER_PROMPT" | sed "s|{ABSOLUTE_DEEP_DIR}|\$ABSOLUTE_DEEP_DIR|g")
+    # Replace placeholders with actual absolute path and claimed task
+    WORKER_PROMPT=\$(echo "\$WORKER_PROMPT" | sed -e "s|{ABSOLUTE_DEEP_DIR}|\$ABSOLUTE_DEEP_DIR|g" -e "s|{TASK_ID}|\$TASK_ID|g")
+
+    # Inject only this task's block and its failure history
+    TASK_BLOCK=\$(node "\$TASK_QUEUE" show "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null)
+    TASK_FAILURES=\$(grep -F "| \$TASK_ID |" "\$ABSOLUTE_DEEP_DIR/failures.md" 2>/dev/null | tail -5)
     WORKER_PROMPT="\$WORKER_PROMPT
 
+YOUR TASK:
+\$TASK_BLOCK
+
+PREVIOUS FAILURES:
+\${TASK_FAILURES:-none}
+
 ADDITIONAL CONTEXT:
 - Your WORKER_ID is: \$WORKER_ID
 - Working directory (worktree): \$WT_DIR
-- Main repo: ${bashCwd}
-- IMPORTANT: When reading claims.json, if another worker claimed the same task, pick a different task."
+- Main repo: ${bashCwd}"
 
-    OUTPUT=\$(cd "\$WT_DIR" && env -u ANTHROPIC_API_KEY claude -p "\$WORKER_PROMPT" \\
-      --output-format text \\
-      --allowedTools "Read,Edit,Write,Bash,Grep,Glob,Task,Skill" \\
-      --dangerously-skip-permissions 2>&1 | tee -a "\$LOG" || true)
+    OUTPUT=\$(run_claude BUILD "\$WT_DIR" "\$WORKER_PROMPT" "Read,Edit,Write,Bash,Grep,Glob,Task,Skill" | tee -a "\$LOG" || true)
 
     # Kill heartbeat
     kill \$HEARTBEAT_PID 2>/dev/null; wait \$HEARTBEAT_PID 2>/dev/null
 
-    # --- Step 4: Parse result ---
-    if echo "\$OUTPUT" | grep -q "QUEUE_EMPTY"; then
-      echo "[\$WORKER_ID] Queue empty, stopping" >> "\$LOG" 2>/dev/null
+    # --- Step 5: Parse result (task id is the claimed one, not the model's) ---
+    if echo "\$OUTPUT" | grep -q "^CLAUDE_TIMEOUT:"; then
+      FAIL_DESC="task exceeded its \${TASK_TIMEOUT}s time budget"
+      echo "[\$WORKER_ID] ✗ \$TASK_ID timed out (\$FAIL_DESC)" >> "\$LOG" 2>/dev/null
+      TASKS_FAILED=\$((TASKS_FAILED + 1))
+      log_failure "\$TASK_ID" "\$WORKER_ID" "timeout" "\$FAIL_DESC"
+      node "\$TASK_QUEUE" fail "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" \\
+        --category timeout --reason "\$FAIL_DESC" >> "\$LOG" 2>&1 || true
+      node "\$INFLIGHT" clear "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null || true
       cleanup_worktree "\$WORKER_NUM" "\$WT_BRANCH" 0
       CONSECUTIVE_UNEXPECTED=0
-      break
 
     elif echo "\$OUTPUT" | grep -q "TASK_COMPLETE"; then
       TASK_INFO=\$(echo "\$OUTPUT" | grep "TASK_COMPLETE" | tail -1)
-      TASK_ID=\$(echo "\$TASK_INFO" | cut -d: -f2)
       COMMIT_SHA=\$(echo "\$TASK_INFO" | cut -d: -f3)
       TASK_TITLE=\$(echo "\$TASK_INFO" | cut -d: -f4-)
       echo "[\$WORKER_ID] Task complete: \$TASK_ID (\$COMMIT_SHA)" >> "\$LOG" 2>/dev/null
+      emit_event task_complete task="\$TASK_ID" commit="\$COMMIT_SHA" title="\$TASK_TITLE"
       CONSECUTIVE_UNEXPECTED=0
 
-      # --- Step 5: Rename branch to deep/{task-id} ---
+      # The task stays in tasks.md (in flight) until its PR merges
+
+      # --- Step 6: Rename branch to deep/{task-id} ---
       FINAL_BRANCH="deep/\$TASK_ID"
       git -C "\$WT_DIR" branch -m "\$WT_BRANCH" "\$FINAL_BRANCH" 2>/dev/null || true
       WT_BRANCH="\$FINAL_BRANCH"
 
-      # --- Step 6: PR/CI/Merge pipeline ---
-      echo "[\$WORKER_ID] Creating PR for \$TASK_ID..." >> "\$LOG" 2>/dev/null
-      PR_NUM=""
-      if create_pr "\$WT_BRANCH" "\$TASK_ID" "\$TASK_TITLE"; then
-        echo "[\$WORKER_ID] PR #\$PR_NUM created" >> "\$LOG" 2>/dev/null
+      save_inflight pr branch="\$WT_BRANCH" title="\$TASK_TITLE" commit="\$COMMIT_SHA"
 
-        # Wait for CI
-        echo "[\$WORKER_ID] Waiting for CI on PR #\$PR_NUM..." >> "\$LOG" 2>/dev/null
-        CI_ATTEMPTS=0
-        CI_PASSED=false
-
-        while [[ \$CI_ATTEMPTS -lt \$CI_FIX_MAX ]]; do
-          wait_for_ci "\$PR_NUM"
-          CI_RESULT=\$?
-
-          if [[ \$CI_RESULT -eq 0 ]]; then
-            CI_PASSED=true
-            break
-          elif [[ \$CI_RESULT -eq 2 ]]; then
-            echo "[\$WORKER_ID] CI timeout on PR #\$PR_NUM" >> "\$LOG" 2>/dev/null
-            break
-          fi
-
-          # CI failed — attempt fix
-          CI_ATTEMPTS=\$((CI_ATTEMPTS + 1))
-          echo "[\$WORKER_ID] CI failed (attempt \$CI_ATTEMPTS/\$CI_FIX_MAX), invoking fix..." >> "\$LOG" 2>/dev/null
-
-          FAILURE_OUTPUT=\$(get_ci_failure_output "\$PR_NUM")
-
-          CI_FIX_PROMPT='${escapedCiFixPrompt}'
-
-          FIX_OUTPUT=\$(cd "\$WT_DIR" && DEEP_CI_FAILURE_OUTPUT="\$FAILURE_OUTPUT" \\
-            env -u ANTHROPIC_API_KEY claude -p "\$CI_FIX_PROMPT
-
-CI FAILURE OUTPUT:
-\$FAILURE_OUTPUT" \\
-            --output-format text \\
-            --allowedTools "Read,Edit,Write,Bash,Grep,Glob" \\
-            --dangerously-skip-permissions 2>&1 | tee -a "\$LOG" || true)
-
-          if echo "\$FIX_OUTPUT" | grep -q "CI_FIX_COMPLETE:flake"; then
-            # Flaky test — push empty commit to re-trigger
-            echo "[\$WORKER_ID] Flake detected, pushing empty commit" >> "\$LOG" 2>/dev/null
-            (cd "\$WT_DIR" && git commit --allow-empty -m "[deep] re-trigger CI (flake)" && \\
-              git push origin "\$WT_BRANCH") 2>/dev/null
-          elif echo "\$FIX_OUTPUT" | grep -q "CI_FIX_COMPLETE"; then
-            echo "[\$WORKER_ID] CI fix applied, pushing..." >> "\$LOG" 2>/dev/null
-            (cd "\$WT_DIR" && git push origin "\$WT_BRANCH") 2>/dev/null
-          elif echo "\$FIX_OUTPUT" | grep -q "CI_FIX_FAILED"; then
-            FIX_REASON=\$(echo "\$FIX_OUTPUT" | grep "CI_FIX_FAILED" | tail -1 | cut -d: -f2-)
-            echo "[\$WORKER_ID] CI fix failed: \$FIX_REASON" >> "\$LOG" 2>/dev/null
-            break
-          fi
-        done
-
-        if \$CI_PASSED; then
-          # === MERGE QUEUE JUDGE GATE ===
-          SHOULD_MERGE=false
-
-          if [[ \$DEEP_JUDGE_ENABLED -eq 1 ]]; then
-            echo "[\$WORKER_ID] CI passed, running judge on PR #\$PR_NUM..." >> "\$LOG" 2>/dev/null
-            judge_pr "\$PR_NUM" "\$TASK_ID" "\$TASK_TITLE"
-            JUDGE_RESULT=\$?
-
-            if [[ \$JUDGE_RESULT -eq 0 ]]; then
-              echo "[\$WORKER_ID] Judge: MERGE_APPROVED" >> "\$LOG" 2>/dev/null
-              SHOULD_MERGE=true
-
-            elif [[ \$JUDGE_RESULT -eq 1 ]]; then
-              # NEEDS_WORK — one fix attempt
-              echo "[\$WORKER_ID] Judge: NEEDS_WORK — \$JUDGE_FEEDBACK" >> "\$LOG" 2>/dev/null
-              echo "[\$WORKER_ID] Attempting judge-feedback fix..." >> "\$LOG" 2>/dev/null
-
-              if fix_from_judge "\$JUDGE_FEEDBACK" "\$WT_DIR"; then
-                echo "[\$WORKER_ID] Judge fix applied, pushing..." >> "\$LOG" 2>/dev/null
-                (cd "\$WT_DIR" && git push origin "\$WT_BRANCH") 2>/dev/null
-
-                # Wait for CI on the fix
-                echo "[\$WORKER_ID] Waiting for CI after judge fix..." >> "\$LOG" 2>/dev/null
-                wait_for_ci "\$PR_NUM"
-                FIX_CI=\$?
-
-                if [[ \$FIX_CI -eq 0 ]]; then
-                  # Re-judge
-                  echo "[\$WORKER_ID] CI passed, re-judging PR #\$PR_NUM..." >> "\$LOG" 2>/dev/null
-                  judge_pr "\$PR_NUM" "\$TASK_ID" "\$TASK_TITLE"
-                  REJUDGE=\$?
-
-                  if [[ \$REJUDGE -eq 0 ]]; then
-                    echo "[\$WORKER_ID] Re-judge: MERGE_APPROVED" >> "\$LOG" 2>/dev/null
-                    SHOULD_MERGE=true
-                  else
-                    echo "[\$WORKER_ID] Re-judge: still rejected — closing PR" >> "\$LOG" 2>/dev/null
-                    (cd "$CWD" && gh pr close "\$PR_NUM" --comment "Judge rejected after fix attempt: \$JUDGE_FEEDBACK" --delete-branch) 2>/dev/null || true
-                    TASKS_FAILED=\$((TASKS_FAILED + 1))
-                    log_failure "\$TASK_ID" "\$WORKER_ID" "judge-rejected" "Rejected after fix: \$JUDGE_FEEDBACK"
-                  fi
-                else
-                  echo "[\$WORKER_ID] CI failed after judge fix, closing PR" >> "\$LOG" 2>/dev/null
-                  (cd "$CWD" && gh pr close "\$PR_NUM" --comment "CI failed after judge-feedback fix." --delete-branch) 2>/dev/null || true
-                  TASKS_FAILED=\$((TASKS_FAILED + 1))
-                  log_failure "\$TASK_ID" "\$WORKER_ID" "ci-failure" "CI failed after judge-feedback fix"
-                fi
-              else
-                echo "[\$WORKER_ID] Judge fix failed, closing PR" >> "\$LOG" 2>/dev/null
-                (cd "$CWD" && gh pr close "\$PR_NUM" --comment "Could not fix judge feedback: \$JUDGE_FEEDBACK" --delete-branch) 2>/dev/null || true
-                TASKS_FAILED=\$((TASKS_FAILED + 1))
-                log_failure "\$TASK_ID" "\$WORKER_ID" "judge-fix-failed" "Fix failed: \$JUDGE_FEEDBACK"
-              fi
-
-            else
-              # MERGE_REJECTED or judge crash
-              echo "[\$WORKER_ID] Judge: REJECTED — \$JUDGE_FEEDBACK" >> "\$LOG" 2>/dev/null
-              (cd "$CWD" && gh pr close "\$PR_NUM" --comment "Judge rejected: \$JUDGE_FEEDBACK" --delete-branch) 2>/dev/null || true
-              TASKS_FAILED=\$((TASKS_FAILED + 1))
-              log_failure "\$TASK_ID" "\$WORKER_ID" "judge-rejected" "\$JUDGE_FEEDBACK"
-            fi
-          else
-            # Judge disabled — merge directly
-            echo "[\$WORKER_ID] CI passed, judge disabled, merging PR #\$PR_NUM..." >> "\$LOG" 2>/dev/null
-            SHOULD_MERGE=true
-          fi
-
-          if \$SHOULD_MERGE; then
-            if merge_pr "\$PR_NUM"; then
-              echo "[\$WORKER_ID] ✓ PR #\$PR_NUM merged" >> "\$LOG" 2>/dev/null
-              TASKS_DONE=\$((TASKS_DONE + 1))
-            else
-              echo "[\$WORKER_ID] ⚠ Merge failed (conflict?), leaving PR open" >> "\$LOG" 2>/dev/null
-              TASKS_BLOCKED=\$((TASKS_BLOCKED + 1))
-              log_failure "\$TASK_ID" "\$WORKER_ID" "merge-conflict" "PR #\$PR_NUM merge failed"
-            fi
-          fi
-        else
-          # CI never passed
-          echo "[\$WORKER_ID] ✗ CI failed after \$CI_ATTEMPTS fixes, closing PR" >> "\$LOG" 2>/dev/null
-          (cd "$CWD" && gh pr close "\$PR_NUM" --comment "CI failed after \$CI_ATTEMPTS fix attempts. Closing." --delete-branch) 2>/dev/null || true
-          TASKS_FAILED=\$((TASKS_FAILED + 1))
-          log_failure "\$TASK_ID" "\$WORKER_ID" "ci-failure" "CI failed after \$CI_ATTEMPTS fix attempts"
-        fi
-      else
-        echo "[\$WORKER_ID] ⚠ Failed to create PR for \$TASK_ID" >> "\$LOG" 2>/dev/null
-        TASKS_FAILED=\$((TASKS_FAILED + 1))
-        log_failure "\$TASK_ID" "\$WORKER_ID" "pr-creation" "Failed to push branch or create PR"
-      fi
-
-      # Cleanup worktree (don't delete remote branch — PR handles it)
-      cleanup_worktree "\$WORKER_NUM" "\$WT_BRANCH" 0
+      # --- Step 7: PR/CI/Merge pipeline ---
+      finish_task pr
 
     elif echo "\$OUTPUT" | grep -q "TASK_FAILED"; then
       TASK_INFO=\$(echo "\$OUTPUT" | grep "TASK_FAILED" | tail -1)
-      TASK_ID=\$(echo "\$TASK_INFO" | cut -d: -f2)
       FAIL_CAT=\$(echo "\$TASK_INFO" | cut -d: -f3)
       FAIL_DESC=\$(echo "\$TASK_INFO" | cut -d: -f4-)
       echo "[\$WORKER_ID] ✗ \$TASK_INFO" >> "\$LOG" 2>/dev/null
       TASKS_FAILED=\$((TASKS_FAILED + 1))
       log_failure "\$TASK_ID" "\$WORKER_ID" "\$FAIL_CAT" "\$FAIL_DESC"
+      node "\$TASK_QUEUE" fail "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" \\
+        --category "\$FAIL_CAT" --reason "\$FAIL_DESC" >> "\$LOG" 2>&1 || true
+      node "\$INFLIGHT" clear "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null || true
       cleanup_worktree "\$WORKER_NUM" "\$WT_BRANCH" 0
       CONSECUTIVE_UNEXPECTED=0
 
     else
       CONSECUTIVE_UNEXPECTED=\$((CONSECUTIVE_UNEXPECTED + 1))
       echo "[\$WORKER_ID] No result token (streak: \$CONSECUTIVE_UNEXPECTED)" >> "\$LOG" 2>/dev/null
+      node "\$TASK_QUEUE" release "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null || true
+      emit_event task_released task="\$TASK_ID" reason=no-result-token
+      node "\$INFLIGHT" clear "\$ABSOLUTE_DEEP_DIR" "\$TASK_ID" 2>/dev/null || true
       cleanup_worktree "\$WORKER_NUM" "\$WT_BRANCH" 0
 
       if [[ \$CONSECUTIVE_UNEXPECTED -ge 3 ]]; then
         echo "[\$WORKER_ID] 3 consecutive failures, stopping" >> "\$LOG" 2>/dev/null
         notify "ERROR" "Worker \$WORKER_NUM stopped: 3 consecutive unexpected outputs"
+        STOP_REASON="unexpected-output"
         break
       fi
     fi
 
-    # Rebuild task index for next iteration
-    build_task_index
-
     # Brief pause before next claim
     sleep 2
   done
 
   echo "[\$WORKER_ID] Final: done=\$TASKS_DONE failed=\$TASKS_FAILED blocked=\$TASKS_BLOCKED" >> "\$LOG" 2>/dev/null
   echo "\$TASKS_DONE \$TASKS_FAILED \$TASKS_BLOCKED" > "$DEEP_DIR/worker-\${WORKER_NUM}.result" 2>/dev/null
+  set_worker_state "stopped:\$STOP_REASON"
+  emit_event worker_stop reason="\$STOP_REASON" done="\$TASKS_DONE" failed="\$TASKS_FAILED" blocked="\$TASKS_BLOCKED"
 }
 
 # ==========================================
@@ -963,13 +1240,14 @@ for i in \$(seq 1 $WORKERS); do
   PIDS[\$i]=\$!
   echo "Launched worker \$i (PID: \${PIDS[\$i]})"
   if [[ \$i -lt $WORKERS ]]; then
-    sleep 3  # Stagger to reduce claim contention
+    sleep 3  # Stagger API load; claims are lock-protected
   fi
 done
 
 echo ""
 echo "All $WORKERS workers launched. Waiting for completion..."
 echo "Monitor: tail -f $DEEP_DIR/worker-*.log"
+echo "Dashboard: node ${bashSrcDir}/dashboard.js $DEEP_DIR"
 echo ""
 
 # ==========================================
@@ -1095,10 +1373,13 @@ done
 #  RETRY WAVE (if tasks remain and we made progress)
 # ==========================================
 
-build_task_index
-REMAINING=\$(wc -l < "$DEEP_DIR/task-queue.txt" | tr -d ' ')
+REMAINING=\$(count_eligible_tasks)
 
-if [[ \$REMAINING -gt 0 && \$TOTAL_DONE -gt 0 ]]; then
+if BUDGET_REASON=\$(budget_exhausted); then
+  echo ""
+  echo "Budget exhausted: \$BUDGET_REASON — no retry wave"
+  notify "BUDGET" "Stopped: \$BUDGET_REASON"
+elif [[ \$REMAINING -gt 0 && \$TOTAL_DONE -gt 0 ]]; then
   echo ""
   echo "=========================================="
   echo "  RETRY WAVE - \$REMAINING tasks remaining"
@@ -1156,6 +1437,8 @@ echo "Completed: \$TOTAL_DONE"
 echo "Failed: \$TOTAL_FAILED"
 echo "Blocked: \$TOTAL_BLOCKED"
 echo ""
+node "\$BUDGET" report "$DEEP_DIR" 2>/dev/null
+echo ""
 
 # Show completed tasks
 if [[ -f "$DEEP_DIR/completed-tasks.md" ]]; then
@@ -1171,8 +1454,7 @@ if [[ -f "$DEEP_DIR/failures.md" ]]; then
 fi
 
 # Show remaining
-build_task_index
-FINAL_REMAINING=\$(wc -l < "$DEEP_DIR/task-queue.txt" | tr -d ' ')
+FINAL_REMAINING=\$(count_eligible_tasks)
 [[ \$FINAL_REMAINING -gt 0 ]] && echo "Tasks remaining: \$FINAL_REMAINING"
 
 # ==========================================
@@ -1191,13 +1473,15 @@ git -C "$CWD" worktree prune 2>/dev/null || true
 
 # Cleanup temp files
 rm -f $DEEP_DIR/worker-*.result
+rm -f $DEEP_DIR/worker-*.status
 rm -f $DEEP_DIR/worker-*.heartbeat
 rm -f $DEEP_DIR/worker-*.stale-notified
-rm -f "$DEEP_DIR/task-queue.txt" "$DEEP_DIR/task-queue.txt.tmp" 2>/dev/null || true
 rm -f "$DEEP_DIR/FORCE_EXECUTE_EXIT" 2>/dev/null || true
 rm -f "$DEEP_DIR/monitor.log" 2>/dev/null || true
 
-SUMMARY="Done: \$TOTAL_DONE | Failed: \$TOTAL_FAILED | Blocked: \$TOTAL_BLOCKED | Time: \${MINUTES}m \${SECONDS_REM}s"
+SUMMARY="Done: \$TOTAL_DONE | Failed: \$TOTAL_FAILED | Blocked: \$TOTAL_BLOCKED | Time: \${MINUTES}m \${SECONDS_REM}s | Spend: \$(node "\$BUDGET" report "$DEEP_DIR" --short)"
+emit_event run_end result=complete done="\$TOTAL_DONE" failed="\$TOTAL_FAILED" blocked="\$TOTAL_BLOCKED" duration_s="\$DURATION"
+echo "Event log: node \$EVENTS summary $DEEP_DIR"
 notify "COMPLETE" "✅ \$SUMMARY"
 
 EXIT_CODE=0
@@ -1205,8 +1489,7 @@ EXIT_CODE=0
 exit \$EXIT_CODE
 `;
 
-  // Ensure .deep directory exists
-  const deepDir = path.join(cwd, '.deep');
+  // Ensure the session directory exists
   if (!fs.existsSync(deepDir)) {
     fs.mkdirSync(deepDir, { recursive: true });
   }
@@ -1217,21 +1500,31 @@ exit \$EXIT_CODE
 
 /**
  * CLI entry point
- * Usage: node generate-execute-script.js <workers> <cwd>
+ * Usage: node generate-execute-script.js <workers> <cwd> [--forge <name>] [--base <branch>] [--session-id <id>]
  */
 if (process.argv[1] && process.argv[1].endsWith('generate-execute-script.js')) {
-  const args = process.argv.slice(2);
-
-  if (args.length < 2) {
-    console.error('Usage: generate-execute-script.js <workers> <cwd>');
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      forge: { type: 'string' },
+      base: { type: 'string' },
+      'session-id': { type: 'string' }
+    },
+    allowPositionals: true
+  });
+
+  if (positionals.length < 2) {
+    console.error(`Usage: generate-execute-script.js <workers> <cwd> [--forge ${FORGE_NAMES.join('|')}] [--base <branch>] [--session-id <id>]`);
     process.exit(1);
   }
 
-  const workers = parseInt(args[0]) || 3;
-  const cwd = args[1];
+  const workers = parseInt(positionals[0]) || 3;
+  const cwd = positionals[1];
 
   try {
-    const scriptPath = generateExecuteScript({ workers, cwd });
+    const scriptPath = generateExecuteScript({
+      workers, cwd, forge: values.forge, baseBranch: values.base, sessionId: values['session-id']
+    });
     console.log(`Generated: ${scriptPath}`);
   } catch (err) {
     console.error('Error generating script:', err.message);
@@ -14,17 +14,30 @@
  * - Uses OAuth tokens from ~/.claude/.credentials.json
  * - No env vars needed
  * - --dangerously-skip-permissions for full autonomy
+ *
+ * Budget: each iteration runs with --output-format json and budget.js
+ * records its usage; the loop stops once state.json "budget" is spent.
+ *
+ * The script exports DEEP_SESSION_ID, so the hooks of every claude -p it
+ * runs resolve the same session directory (see session.js), and holds the
+ * repo lock while it runs (see repo-lock.js; DEEP_TAKEOVER_LOCK=1 replaces
+ * another live holder).
  */
 
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveConfig } from './config.js';
+import { resolveSession } from './session.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
  * Generate loop.sh script for external loop mode
  * @param {Object} options Configuration options
  * @param {string} options.sessionId First 8 chars of session ID
  * @param {string} options.taskDescription Full task description
- * @param {number} options.maxIterations Max iterations (default 10)
+ * @param {number} [options.maxIterations] Max iterations (default: config loop.maxIterations)
  * @param {string} options.cwd Current working directory
  * @param {boolean} options.ralphMode Enable Ralph mode for multi-session task claiming
  * @param {boolean} options.taskSyncEnabled Enable Task Sync integration
@@ -34,17 +47,19 @@ export function generateLoopScript(options) {
   const {
     sessionId,
     taskDescription,
-    maxIterations = 10,
     cwd = process.cwd(),
     ralphMode = false,
     taskSyncEnabled = process.env.DEEP_LOOP_TASKS_ENABLED === 'true'
   } = options;
 
-  const deepDir = `.deep-${sessionId}`;
-  const scriptPath = path.join(cwd, deepDir, 'loop.sh');
+  const session = resolveSession({ sessionId, cwd });
+  const maxIterations = options.maxIterations || resolveConfig(session.root).loop.maxIterations;
+  const deepDir = session.dir;
+  const scriptPath = path.join(deepDir, 'loop.sh');
 
   // Normalize Windows paths to forward slashes for bash
   const bashCwd = cwd.replace(/\\/g, '/');
+  const bashSrcDir = __dirname.replace(/\\/g, '/');
 
   // Escape task description for bash
   const escapedTask = taskDescription.replace(/'/g, "'\\''");
@@ -68,22 +83,21 @@ ${ralphMode ? `- Ralph Mode: Query TaskList() to claim unclaimed atomic tasks
 # Task Sync: ${taskSyncEnabled ? 'enabled' : 'disabled'}
 
 set -e
-DEEP_DIR="${deepDir}"
+DEEP_DIR="${deepDir.replace(/\\/g, '/')}"
+export DEEP_SESSION_ID="${sessionId}"
 LOG_FILE="$DEEP_DIR/loop.log"
 TASK='${escapedTask}'
 CWD="${bashCwd}"
+NOTIFY="${bashSrcDir}/notify.js"
+BUDGET="${bashSrcDir}/budget.js"
+REPO_LOCK="${bashSrcDir}/repo-lock.js"
 
-# Telegram notification function
+# Notify the project's channels (see notify.js); filtered by status there
 notify() {
   local status="$1"
   local message="$2"
-  if [[ -n "\${TELEGRAM_BOT_TOKEN:-}" && -n "\${TELEGRAM_CHAT_ID:-}" ]]; then
-    curl -s -X POST "https://api.telegram.org/bot\$TELEGRAM_BOT_TOKEN/sendMessage" \\
-      -d chat_id="\$TELEGRAM_CHAT_ID" \\
-      -d text="🔄 Deep Loop [\$status]: \${TASK:0:50}...
-\$message" \\
-      -d parse_mode="Markdown" > /dev/null 2>&1 || true
-  fi
+  node "\$NOTIFY" "\$status" "\${TASK:0:50}...
+\$message" --cwd "$CWD" --source loop >/dev/null 2>>"$DEEP_DIR/notify-errors.log" || true
 }
 
 # Ensure we're in the right directory
@@ -96,6 +110,19 @@ if ! command -v claude &> /dev/null; then
   exit 1
 fi
 
+# One deep run per checkout (see repo-lock.js)
+LOCK_ARGS=(--cwd "$CWD" --owner loop.sh --pid \$\$ --session "\$DEEP_SESSION_ID")
+[[ "\${DEEP_TAKEOVER_LOCK:-0}" == "1" ]] && LOCK_ARGS+=(--takeover)
+LOCK_RC=0
+node "\$REPO_LOCK" acquire "\${LOCK_ARGS[@]}" || LOCK_RC=\$?
+if [[ \$LOCK_RC -eq 3 ]]; then
+  echo "Error: repo is locked by another deep run (details above). Rerun with DEEP_TAKEOVER_LOCK=1 to take over."
+  exit 1
+elif [[ \$LOCK_RC -ne 0 ]]; then
+  echo "Warning: could not take the repo lock; continuing without it"
+fi
+trap 'node "\$REPO_LOCK" release --cwd "$CWD" --pid \$\$ 2>/dev/null || true' EXIT
+
 echo "=========================================="
 echo "  DEEP LOOP - EXTERNAL MODE"
 echo "=========================================="
@@ -113,6 +140,9 @@ echo ""
 
 notify "STARTED" "Beginning autonomous execution..."
 
+# usage.json tallies this loop, keyed by its state.json startedAt (see budget.js)
+LOOP_RUN=\$(node -p 'JSON.parse(require("fs").readFileSync(process.argv[1], "utf8")).startedAt || ""' "$DEEP_DIR/state.json" 2>/dev/null || true)
+
 iteration=0
 max_iterations=${maxIterations}
 
@@ -150,10 +180,12 @@ When ALL work is complete: <promise>DEEP_COMPLETE</promise>"
 
   # Run Claude Code CLI with the phase prompt
   # Unset ANTHROPIC_API_KEY to force OAuth token usage (Windows fix)
+  # JSON output goes through budget.js, which records usage for the current
+  # phase in $DEEP_DIR/usage.json and prints the result text
   if ! env -u ANTHROPIC_API_KEY claude -p "\$PHASE_PROMPT" \\
-    --output-format text \\
+    --output-format json \\
     --allowedTools "Read,Edit,Write,Bash,Grep,Glob,Task,Skill" \\
-    --dangerously-skip-permissions 2>&1 | tee -a "\$LOG_FILE"; then
+    --dangerously-skip-permissions 2>&1 | node "\$BUDGET" record "$DEEP_DIR" \${LOOP_RUN:+--run "\$LOOP_RUN"} | tee -a "\$LOG_FILE"; then
     echo "Claude exited with error at iteration \$iteration" | tee -a "\$LOG_FILE"
     notify "ERROR" "Claude exited with error at iteration \$iteration"
   fi
@@ -166,6 +198,7 @@ When ALL work is complete: <promise>DEEP_COMPLETE</promise>"
       echo "  DEEP LOOP COMPLETE"
       echo "=========================================="
       echo "Iterations: \$iteration"
+      node "\$BUDGET" report "$DEEP_DIR" 2>/dev/null || true
       notify "COMPLETE" "✅ All tasks finished successfully! Iterations: \$iteration"
       exit 0
     fi
@@ -180,6 +213,18 @@ When ALL work is complete: <promise>DEEP_COMPLETE</promise>"
     exit 0
   fi
 
+  # Token/cost ceiling (state.json "budget")
+  BUDGET_RC=0
+  BUDGET_REASON=\$(node "\$BUDGET" check "$DEEP_DIR") || BUDGET_RC=\$?
+  if [[ \$BUDGET_RC -eq 4 ]]; then
+    echo ""
+    echo "Budget exhausted: \$BUDGET_REASON"
+    node "\$BUDGET" report "$DEEP_DIR" | tee -a "\$LOG_FILE"
+    echo "To continue: raise budget.maxTokens / budget.maxCostUsd in state.json and re-run"
+    notify "BUDGET" "Stopped at iteration \$iteration: \$BUDGET_REASON"
+    exit 1
+  fi
+
   # Safety: max iterations
   if [[ \$iteration -ge \$max_iterations ]]; then
     echo ""
@@ -195,9 +240,8 @@ done
 `;
 
   // Ensure directory exists
-  const dirPath = path.join(cwd, deepDir);
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
+  if (!fs.existsSync(deepDir)) {
+    fs.mkdirSync(deepDir, { recursive: true });
   }
 
   // Write script
@@ -220,7 +264,7 @@ if (process.argv[1] && process.argv[1].endsWith('generate-loop-script.js')) {
 
   const sessionId = args[0];
   const taskDescription = args[1];
-  const maxIterations = parseInt(args[2]) || 10;
+  const maxIterations = parseInt(args[2]) || undefined;
 
   try {
     const scriptPath = generateLoopScript({
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * In-Flight Task State
+ *
+ * execute.sh records each task's position in the PR/CI/merge pipeline in
+ * .deep/inflight.json, keyed by task id:
+ *   {"task-004": {"worker":"w1-...","slot":1,"run":"...","branch":"deep/task-004",
+ *                 "pr":"12","stage":"ci","title":"...","updatedAt":"..."}}
+ *
+ * Stages: building (claude -p running), pr (committed, no PR yet),
+ * ci (PR open), judging (CI passed), merging (judge approved).
+ *
+ * The entry is removed when the pipeline finishes. Anything left over
+ * after a crash or Ctrl+C is picked up by the next launch. A worker
+ * "takes" an entry from an earlier run and continues from its stage
+ * instead of claiming new work. Interrupted builds have no commit to
+ * resume, so their claims are released.
+ *
+ * Usage: node inflight.js <command> <deepDir> [args]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { withLock, writeFileAtomic } from './file-lock.js';
+import { releaseClaim } from './task-queue.js';
+
+export const INFLIGHT_FILE = 'inflight.json';
+
+/** Stages a worker can resume from, in pipeline order */
+export const RESUMABLE_STAGES = ['pr', 'ci', 'judging', 'merging'];
+
+function inflightPaths(deepDir) {
+  return {
+    file: path.join(deepDir, INFLIGHT_FILE),
+    lock: path.join(deepDir, 'inflight.lock')
+  };
+}
+
+/**
+ * Read all in-flight entries
+ * @param {string} deepDir
+ * @returns {Object<string, Object>} Entries keyed by task id
+ */
+export function readInflight(deepDir) {
+  try {
+    return JSON.parse(fs.readFileSync(inflightPaths(deepDir).file, 'utf8')) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeInflight(deepDir, entries) {
+  writeFileAtomic(inflightPaths(deepDir).file, JSON.stringify(entries, null, 2));
+}
+
+function withInflightLock(deepDir, fn) {
+  return withLock(inflightPaths(deepDir).lock, fn);
+}
+
+/**
+ * Create or update a task's entry
+ * @param {string} deepDir
+ * @param {string} taskId
+ * @param {Object} fields stage, worker, slot, run, branch, pr, title, ...
+ * @returns {Object} The updated entry
+ */
+export function updateInflight(deepDir, taskId, fields) {
+  return withInflightLock(deepDir, () => {
+    const entries = readInflight(deepDir);
+    entries[taskId] = { ...entries[taskId], ...fields, updatedAt: new Date().toISOString() };
+    writeInflight(deepDir, entries);
+    return entries[taskId];
+  });
+}
+
+/**
+ * Drop a task's entry (pipeline finished, or nothing left to resume)
+ * @returns {boolean} false if there was no entry
+ */
+export function clearInflight(deepDir, taskId) {
+  return withInflightLock(deepDir, () => {
+    const entries = readInflight(deepDir);
+    if (!(taskId in entries)) return false;
+    delete entries[taskId];
+    writeInflight(deepDir, entries);
+    return true;
+  });
+}
+
+/**
+ * Hand a worker the earliest-stage entry left by another run (or detached
+ * from a dead worker), re-owning it so no other worker takes it too.
+ * @param {string} deepDir
+ * @param {Object} owner
+ * @param {string} owner.worker
+ * @param {string} owner.run
+ * @param {number} [owner.slot]
+ * @returns {{task: string}|null} The entry (with its task id), or null
+ */
+export function takeInflight(deepDir, { worker, run, slot = null }) {
+  return withInflightLock(deepDir, () => {
+    const entries = readInflight(deepDir);
+    const candidates = Object.entries(entries)
+      .filter(([, e]) => e.run !== run && RESUMABLE_STAGES.includes(e.stage) && e.branch)
+      .sort(([, a], [, b]) => RESUMABLE_STAGES.indexOf(a.stage) - RESUMABLE_STAGES.indexOf(b.stage));
+    if (candidates.length === 0) return null;
+
+    const [taskId, entry] = candidates[0];
+    entries[taskId] = { ...entry, worker, run, slot, updatedAt: new Date().toISOString() };
+    writeInflight(deepDir, entries);
+    return { task: taskId, ...entries[taskId] };
+  });
+}
+
+// Interrupted builds: nothing committed yet, so give the task back to the queue
+function dropBuilding(deepDir, entries, taskIds) {
+  for (const id of taskIds) {
+    releaseClaim(deepDir, id);
+    delete entries[id];
+  }
+}
+
+/**
+ * Release a dead worker's entries so its replacement (or any worker) can
+ * take them. Pipeline entries are kept for resume; builds are released.
+ * @param {string} deepDir
+ * @param {number} slot
+ * @returns {string[]} Task ids detached
+ */
+export function detachSlot(deepDir, slot) {
+  return withInflightLock(deepDir, () => {
+    const entries = readInflight(deepDir);
+    const ids = Object.keys(entries).filter(id => Number(entries[id].slot) === Number(slot));
+    dropBuilding(deepDir, entries, ids.filter(id => entries[id].stage === 'building'));
+    for (const id of ids) {
+      if (entries[id]) entries[id].run = null;
+    }
+    if (ids.length > 0) writeInflight(deepDir, entries);
+    return ids;
+  });
+}
+
+/**
+ * Startup pass: release interrupted builds, keep everything resumable
+ * @param {string} deepDir
+ * @returns {{released: string[], resumable: string[]}}
+ */
+export function recoverInflight(deepDir) {
+  return withInflightLock(deepDir, () => {
+    const entries = readInflight(deepDir);
+    const released = Object.keys(entries).filter(id => !RESUMABLE_STAGES.includes(entries[id].stage));
+    dropBuilding(deepDir, entries, released);
+    if (released.length > 0) writeInflight(deepDir, entries);
+    return { released, resumable: Object.keys(entries) };
+  });
+}
+
+/**
+ * Branches that must survive orphan cleanup
+ * @param {string} deepDir
+ * @returns {string[]}
+ */
+export function inflightBranches(deepDir) {
+  return Object.values(readInflight(deepDir))
+    .filter(e => RESUMABLE_STAGES.includes(e.stage) && e.branch)
+    .map(e => e.branch);
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: inflight.js <command> <deepDir> [args]
+
+Commands:
+  set <deepDir> <taskId> [key=value]...   Create or update an entry
+  clear <deepDir> <taskId>                Drop an entry
+  take <deepDir> <workerId> <runId> [slot]
+                                          Take a resumable entry, print
+                                          task|branch|pr|stage|title (exit 3 if none)
+  detach <deepDir> --slot N               Release a dead worker's entries
+  recover <deepDir>                       Release interrupted builds
+  branches <deepDir>                      Branches to keep during cleanup
+  list <deepDir> [--json]                 Show entries`;
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean' },
+      slot: { type: 'string' }
+    }
+  });
+
+  const [command, deepDir, ...rest] = positionals;
+  if (!command || !deepDir) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  switch (command) {
+    case 'set': {
+      const [taskId, ...pairs] = rest;
+      if (!taskId) {
+        console.error('set requires a task id');
+        return 1;
+      }
+      const fields = {};
+      for (const pair of pairs) {
+        const eq = pair.indexOf('=');
+        if (eq > 0) fields[pair.slice(0, eq)] = pair.slice(eq + 1);
+      }
+      if (fields.slot !== undefined) fields.slot = Number(fields.slot) || null;
+      updateInflight(deepDir, taskId, fields);
+      return 0;
+    }
+
+    case 'clear':
+      clearInflight(deepDir, rest[0]);
+      return 0;
+
+    case 'take': {
+      const [worker, run, slot] = rest;
+      if (!worker || !run) {
+        console.error(USAGE);
+        return 1;
+      }
+      const entry = takeInflight(deepDir, { worker, run, slot: slot ? Number(slot) : null });
+      if (!entry) return 3;
+      console.log([entry.task, entry.branch, entry.pr || '', entry.stage, entry.title || ''].join('|'));
+      return 0;
+    }
+
+    case 'detach':
+      if (!values.slot) {
+        console.error('detach requires --slot');
+        return 1;
+      }
+      for (const id of detachSlot(deepDir, values.slot)) console.log(`Detached: ${id}`);
+      return 0;
+
+    case 'recover': {
+      const { released, resumable } = recoverInflight(deepDir);
+      for (const id of released) console.log(`Released interrupted build: ${id}`);
+      for (const id of resumable) console.log(`Resumable: ${id}`);
+      return 0;
+    }
+
+    case 'branches':
+      for (const branch of inflightBranches(deepDir)) console.log(branch);
+      return 0;
+
+    case 'list': {
+      const entries = readInflight(deepDir);
+      if (values.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return 0;
+      }
+      for (const [id, e] of Object.entries(entries)) {
+        console.log(`${id}  ${e.stage}  ${e.branch || '-'}  ${e.pr ? `PR ${e.pr}` : '-'}  ${e.worker || '(detached)'}`);
+      }
+      return 0;
+    }
+
+    default:
+      console.error(`Unknown command: ${command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node inflight.js <command> <deepDir> [args]
+ */
+if (process.argv[1] && process.argv[1].endsWith('inflight.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * Notifier
+ *
+ * loop.sh and execute.sh call this instead of curling Telegram directly.
+ * Channels come from the "notify" section of the project config
+ * (.deeploop.json or package.json "deep-loop"):
+ *
+ *   "notify": {
+ *     "events": ["COMPLETE", "ERROR"],
+ *     "channels": [
+ *       { "type": "slack", "url": "$SLACK_WEBHOOK_URL" },
+ *       { "type": "desktop", "events": ["*"] },
+ *       { "type": "file", "path": ".deep/notifications.log" }
+ *     ]
+ *   }
+ *
+ * Channel types: telegram, slack, discord, webhook, desktop, email, file.
+ * String settings (and webhook header values) may reference environment
+ * variables ($NAME or ${NAME}) so secrets stay out of the repo. `events`
+ * filters by status (STARTED, COMPLETE, ERROR, WARN, ...), per channel or
+ * for all; "*" or no filter sends everything. With no channels configured,
+ * TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID still enable Telegram.
+ *
+ * HTTP sinks take their endpoint from config (telegram: apiBase), so they
+ * can be pointed at a local stand-in server.
+ *
+ * Usage: node notify.js <status> <message> [--cwd DIR] [--source loop|execute] [--dry-run]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { parseArgs } from 'util';
+import { resolveConfig } from './config.js';
+
+const HTTP_TIMEOUT_MS = 10000;
+
+const TITLES = {
+  execute: '⚡ Deep Execute',
+  loop: '🔄 Deep Loop'
+};
+
+/**
+ * Replace $NAME / ${NAME} with environment values (missing → empty)
+ * @param {*} value
+ * @param {Object} env
+ */
+export function expandEnv(value, env = process.env) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{(\w+)\}|\$(\w+)/g, (_, braced, bare) => env[braced || bare] ?? '');
+}
+
+function expandChannel(channel, env) {
+  const expanded = {};
+  for (const [key, value] of Object.entries(channel)) {
+    if (key === 'events') expanded[key] = value;
+    else if (value && typeof value === 'object' && !Array.isArray(value)) expanded[key] = expandChannel(value, env); // headers
+    else expanded[key] = expandEnv(value, env);
+  }
+  return expanded;
+}
+
+/**
+ * Channels for a project: config channels, else Telegram from the environment
+ * @param {Object} config Project config (see config.js)
+ * @param {Object} [env]
+ * @returns {Object[]}
+ */
+export function resolveChannels(config, env = process.env) {
+  const channels = config?.notify?.channels;
+  if (Array.isArray(channels) && channels.length > 0) {
+    return channels.filter(c => c && c.enabled !== false).map(c => expandChannel(c, env));
+  }
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    return [{ type: 'telegram', token: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID }];
+  }
+  return [];
+}
+
+/**
+ * Whether a channel wants this status (channel filter > global filter > all)
+ * @param {Object} channel
+ * @param {string} status
+ * @param {string[]} [globalEvents]
+ */
+export function shouldNotify(channel, status, globalEvents) {
+  const events = channel.events || globalEvents;
+  if (!Array.isArray(events) || events.length === 0) return true;
+  return events.some(e => e === '*' || String(e).toUpperCase() === status.toUpperCase());
+}
+
+/**
+ * One-line title plus message, as every sink sends it
+ * @param {{source?: string, status: string, message: string}} notification
+ */
+export function formatMessage({ source, status, message }) {
+  const title = TITLES[source] || '🔔 Deep Loop';
+  return `${title} [${status}]: ${message}`;
+}
+
+// ==========================================
+//  SINKS
+// ==========================================
+
+async function postJson(url, body, headers = {}) {
+  if (!url) throw new Error('missing url');
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+function run(command, args, input) {
+  const result = spawnSync(command, args, { input, stdio: ['pipe', 'ignore', 'pipe'], timeout: HTTP_TIMEOUT_MS });
+  if (result.error) throw result.error;
+  if (result.status !== 0) throw new Error(`${command} exited ${result.status}`);
+}
+
+/**
+ * Sink per channel type: (channel, notification, text, cwd) => Promise<void>
+ */
+export const SINKS = {
+  async telegram(channel, notification, text) {
+    if (!channel.token || !channel.chatId) throw new Error('missing token or chatId');
+    const base = channel.apiBase || 'https://api.telegram.org';
+    const res = await fetch(`${base}/bot${channel.token}/sendMessage`, {
+      method: 'POST',
+      body: new URLSearchParams({ chat_id: channel.chatId, text, parse_mode: 'Markdown' }),
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  },
+
+  async slack(channel, notification, text) {
+    await postJson(channel.url, { text });
+  },
+
+  async discord(channel, notification, text) {
+    await postJson(channel.url, { content: text });
+  },
+
+  async webhook(channel, notification, text, cwd) {
+    await postJson(channel.url, {
+      ...notification,
+      text,
+      project: path.basename(cwd),
+      ts: new Date().toISOString()
+    }, channel.headers);
+  },
+
+  async desktop(channel, notification) {
+    const title = `${TITLES[notification.source] || 'Deep Loop'} [${notification.status}]`;
+    if (process.platform === 'darwin') {
+      const quote = (s) => JSON.stringify(String(s));
+      run('osascript', ['-e', `display notification ${quote(notification.message)} with title ${quote(title)}`]);
+    } else {
+      run(channel.command || 'notify-send', [title, notification.message]);
+    }
+  },
+
+  async email(channel, notification, text) {
+    if (!channel.to) throw new Error('missing to');
+    const mail = [
+      `To: ${channel.to}`,
+      ...(channel.from ? [`From: ${channel.from}`] : []),
+      `Subject: ${text.split('\n')[0].slice(0, 120)}`,
+      '',
+      text,
+      ''
+    ].join('\n');
+    run(channel.sendmail || 'sendmail', ['-t'], mail);
+  },
+
+  async file(channel, notification, text, cwd) {
+    const filePath = path.resolve(cwd, channel.path || '.deep/notifications.log');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${new Date().toISOString()} ${text.replace(/\n/g, ' ')}\n`);
+  }
+};
+
+export const CHANNEL_TYPES = Object.keys(SINKS);
+
+/**
+ * Send a notification to every configured channel that wants it.
+ * Sink errors are collected, never thrown — a broken webhook must not
+ * stop a worker.
+ * @param {Object} options
+ * @param {string} options.status
+ * @param {string} options.message
+ * @param {string} [options.source] loop | execute
+ * @param {string} [options.cwd] Project root (for config and file paths)
+ * @param {Object} [options.config] Overrides resolveConfig(cwd)
+ * @param {boolean} [options.dryRun] Resolve and filter only
+ * @returns {Promise<Array<{type: string, sent: boolean, skipped?: boolean, error?: string}>>}
+ */
+export async function sendNotification({ status, message, source, cwd = process.cwd(), config, dryRun = false }) {
+  const cfg = config || resolveConfig(cwd);
+  const notification = { source: source || null, status, message };
+  const text = formatMessage(notification);
+
+  return Promise.all(resolveChannels(cfg).map(async (channel) => {
+    const type = channel.type;
+    if (!SINKS[type]) return { type, sent: false, error: `unknown channel type (expected one of: ${CHANNEL_TYPES.join(', ')})` };
+    if (!shouldNotify(channel, status, cfg.notify?.events)) return { type, sent: false, skipped: true };
+    if (dryRun) return { type, sent: false };
+
+    try {
+      await SINKS[type](channel, notification, text, cwd);
+      return { type, sent: true };
+    } catch (err) {
+      return { type, sent: false, error: err.message };
+    }
+  }));
+}
+
+/**
+ * CLI entry point
+ * Usage: node notify.js <status> <message> [--cwd DIR] [--source loop|execute] [--dry-run]
+ * Exit code is always 0 unless the arguments are wrong; failures go to stderr.
+ */
+if (process.argv[1] && process.argv[1].endsWith('notify.js')) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        cwd: { type: 'string' },
+        source: { type: 'string' },
+        'dry-run': { type: 'boolean' }
+      }
+    });
+    const [status, ...rest] = positionals;
+    if (!status || rest.length === 0) {
+      console.error('Usage: notify.js <status> <message> [--cwd DIR] [--source loop|execute] [--dry-run]');
+      process.exit(1);
+    }
+
+    const results = await sendNotification({
+      status,
+      message: rest.join(' '),
+      source: values.source,
+      cwd: values.cwd || process.cwd(),
+      dryRun: values['dry-run']
+    });
+    for (const r of results) {
+      if (r.error) console.error(`notify ${r.type}: ${r.error}`);
+      else if (values['dry-run']) console.log(`${r.type}: ${r.skipped ? 'filtered' : 'would send'}`);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
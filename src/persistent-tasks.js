@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Persistent Tasks
+ *
+ * Project-level to-do list that outlives sessions, in
+ * .deep/persistent-tasks.json at the repo root:
+ *   {"tasks": [{"id":"pt-001","content":"...","status":"pending",
+ *               "priority":"medium","createdAt":"...","updatedAt":"..."}],
+ *    "config": {"staleThresholdHours": 24}}
+ *
+ * Status: pending | in_progress | completed | blocked. The session-start
+ * hook lists open tasks; the stop hook holds a session without a running
+ * loop open until they are completed or blocked (a few times per session,
+ * see MAX_STOP_PROMPTS). Tasks older than cleanup.taskStaleHours (or
+ * config.staleThresholdHours) are left alone.
+ *
+ * Usage: node persistent-tasks.js <list|add|complete|block|clear> [args] [--cwd DIR] [--json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { withLock, writeFileAtomic } from './file-lock.js';
+import { findRepoRoot, LEGACY_DIR } from './session.js';
+import { resolveConfig } from './config.js';
+
+export const TASKS_FILE = 'persistent-tasks.json';
+export const STATUSES = ['pending', 'in_progress', 'completed', 'blocked'];
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+/** Stop-hook prompts per session before it lets the session end anyway */
+export const MAX_STOP_PROMPTS = 3;
+
+function storePaths(root) {
+  const dir = path.join(root, LEGACY_DIR);
+  return {
+    dir,
+    file: path.join(dir, TASKS_FILE),
+    lock: path.join(dir, 'persistent-tasks.lock')
+  };
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function normalize(data) {
+  const tasks = Array.isArray(data?.tasks) ? data.tasks : [];
+  return { ...data, tasks };
+}
+
+/**
+ * Read the store
+ * @param {string} root Repo root
+ * @returns {{tasks: Object[], config?: Object}}
+ */
+export function readTasks(root) {
+  return normalize(readJson(storePaths(root).file));
+}
+
+/**
+ * Read-modify-write the store under its lock
+ * @template T
+ * @param {string} root
+ * @param {(data: Object) => T} fn Mutates data
+ * @returns {T}
+ */
+function updateTasks(root, fn) {
+  const { dir, file, lock } = storePaths(root);
+  fs.mkdirSync(dir, { recursive: true });
+  return withLock(lock, () => {
+    const data = normalize(readJson(file));
+    const result = fn(data);
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+    return result;
+  });
+}
+
+function nextId(tasks) {
+  const max = tasks.reduce((n, t) => Math.max(n, Number(String(t.id).match(/^pt-(\d+)$/)?.[1]) || 0), 0);
+  return `pt-${String(max + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Add a task
+ * @param {string} root
+ * @param {string} content
+ * @param {Object} [options]
+ * @param {string} [options.priority]
+ * @param {string} [options.session] Session that added it
+ * @returns {Object} The new task
+ */
+export function addTask(root, content, { priority = 'medium', session = null } = {}) {
+  if (!content || !content.trim()) throw new Error('Task content is empty');
+  if (!PRIORITIES.includes(priority)) throw new Error(`Unknown priority: ${priority} (${PRIORITIES.join(', ')})`);
+
+  return updateTasks(root, (data) => {
+    const now = new Date().toISOString();
+    const task = { id: nextId(data.tasks), content: content.trim(), status: 'pending', priority, createdAt: now, updatedAt: now };
+    if (session) task.session = session;
+    data.tasks.push(task);
+    return task;
+  });
+}
+
+/**
+ * Set a task's status
+ * @param {string} root
+ * @param {string} id
+ * @param {string} status
+ * @returns {Object} The updated task
+ */
+export function setTaskStatus(root, id, status) {
+  if (!STATUSES.includes(status)) throw new Error(`Unknown status: ${status}`);
+  return updateTasks(root, (data) => {
+    const task = data.tasks.find(t => t.id === id);
+    if (!task) throw new Error(`No such task: ${id}`);
+    task.status = status;
+    task.updatedAt = new Date().toISOString();
+    if (status === 'completed') task.completedAt = task.updatedAt;
+    return task;
+  });
+}
+
+/**
+ * Remove tasks
+ * @param {string} root
+ * @param {Object} [options]
+ * @param {boolean} [options.completedOnly] Keep open tasks
+ * @returns {number} Tasks removed
+ */
+export function clearTasks(root, { completedOnly = false } = {}) {
+  return updateTasks(root, (data) => {
+    const before = data.tasks.length;
+    data.tasks = completedOnly ? data.tasks.filter(t => t.status !== 'completed') : [];
+    return before - data.tasks.length;
+  });
+}
+
+/**
+ * Open tasks: not completed or blocked, and younger than the stale threshold
+ * @param {{tasks: Object[], config?: Object}} data
+ * @param {Object} [options]
+ * @param {number} [options.staleHours]
+ * @param {number} [options.now]
+ * @returns {Object[]} Highest priority first
+ */
+export function openTasks(data, { staleHours = 24, now = Date.now() } = {}) {
+  const staleMs = (data.config?.staleThresholdHours || staleHours) * 60 * 60 * 1000;
+  return data.tasks
+    .filter(task => {
+      if (task.status === 'completed' || task.status === 'blocked') return false;
+      const createdAt = new Date(task.createdAt).getTime();
+      return !(now - createdAt > staleMs);
+    })
+    .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority));
+}
+
+/**
+ * Move tasks left in session directories (.deep-<sid8>/persistent-tasks.json,
+ * where earlier versions kept them) into the project store
+ * @param {string} root
+ * @returns {number} Tasks imported
+ */
+export function importSessionTasks(root) {
+  let entries;
+  try {
+    entries = fs.readdirSync(root).filter(name => /^\.deep-[A-Za-z0-9]+$/.test(name));
+  } catch {
+    return 0;
+  }
+
+  let imported = 0;
+  for (const name of entries) {
+    const file = path.join(root, name, TASKS_FILE);
+    const legacy = readJson(file);
+    if (!legacy) continue;
+    imported += updateTasks(root, (data) => {
+      let count = 0;
+      for (const task of normalize(legacy).tasks) {
+        if (!task?.content) continue;
+        data.tasks.push({ ...task, id: nextId(data.tasks), session: task.session || name.slice(6) });
+        count++;
+      }
+      return count;
+    });
+    fs.renameSync(file, `${file}.imported`);
+  }
+  return imported;
+}
+
+/**
+ * One line per task for prompts and the CLI
+ * @param {Object} task
+ */
+export function formatTask(task) {
+  return `${task.id} [${task.priority}] ${task.status === 'in_progress' ? '(in progress) ' : ''}${task.content}`;
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: persistent-tasks.js <command> [args] [--cwd DIR] [--json]
+
+Commands:
+  list [--all]                           Open tasks (--all: every task)
+  add <content> [--priority high|medium|low]
+  complete <id>
+  block <id>                             Stop enforcing without completing
+  clear [--completed]                    Remove all tasks (--completed: only completed ones)`;
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      cwd: { type: 'string' },
+      json: { type: 'boolean' },
+      all: { type: 'boolean' },
+      completed: { type: 'boolean' },
+      priority: { type: 'string', default: 'medium' },
+      session: { type: 'string' }
+    }
+  });
+
+  const [command, ...rest] = positionals;
+  const root = findRepoRoot(values.cwd || process.cwd());
+
+  switch (command) {
+    case 'list': {
+      importSessionTasks(root);
+      const data = readTasks(root);
+      const tasks = values.all ? data.tasks : openTasks(data, { staleHours: resolveConfig(root).cleanup.taskStaleHours });
+      if (values.json) {
+        console.log(JSON.stringify(tasks, null, 2));
+      } else if (tasks.length === 0) {
+        console.log(values.all ? 'No persistent tasks' : 'No open persistent tasks');
+      } else {
+        for (const task of tasks) console.log(`${formatTask(task)}${values.all ? ` (${task.status})` : ''}`);
+      }
+      return 0;
+    }
+
+    case 'add': {
+      const task = addTask(root, rest.join(' '), { priority: values.priority, session: values.session });
+      console.log(values.json ? JSON.stringify(task, null, 2) : task.id);
+      return 0;
+    }
+
+    case 'complete':
+    case 'block': {
+      if (!rest[0]) {
+        console.error(USAGE);
+        return 1;
+      }
+      const task = setTaskStatus(root, rest[0], command === 'complete' ? 'completed' : 'blocked');
+      console.log(values.json ? JSON.stringify(task, null, 2) : `${task.id}: ${task.status}`);
+      return 0;
+    }
+
+    case 'clear': {
+      const removed = clearTasks(root, { completedOnly: values.completed });
+      console.log(`Removed ${removed} task(s)`);
+      return 0;
+    }
+
+    default:
+      console.error(USAGE);
+      return 1;
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node persistent-tasks.js <command> [args]
+ */
+if (process.argv[1] && process.argv[1].endsWith('persistent-tasks.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
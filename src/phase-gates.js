@@ -0,0 +1,106 @@
+/**
+ * Phase Artifact Gates
+ *
+ * Before the stop hook honors a phase promise it checks that the phase
+ * left behind what the next one needs:
+ *   PLAN    plan.md with acceptance criteria, decisions.md
+ *   BUILD   tasks-status.json with every task done
+ *   REVIEW  test-results.json
+ *
+ * Each gate returns the list of what is missing, worded for the prompt
+ * that sends the model back to finish the phase.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DONE_STATUSES = new Set(['done', 'complete', 'completed', 'success', 'passed']);
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function readJson(filePath) {
+  const text = readText(filePath);
+  if (text === null) return { exists: false, data: null };
+  try {
+    return { exists: true, data: JSON.parse(text) };
+  } catch {
+    return { exists: true, data: undefined };
+  }
+}
+
+/**
+ * Count list items under an "Acceptance Criteria" heading or label
+ * (up to the next markdown heading)
+ * @param {string} markdown
+ */
+export function countAcceptanceCriteria(markdown) {
+  const lines = markdown.split('\n');
+  const start = lines.findIndex(l => /acceptance criteria/i.test(l));
+  if (start === -1) return 0;
+
+  let count = 0;
+  for (const line of lines.slice(start + 1)) {
+    if (/^#{1,6}\s/.test(line)) break;
+    if (/^\s*([-*+]|\d+[.)])\s+\S/.test(line)) count++;
+  }
+  return count;
+}
+
+/**
+ * Gate checks by phase: (deepDir) => string[] of missing items
+ */
+export const PHASE_GATES = {
+  PLAN(deepDir) {
+    const missing = [];
+    const plan = readText(path.join(deepDir, 'plan.md'));
+    if (plan === null) {
+      missing.push(`${deepDir}/plan.md does not exist`);
+    } else if (countAcceptanceCriteria(plan) === 0) {
+      missing.push(`${deepDir}/plan.md has no acceptance criteria (an "Acceptance Criteria" section with a list of testable items)`);
+    }
+    const decisions = readText(path.join(deepDir, 'decisions.md'));
+    if (!decisions || !decisions.trim()) {
+      missing.push(`${deepDir}/decisions.md ${decisions === null ? 'does not exist' : 'is empty'}`);
+    }
+    return missing;
+  },
+
+  BUILD(deepDir) {
+    const file = `${deepDir}/tasks-status.json`;
+    const { exists, data } = readJson(path.join(deepDir, 'tasks-status.json'));
+    if (!exists) return [`${file} does not exist`];
+
+    const tasks = Array.isArray(data) ? data : Array.isArray(data?.tasks) ? data.tasks : null;
+    if (!tasks) return [`${file} is not a task list (expected an array or { "tasks": [...] })`];
+    if (tasks.length === 0) return [`${file} lists no tasks`];
+
+    return tasks
+      .filter(t => !DONE_STATUSES.has(String(t?.status || '').toLowerCase()))
+      .map(t => `task ${t?.id || t?.title || '(unnamed)'} is ${t?.status || 'missing a status'}, not done (${file})`);
+  },
+
+  REVIEW(deepDir) {
+    const file = `${deepDir}/test-results.json`;
+    const { exists, data } = readJson(path.join(deepDir, 'test-results.json'));
+    if (!exists) return [`${file} does not exist`];
+    if (data === undefined || data === null) return [`${file} is not valid JSON`];
+    return [];
+  }
+};
+
+/**
+ * What a phase still owes before its promise counts
+ * @param {string} phase
+ * @param {string} deepDir
+ * @returns {string[]} Missing items (empty when the gate passes or the phase has none)
+ */
+export function checkPhaseGate(phase, deepDir) {
+  const gate = PHASE_GATES[phase];
+  return gate ? gate(deepDir) : [];
+}
@@ -0,0 +1,124 @@
+/**
+ * Deep Loop Phase State Machine
+ *
+ * The stop hook owns phase changes. When the current phase's promise shows
+ * up in the transcript, the hook moves state.phase along this table, taking
+ * the model's requested phase (whatever it wrote to state.json) only when
+ * the move is legal:
+ *
+ *   CHALLENGE → PLAN | RLM_EXPLORE | COMPLETE (cancelled)
+ *   RLM_EXPLORE → PLAN → BUILD → REVIEW → FIX | SHIP
+ *   FIX → REVIEW
+ *   SHIP → COMPLETE
+ *
+ * The hook keeps the phase it last confirmed in state.confirmedPhase, so a
+ * phase the model writes without finishing the current one can be undone.
+ * Every applied move is appended to state.phaseHistory, which also caps
+ * REVIEW → FIX round trips (state.maxFixCycles, else config loop.maxFixCycles).
+ */
+
+import fs from 'fs';
+
+export const PHASE_TRANSITIONS = {
+  'CHALLENGE': ['PLAN', 'RLM_EXPLORE', 'COMPLETE'],
+  'RLM_EXPLORE': ['PLAN'],
+  'PLAN': ['BUILD'],
+  'BUILD': ['REVIEW'],
+  'REVIEW': ['FIX', 'SHIP'],
+  'FIX': ['REVIEW'],
+  'SHIP': ['COMPLETE']
+};
+
+export const DEFAULT_MAX_FIX_CYCLES = 3;
+
+/**
+ * @param {string} from
+ * @param {string} to
+ */
+export function isLegalTransition(from, to) {
+  return (PHASE_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Whether issues.json lists anything (array, or { issues: [...] })
+ * @param {string} issuesPath
+ */
+export function hasOpenIssues(issuesPath) {
+  try {
+    const issues = JSON.parse(fs.readFileSync(issuesPath, 'utf8'));
+    const list = Array.isArray(issues) ? issues : issues?.issues;
+    return Array.isArray(list) && list.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The move the hook makes on its own: REVIEW goes to FIX while issues are
+ * open, to SHIP otherwise; every other phase has one forward move.
+ * @param {string} phase
+ * @param {Object} [context]
+ * @param {boolean} [context.hasIssues]
+ * @returns {string}
+ */
+export function defaultNextPhase(phase, { hasIssues = false } = {}) {
+  if (phase === 'REVIEW') return hasIssues ? 'FIX' : 'SHIP';
+  return PHASE_TRANSITIONS[phase]?.[0] || 'COMPLETE';
+}
+
+/**
+ * REVIEW → FIX moves made so far
+ * @param {Array<{from: string, to: string}>} [history] state.phaseHistory
+ */
+export function countFixCycles(history) {
+  return (history || []).filter(h => h.from === 'REVIEW' && h.to === 'FIX').length;
+}
+
+/**
+ * Decide the move after `from`'s promise: the model's request when legal,
+ * else the default. REVIEW → FIX past the cycle cap is refused.
+ * @param {Object} state state.json (phase = what the model asked for)
+ * @param {string} from The phase that just completed
+ * @param {Object} [context]
+ * @param {boolean} [context.hasIssues]
+ * @param {number} [context.maxFixCycles] Cap when state.json has none
+ * @returns {{to: string|null, rejected: string|null, fixCapReached: boolean}}
+ *   to: phase to apply (null when the fix cap stops the loop)
+ *   rejected: the illegal phase the model asked for, if any
+ */
+export function resolveTransition(state, from, { hasIssues = false, maxFixCycles: defaultCap = DEFAULT_MAX_FIX_CYCLES } = {}) {
+  const requested = state.phase !== from ? state.phase : null;
+  const legal = requested && isLegalTransition(from, requested);
+  const to = legal ? requested : defaultNextPhase(from, { hasIssues });
+  const rejected = requested && !legal ? requested : null;
+
+  const maxFixCycles = state.maxFixCycles ?? defaultCap;
+  if (from === 'REVIEW' && to === 'FIX' && countFixCycles(state.phaseHistory) >= maxFixCycles) {
+    return { to: null, rejected, fixCapReached: true };
+  }
+  return { to, rejected, fixCapReached: false };
+}
+
+/**
+ * Apply a move to state (phase, confirmedPhase, phaseHistory, complete)
+ * @param {Object} state Mutated
+ * @param {string} from
+ * @param {string} to
+ */
+export function applyTransition(state, from, to) {
+  state.phase = to;
+  state.confirmedPhase = to;
+  state.phaseHistory = [...(state.phaseHistory || []), { from, to, at: new Date().toISOString() }];
+  if (to === 'COMPLETE') state.complete = true;
+}
+
+/**
+ * When the last move was applied (promises older than this belong to an
+ * earlier phase)
+ * @param {Object} state
+ * @returns {string|null} ISO timestamp
+ */
+export function lastTransitionAt(state) {
+  const history = state.phaseHistory || [];
+  return history.length > 0 ? history[history.length - 1].at : null;
+}
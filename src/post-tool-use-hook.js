@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 /**
- * PostToolUse Hook - Auto-format code after Edit/Write operations
+ * PostToolUse Hook - Auto-format code after Edit/Write/MultiEdit operations
  *
  * Handles the "last 10%" of code formatting that Claude sometimes misses.
  * Runs formatters on files after they're written to avoid CI formatting errors.
@@ -9,6 +9,9 @@
  * Triggers on:
  * - Edit tool
  * - Write tool
+ * - MultiEdit tool
+ *
+ * Disabled by "hooks": { "formatter": false } in the project config.
  *
  * Formatters (in order of preference):
  * - prettier (JS/TS/JSON/MD/CSS/HTML)
@@ -22,6 +25,10 @@
 import fs from 'fs';
 import path from 'path';
 import { execSync, spawnSync } from 'child_process';
+import { resolveConfig } from './config.js';
+import { findRepoRoot } from './session.js';
+
+const EDIT_TOOLS = ['Edit', 'Write', 'MultiEdit'];
 
 // Read hook input from stdin
 let hookInput = '';
@@ -233,10 +240,14 @@ function formatFile(filePath) {
  * Main hook logic
  */
 function main(input) {
-  // Check if this is an Edit or Write tool
+  if (!resolveConfig(findRepoRoot(input?.cwd || process.cwd())).hooks.formatter) {
+    process.exit(0);
+  }
+
+  // Check if this is an Edit, Write or MultiEdit tool
   const toolName = input?.tool_name || '';
 
-  if (toolName !== 'Edit' && toolName !== 'Write') {
+  if (!EDIT_TOOLS.includes(toolName)) {
     process.exit(0);
   }
 
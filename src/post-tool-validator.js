@@ -3,12 +3,15 @@
 /**
  * PostToolUse Validator Hook
  *
- * Runs after Edit/Write operations to validate file content.
+ * Runs after Edit/Write/MultiEdit operations to validate file content.
  * Provides immediate feedback for syntax errors and warnings.
  *
  * Triggers on:
  * - Edit tool
  * - Write tool
+ * - MultiEdit tool
+ *
+ * Disabled by "hooks": { "validator": false } in the project config.
  *
  * Validators:
  * - JSON: syntax, trailing commas, comments
@@ -23,10 +26,16 @@
 import fs from 'fs';
 import path from 'path';
 import { validate, formatResult } from './validators/index.js';
+import { loadValidatorConfig } from './validators/config.js';
+import { resolveConfig } from './config.js';
+import { resolveSession, findRepoRoot } from './session.js';
+
+const EDIT_TOOLS = ['Edit', 'Write', 'MultiEdit'];
 
-// State file for tracking validation across session
-const STATE_DIR = '.deep';
-const VALIDATION_STATE_FILE = path.join(STATE_DIR, 'validation-state.json');
+// State file for tracking validation across session, in the session
+// directory (see session.js; set from the hook input in main)
+let STATE_DIR = '.deep';
+let VALIDATION_STATE_FILE = path.join(STATE_DIR, 'validation-state.json');
 
 // Read hook input from stdin
 let hookInput = '';
@@ -70,14 +79,11 @@ function loadValidationState() {
 }
 
 /**
- * Save validation state
+ * Save validation state (only where a loop already keeps its state)
  */
 function saveValidationState(state) {
   try {
-    // Ensure directory exists
-    if (!fs.existsSync(STATE_DIR)) {
-      fs.mkdirSync(STATE_DIR, { recursive: true });
-    }
+    if (!fs.existsSync(STATE_DIR)) return;
     fs.writeFileSync(VALIDATION_STATE_FILE, JSON.stringify(state, null, 2));
   } catch {
     // Ignore
@@ -123,10 +129,17 @@ function clearFileErrors(state, filePath) {
  * Main hook logic
  */
 async function main(input) {
-  // Check if this is an Edit or Write tool
+  // Hook toggles and validator settings come from the same project config
+  const root = findRepoRoot(input?.cwd || process.cwd());
+  if (!resolveConfig(root).hooks.validator) {
+    process.exit(0);
+  }
+  loadValidatorConfig(root);
+
+  // Check if this is an Edit, Write or MultiEdit tool
   const toolName = input?.tool_name || '';
 
-  if (toolName !== 'Edit' && toolName !== 'Write') {
+  if (!EDIT_TOOLS.includes(toolName)) {
     process.exit(0);
   }
 
@@ -148,6 +161,8 @@ async function main(input) {
   }
 
   // Load validation state
+  STATE_DIR = resolveSession({ sessionId: input?.session_id, cwd: root }).dir;
+  VALIDATION_STATE_FILE = path.join(STATE_DIR, 'validation-state.json');
   const state = loadValidationState();
 
   // Run validation
@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+
+/**
+ * Phase Prompt Templates
+ *
+ * The stop hook's per-phase instructions. A project overrides a phase with
+ * .deep/prompts/<PHASE>.md at the repo root (e.g. .deep/prompts/REVIEW.md);
+ * phases without one (or with an empty one) use the built-in defaults below.
+ *
+ * Templates may use {{DEEP_DIR}}, {{task}}, {{iteration}}, {{maxIterations}},
+ * {{phase}} and {{baseBranch}}. Unknown placeholders are left as written.
+ *
+ * Usage: node prompts.js dump [PHASE...] [--cwd DIR] [--render] [--json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { findRepoRoot, LEGACY_DIR } from './session.js';
+
+export const PROMPTS_DIR = 'prompts';
+
+/** Built-in phase instructions */
+export const DEFAULT_TEMPLATES = {
+  'CHALLENGE': `
+### CHALLENGE Phase (Senior Dev Pushback)
+
+Before building, challenge the request:
+
+1. **Understand the WHY** - What problem are we really solving?
+2. **Challenge the approach**:
+   - Do we need to build this at all?
+   - Is there an existing solution?
+   - What's the simplest approach?
+   - What are the risks?
+3. **Propose alternatives** if simpler options exist
+4. **Get user confirmation** via AskUserQuestion
+
+Output your challenge assessment, then ask user how to proceed.
+
+When done: Update state.json to phase: PLAN (or COMPLETE if cancelled)
+Output: <promise>CHALLENGE_COMPLETE</promise>
+`,
+  'RLM_EXPLORE': `
+### RLM_EXPLORE Phase
+
+Large codebase detected. Explore and map architecture:
+1. Probe codebase structure
+2. Chunk by module/directory
+3. Write exploration report to {{DEEP_DIR}}/exploration.md
+
+When done: Update state.json to phase: PLAN
+Output: <promise>RLM_COMPLETE</promise>
+`,
+  'PLAN': `
+### PLAN Phase
+
+Follow the /deep-plan Mode 1 planning approach.
+
+#### Step 1: Locked Assumptions (Auto-Approved)
+
+Output as locked declarations, proceed immediately:
+
+\`\`\`markdown
+## Locked Assumptions (Auto-Approved)
+**Task:** [specific]
+**Stack:** [technology] BECAUSE [reason]
+**Files:** [list]
+**Scope IN:** [included]
+**Scope OUT:** [excluded]
+**Key Bets:** [critical decisions]
+\`\`\`
+
+#### Step 1.5: Root Cause Analysis (Mandatory)
+
+**Question:** Are we solving ROOT PROBLEM or treating SYMPTOM?
+
+#### Step 2: Detailed Plan
+
+Create {{DEEP_DIR}}/plan.md with:
+1. Problem statement
+2. Testable acceptance criteria (an "Acceptance Criteria" section with a list; the hook checks)
+3. Atomic task breakdown (<=3 files per task, <=20 min each)
+4. Risk assessment
+
+Also create {{DEEP_DIR}}/decisions.md with locked decisions table.
+
+When done: Update state.json to phase: BUILD
+Output: <promise>PLAN_COMPLETE</promise>
+`,
+  'BUILD': `
+### BUILD Phase (Multi-Agent TDD)
+
+**Test-Driven Development is MANDATORY.**
+**NO PARTIAL COMPLETION - Tasks must be 100% done or not done.**
+
+#### Build Mode
+
+Check state.json \`buildMode\`:
+- \`"multi-agent"\` (default): You are the ORCHESTRATOR. Spawn Task agents.
+- \`"single"\`: Execute tasks sequentially in this session.
+
+Either way, keep {{DEEP_DIR}}/tasks-status.json current: \`[{ "id", "title", "status" }]\`, status \`done\` when finished.
+
+#### Multi-Agent Orchestration
+
+1. **Parse tasks** from plan.md, identify dependencies
+2. **Write** {{DEEP_DIR}}/tasks-status.json with task list
+3. **Spawn Task agents** (up to maxParallel concurrent):
+
+\`\`\`
+Task({
+  subagent_type: "deep-loop:task-agent",
+  description: "Build: {task_title}",
+  prompt: "Task: {title}\\nCriteria: {criteria}\\nDecisions: {decisions.md content}\\n\\n1. RED: failing test\\n2. GREEN: implement\\n3. REFACTOR: cleanup\\n4. Validate: test, lint, types",
+  run_in_background: false
+})
+\`\`\`
+
+4. **Handle failures**: retry 2x same prompt, then new agent with error context, then escalate after 3 total
+5. **Invoke skill**: \`Skill({ skill: "tdd-workflow" })\` for TDD guidance
+6. **Frontend tasks**: Also invoke \`Skill({ skill: "frontend-design" })\`
+
+#### Post-Build
+
+After all tasks complete, invoke code-simplifier:
+\`\`\`
+Task({
+  subagent_type: "deep-loop:code-simplifier",
+  model: "haiku",
+  description: "Simplify: post-build cleanup",
+  prompt: "Review recently changed code. Remove unnecessary complexity."
+})
+\`\`\`
+
+#### Completion Gate
+
+Before BUILD_COMPLETE:
+- [ ] ALL atomic tasks complete (not some, ALL)
+- [ ] All tests pass
+- [ ] No TODOs, FIXMEs, or placeholder code
+- [ ] code-simplifier has run
+- [ ] tasks-status.json marks every task done (the hook checks)
+
+When done: Update state.json to phase: REVIEW
+Output: <promise>BUILD_COMPLETE</promise>
+`,
+  'REVIEW': `
+### REVIEW Phase (Automated + Adversarial + Skills)
+
+**Part 1: Automated Validation**
+\`\`\`bash
+npm test && npm run typecheck && npm run lint && npm run build
+\`\`\`
+
+**Part 2: Skill Invocations (MANDATORY)**
+\`\`\`
+Skill({ skill: "code-review" })
+Skill({ skill: "security-audit" })
+\`\`\`
+Log any issues found by skills to {{DEEP_DIR}}/issues.json.
+
+**Part 3: Adversarial Self-Review (Senior Dev Mindset)**
+
+Ask yourself and log concerns to issues.json:
+- **Correctness**: Edge cases missed?
+- **Security**: Injection, auth, data exposure risks?
+- **Performance**: N+1 queries, unbounded loops, memory leaks?
+- **Maintainability**: Would a new dev understand this?
+- **Error handling**: What happens when things fail?
+- **Over-engineering**: Built more than needed?
+- **Under-engineering**: Cut corners that will bite us?
+
+**Part 4: Smell Check**
+- Functions > 50 lines
+- Files > 300 lines
+- Deep nesting (> 3 levels)
+- Magic numbers/strings
+- Commented-out code
+- Copy-pasted blocks
+
+**Part 5: Pre-Ship Root Cause Validation**
+Did we solve root problem or just treat symptoms?
+If symptom fix, document root in decisions.md.
+
+Record in {{DEEP_DIR}}/test-results.json (required before REVIEW_COMPLETE is accepted).
+
+If ALL pass AND no critical issues: Update state.json to phase: SHIP
+If ANY issues: Update state.json to phase: FIX, add to issues.json
+
+Output: <promise>REVIEW_COMPLETE</promise>
+`,
+  'FIX': `
+### FIX Phase
+
+**Root Cause Check (Mandatory):** For each failure, ask: symptom or root cause?
+- Race condition masking timing issue?
+- Flaky test revealing state leakage?
+- Edge case exposing design flaw?
+
+Use: \`Skill({ skill: "debug-investigate" })\` for root cause analysis.
+
+Address {{DEEP_DIR}}/issues.json:
+1. Run root cause check for each failure
+2. Fix each issue (root or symptom, documented)
+3. Commit atomically: \`[deep] fix: {description}\`
+4. Run validation
+
+When all fixed: Clear issues.json, update state.json to phase: REVIEW
+Output: <promise>FIX_COMPLETE</promise>
+`,
+  'SHIP': `
+### SHIP Phase
+
+**1. Invoke verify-app subagent:**
+\`\`\`
+Task({
+  subagent_type: "deep-loop:verify-app",
+  description: "Verify: E2E testing",
+  prompt: "Detect app type (web, API, CLI, library). Run appropriate verification. Output: VERIFIED or issues list."
+})
+\`\`\`
+
+**2. Invoke PR craftsman skill:**
+\`\`\`
+Skill({ skill: "pr-craftsman" })
+\`\`\`
+
+**3. Git finalization (if in repo):**
+\`\`\`bash
+git push -u origin HEAD
+gh pr create --base {{baseBranch}} --fill
+gh pr merge --auto --squash
+\`\`\`
+
+**4. Write lessons-learned:**
+Create {{DEEP_DIR}}/lessons-learned.md reflecting on:
+- Wrong assumptions and when caught
+- Overcomplication introduced
+- Scope creep that happened
+- Root cause vs symptom fixes
+
+**Completion Checklist:**
+- [ ] All acceptance criteria met
+- [ ] All tests pass
+- [ ] verify-app passes
+- [ ] PR created and merged (or committed to {{baseBranch}})
+
+When ALL complete:
+Update state.json: phase: COMPLETE, complete: true
+Output: <promise>DEEP_COMPLETE</promise>
+`
+};
+
+/** Phases with a template, in loop order */
+export const TEMPLATE_PHASES = Object.keys(DEFAULT_TEMPLATES);
+
+/**
+ * Path of a phase's project template
+ * @param {string} root Repo root
+ * @param {string} phase
+ */
+export function templatePath(root, phase) {
+  return path.join(root, LEGACY_DIR, PROMPTS_DIR, `${phase}.md`);
+}
+
+/**
+ * The template a phase uses
+ * @param {string} root
+ * @param {string} phase
+ * @returns {{phase: string, source: 'project'|'default'|'none', path: string|null, template: string}}
+ */
+export function loadTemplate(root, phase) {
+  const file = templatePath(root, phase);
+  let custom = '';
+  try {
+    custom = fs.readFileSync(file, 'utf8');
+  } catch {
+    // No project template
+  }
+  if (custom.trim()) return { phase, source: 'project', path: file, template: custom };
+  if (DEFAULT_TEMPLATES[phase]) return { phase, source: 'default', path: null, template: DEFAULT_TEMPLATES[phase] };
+  return { phase, source: 'none', path: null, template: '' };
+}
+
+/**
+ * Fill {{name}} placeholders
+ * @param {string} template
+ * @param {Object<string, *>} vars
+ * @returns {string}
+ */
+export function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(vars, name) && vars[name] !== undefined && vars[name] !== null
+      ? String(vars[name])
+      : match
+  ));
+}
+
+/**
+ * A phase's instructions, rendered
+ * @param {string} root
+ * @param {string} phase
+ * @param {Object<string, *>} vars See the placeholders above
+ * @returns {string}
+ */
+export function phaseInstructions(root, phase, vars) {
+  return renderTemplate(loadTemplate(root, phase).template, { phase, ...vars });
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: prompts.js dump [PHASE...] [--cwd DIR] [--render] [--json]
+
+Prints the template each phase uses (.deep/prompts/<PHASE>.md, else the
+built-in default). --render fills the placeholders with sample values.`;
+
+const SAMPLE_VARS = {
+  DEEP_DIR: '.deep-<session8>',
+  task: '<task>',
+  iteration: 1,
+  maxIterations: 10,
+  baseBranch: 'main'
+};
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      cwd: { type: 'string' },
+      render: { type: 'boolean' },
+      json: { type: 'boolean' }
+    }
+  });
+
+  const [command, ...phaseArgs] = positionals;
+  if (command !== 'dump') {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const root = findRepoRoot(values.cwd || process.cwd());
+  const phases = phaseArgs.length > 0 ? phaseArgs.map(p => p.toUpperCase()) : TEMPLATE_PHASES;
+  const unknown = phases.filter(p => !TEMPLATE_PHASES.includes(p));
+  if (unknown.length > 0) {
+    console.error(`Unknown phase: ${unknown.join(', ')} (${TEMPLATE_PHASES.join(', ')})`);
+    return 1;
+  }
+
+  const templates = phases.map(phase => {
+    const loaded = loadTemplate(root, phase);
+    return values.render
+      ? { ...loaded, template: renderTemplate(loaded.template, { phase, ...SAMPLE_VARS }) }
+      : loaded;
+  });
+
+  if (values.json) {
+    console.log(JSON.stringify(templates, null, 2));
+    return 0;
+  }
+  for (const t of templates) {
+    console.log(`<!-- ${t.phase}: ${t.source === 'project' ? path.relative(root, t.path) : 'built-in default'} -->`);
+    console.log(t.template.replace(/^\n/, '').trimEnd());
+    console.log('');
+  }
+  return 0;
+}
+
+/**
+ * CLI entry point
+ * Usage: node prompts.js dump [PHASE...]
+ */
+if (process.argv[1] && process.argv[1].endsWith('prompts.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+
+/**
+ * Repo Lock
+ *
+ * One deep loop or execute run per checkout. The holder is recorded in
+ * .deep-lock.json at the repo root:
+ *   {"owner":"loop","kind":"session","sessionId":"a3f2b1c0","pid":4120,
+ *    "host":"dev-box","cwd":"/repo","startedAt":"...","heartbeatAt":"...",
+ *    "children":[{"owner":"execute","pid":5233,"host":"dev-box","startedAt":"..."}]}
+ *
+ * Holders:
+ *   session  a /deep loop, taken and refreshed by the stop hook on every
+ *            stop, released when the hook lets the session end. The PID is
+ *            the session's claude process (the hook's first ancestor that
+ *            is not a shell). Stale once its state.json no longer shows a
+ *            running loop, or once that PID is gone; without a PID (or on
+ *            another host) after loop.staleHours without a refresh.
+ *   process  loop.sh / execute.sh, held for the script's lifetime. Stale
+ *            once the PID is gone (same host) or, on another host, after
+ *            loop.staleHours.
+ * Scripts run for the holding session (same session id, compared on the
+ * first 8 chars like session directories) join it as children, one per
+ * owner at a time: execute.sh inside a /deep loop or loop.sh. When the
+ * holder releases, a live child takes its place. Stale holders are
+ * replaced; a live one is only replaced with takeover.
+ *
+ * Usage: node repo-lock.js <acquire|release|status> [--owner NAME] [--session ID] [--pid N] [--takeover] [--cwd DIR]
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { parseArgs } from 'util';
+import { withLock, writeFileAtomic } from './file-lock.js';
+import { findRepoRoot, sessionDirName } from './session.js';
+import { resolveConfig } from './config.js';
+
+export const LOCK_FILE = '.deep-lock.json';
+export const EXIT_HELD = 3;
+
+const DEFAULT_STALE_HOURS = 8;
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish'];
+
+function lockPaths(root) {
+  return {
+    file: path.join(root, LOCK_FILE),
+    guard: path.join(root, `${LOCK_FILE}.lock`)
+  };
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Current holder
+ * @param {string} root
+ * @returns {Object|null}
+ */
+export function readRepoLock(root) {
+  return readJson(lockPaths(root).file);
+}
+
+function staleMsFor(root) {
+  const hours = resolveConfig(root).loop.staleHours || DEFAULT_STALE_HOURS;
+  return hours * 60 * 60 * 1000;
+}
+
+function sameSession(a, b) {
+  return Boolean(a && b) && a.slice(0, 8) === b.slice(0, 8);
+}
+
+function pidAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function isLive(entry, root, staleMs, now) {
+  const heartbeat = new Date(entry.heartbeatAt || entry.startedAt).getTime();
+  const fresh = Number.isFinite(heartbeat) && now - heartbeat <= staleMs;
+  const alive = entry.host === os.hostname() && Number.isInteger(entry.pid) ? pidAlive(entry.pid) : fresh;
+
+  if (entry.kind === 'session') {
+    const state = readJson(path.join(root, sessionDirName(entry.sessionId), 'state.json'));
+    const running = Boolean(state?.active) && !state.complete && state.phase !== 'COMPLETE';
+    return running && alive;
+  }
+  return alive;
+}
+
+function parentProcess(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    const [, ppid] = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const command = fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+    return { ppid: Number(ppid), command };
+  } catch {
+    // No /proc (macOS)
+  }
+  const result = spawnSync('ps', ['-o', 'ppid=,comm=', '-p', String(pid)], { encoding: 'utf8', timeout: 2000 });
+  const match = result.status === 0 && result.stdout.trim().match(/^(\d+)\s+(.+)$/);
+  return match ? { ppid: Number(match[1]), command: match[2] } : null;
+}
+
+/**
+ * PID of the process a hook runs for: the first ancestor that is not a
+ * shell (hooks run through sh -c, which exits with the hook)
+ * @param {number} [pid] Start here (default: this process's parent)
+ * @returns {number|null} null when it can't be found
+ */
+export function sessionProcessPid(pid = process.ppid) {
+  for (let depth = 0; depth < 4 && pid > 1; depth++) {
+    const info = parentProcess(pid);
+    if (!info) return null;
+    if (!SHELLS.includes(path.basename(info.command).replace(/^-/, ''))) return pid;
+    pid = info.ppid;
+  }
+  return null;
+}
+
+/**
+ * Whether a holder (or child) still counts
+ * @param {Object} entry
+ * @param {string} root
+ * @param {number} [now]
+ */
+export function isHolderLive(entry, root, now = Date.now()) {
+  return Boolean(entry) && isLive(entry, root, staleMsFor(root), now);
+}
+
+/**
+ * Whether a live run of another session (or of none) holds the lock
+ * @param {string} root
+ * @param {string|null} sessionId
+ */
+export function lockedByOtherSession(root, sessionId) {
+  const holder = readRepoLock(root);
+  return Boolean(holder) && !sameSession(holder.sessionId, sessionId) && isHolderLive(holder, root);
+}
+
+/**
+ * One-line description for refusal messages
+ * @param {Object} holder
+ */
+export function describeHolder(holder) {
+  const who = holder.sessionId ? `session ${holder.sessionId}` : 'no session';
+  return `${holder.owner} (${who}, pid ${holder.pid ?? '?'} on ${holder.host || '?'}, since ${holder.startedAt})`;
+}
+
+/**
+ * Take, refresh or join the repo lock
+ * @param {string} root
+ * @param {Object} requester
+ * @param {string} requester.owner loop | loop.sh | execute
+ * @param {'session'|'process'} requester.kind
+ * @param {string|null} [requester.sessionId]
+ * @param {number|null} [requester.pid] Default: this process for process holders, none for sessions
+ * @param {Object} [options]
+ * @param {boolean} [options.takeover] Replace a live holder
+ * @returns {{ok: boolean, status: 'acquired'|'refreshed'|'nested'|'took-over'|'held', holder: Object, previous?: Object}}
+ *   holder: the lock after the call (the live holder when refused)
+ */
+export function acquireRepoLock(root, requester, { takeover = false } = {}) {
+  const { file, guard } = lockPaths(root);
+  const now = Date.now();
+  const staleMs = staleMsFor(root);
+  const stamp = new Date(now).toISOString();
+  const entry = {
+    owner: requester.owner,
+    kind: requester.kind,
+    sessionId: requester.sessionId || null,
+    pid: requester.pid ?? (requester.kind === 'process' ? process.pid : null),
+    host: os.hostname(),
+    cwd: root,
+    startedAt: stamp,
+    heartbeatAt: stamp
+  };
+
+  return withLock(guard, () => {
+    const current = readJson(file);
+    const write = (lock) => writeFileAtomic(file, JSON.stringify(lock, null, 2));
+
+    if (!current) {
+      write({ ...entry, children: [] });
+      return { ok: true, status: 'acquired', holder: readJson(file) };
+    }
+
+    const ownSession = sameSession(entry.sessionId, current.sessionId);
+    const samePid = current.kind === 'process' && entry.kind === 'process' && current.pid === entry.pid && current.host === entry.host;
+
+    if (samePid || (ownSession && current.kind === 'session' && entry.kind === 'session')) {
+      const lock = { ...current, pid: entry.pid, heartbeatAt: stamp };
+      write(lock);
+      return { ok: true, status: 'refreshed', holder: lock };
+    }
+
+    const live = isLive(current, root, staleMs, now);
+
+    // A script run for the holding session
+    if (live && ownSession && entry.kind === 'process') {
+      const children = (current.children || []).filter(c => isLive({ ...c, kind: 'process' }, root, staleMs, now));
+      const busy = children.find(c => c.owner === entry.owner);
+      if (busy && !takeover) return { ok: false, status: 'held', holder: { ...busy, sessionId: current.sessionId } };
+      const lock = {
+        ...current,
+        children: [...children.filter(c => c.owner !== entry.owner), { owner: entry.owner, pid: entry.pid, host: entry.host, startedAt: stamp }]
+      };
+      write(lock);
+      return { ok: true, status: 'nested', holder: lock };
+    }
+
+    if (live && !takeover) return { ok: false, status: 'held', holder: current };
+
+    write({ ...entry, children: [] });
+    return { ok: true, status: live ? 'took-over' : 'acquired', holder: readJson(file), previous: current };
+  });
+}
+
+/**
+ * Release the lock (or a child entry) held by a session or process. A
+ * live child of the released holder becomes the holder.
+ * @param {string} root
+ * @param {Object} who
+ * @param {string} [who.sessionId] Release a session holder
+ * @param {number} [who.pid] Release a process holder or child
+ * @returns {boolean} true when something was released
+ */
+export function releaseRepoLock(root, { sessionId = null, pid = null } = {}) {
+  const { file, guard } = lockPaths(root);
+  if (!fs.existsSync(file)) return false;
+
+  return withLock(guard, () => {
+    const current = readJson(file);
+    if (!current) return false;
+    const host = os.hostname();
+
+    const isHolder = current.kind === 'session'
+      ? sameSession(sessionId, current.sessionId)
+      : pid !== null && current.pid === pid && current.host === host;
+    const children = current.children || [];
+    if (isHolder) {
+      // A script still running for the session keeps the repo
+      const staleMs = staleMsFor(root);
+      const now = Date.now();
+      const [heir, ...rest] = children.filter(c => isLive({ ...c, kind: 'process' }, root, staleMs, now));
+      if (heir) {
+        const stamp = new Date(now).toISOString();
+        writeFileAtomic(file, JSON.stringify({
+          ...heir, kind: 'process', sessionId: current.sessionId, cwd: current.cwd, heartbeatAt: stamp, children: rest
+        }, null, 2));
+      } else {
+        fs.rmSync(file, { force: true });
+      }
+      return true;
+    }
+
+    const remaining = children.filter(c => !(pid !== null && c.pid === pid && c.host === host));
+    if (remaining.length === children.length) return false;
+    writeFileAtomic(file, JSON.stringify({ ...current, children: remaining }, null, 2));
+    return true;
+  });
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: repo-lock.js <command> [options]
+
+Commands:
+  acquire --owner NAME --pid N [--session ID] [--takeover]
+                        Exit 0 when held (or joined), ${EXIT_HELD} when another run holds it
+  release (--pid N | --session ID)
+  status [--json]
+
+Options:
+  --cwd DIR             Repo (default: current directory)`;
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      owner: { type: 'string' },
+      session: { type: 'string' },
+      pid: { type: 'string' },
+      takeover: { type: 'boolean' },
+      json: { type: 'boolean' },
+      cwd: { type: 'string' }
+    }
+  });
+
+  const [command] = positionals;
+  const root = findRepoRoot(values.cwd || process.cwd());
+  const pid = values.pid ? Number(values.pid) : null;
+
+  switch (command) {
+    case 'acquire': {
+      if (!values.owner || !pid) {
+        console.error(USAGE);
+        return 1;
+      }
+      const result = acquireRepoLock(root, {
+        owner: values.owner, kind: 'process', sessionId: values.session || null, pid
+      }, { takeover: values.takeover });
+      if (!result.ok) {
+        console.error(`Repo is locked by ${describeHolder(result.holder)}`);
+        console.error(`Lock file: ${path.join(root, LOCK_FILE)}. Take over with --takeover once you are sure it is not running.`);
+        return EXIT_HELD;
+      }
+      if (result.status === 'took-over') console.error(`Took over the lock from ${describeHolder(result.previous)}`);
+      else if (result.previous) console.error(`Replaced stale lock from ${describeHolder(result.previous)}`);
+      return 0;
+    }
+
+    case 'release': {
+      if (!pid && !values.session) {
+        console.error(USAGE);
+        return 1;
+      }
+      releaseRepoLock(root, { sessionId: values.session || null, pid });
+      return 0;
+    }
+
+    case 'status': {
+      const holder = readRepoLock(root);
+      const live = isHolderLive(holder, root);
+      if (values.json) {
+        console.log(JSON.stringify({ holder, live }, null, 2));
+      } else if (!holder) {
+        console.log('Not locked');
+      } else {
+        console.log(`${live ? 'Locked' : 'Stale lock'}: ${describeHolder(holder)}`);
+        for (const child of holder.children || []) console.log(`  running inside: ${describeHolder(child)}`);
+      }
+      return 0;
+    }
+
+    default:
+      console.error(USAGE);
+      return 1;
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node repo-lock.js <acquire|release|status> [options]
+ */
+if (process.argv[1] && process.argv[1].endsWith('repo-lock.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -4,26 +4,45 @@
  * Session Start Hook - Persistent Task Resume + Cleanup
  *
  * Runs at the start of each Claude Code session to:
- * 1. Clean up stale temp files (plans, .deep directories)
- * 2. Check for pending persistent tasks
+ * 1. Clean up stale temp files (plans, finished or abandoned .deep-<id>
+ *    session directories, see session.js)
+ * 2. Check for open persistent tasks (project-wide .deep/persistent-tasks.json,
+ *    see persistent-tasks.js)
  * 3. Alert the user if there are unfinished tasks
  * 4. Provide context for resumption
+ *
+ * Disabled by "hooks": { "sessionStart": false } in the project config.
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { resolveHookConfig } from './config.js';
+import { fileURLToPath } from 'url';
+import { resolveSession, cleanupSessionDirs, findRepoRoot } from './session.js';
+import { lockedByOtherSession } from './repo-lock.js';
+import { MAX_STOP_PROMPTS, readTasks, openTasks, importSessionTasks } from './persistent-tasks.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TASKS_CLI = path.join(__dirname, 'persistent-tasks.js');
 
-// Session-specific directory management
+// Session-specific directory (see session.js)
 let DEEP_DIR = '.deep'; // Default, will be updated with session ID
+let REPO_ROOT = process.cwd();
 let sessionId = null;
 
 function initDeepDir(sid) {
-  sessionId = sid;
-  if (sid && sid.length >= 8) {
-    // Use short session ID (first 8 chars) for readability
-    DEEP_DIR = `.deep-${sid.slice(0, 8)}`;
+  try {
+    const root = findRepoRoot();
+    const session = resolveSession({ sessionId: sid, cwd: root, migrate: !lockedByOtherSession(root, sid) });
+    DEEP_DIR = session.dir;
+    REPO_ROOT = session.root;
+    sessionId = session.sessionId;
+  } catch (e) {
+    // Keep the legacy .deep directory
   }
+  PROJECT_CONFIG = resolveHookConfig(REPO_ROOT, getDeepPath('hook-errors.log'));
+  CLEANUP_CONFIG = PROJECT_CONFIG.cleanup;
   return DEEP_DIR;
 }
 
@@ -31,30 +50,35 @@ function getDeepPath(filename) {
   return path.join(DEEP_DIR, filename);
 }
 
-const PERSISTENT_TASKS_FILE = () => getDeepPath('persistent-tasks.json');
-const DEFAULT_TASK_STALE_HOURS = 24;
 const DEFAULT_CLEANUP_DAYS = 7;
 
+// Project config (.deeploop.json at the repo root, see config.js); set by initDeepDir
+let PROJECT_CONFIG = null;
+let CLEANUP_CONFIG = null;
+
 // Settings file location
 const CLAUDE_SETTINGS = path.join(os.homedir(), '.claude', 'settings.json');
 const CLAUDE_PLANS_DIR = path.join(os.homedir(), '.claude', 'plans');
 
 /**
- * Read Claude settings to get cleanup config
+ * Cleanup config: project cleanup.periodDays, else Claude's
+ * cleanupPeriodDays setting, else 7 days. 0 or cleanup.enabled: false
+ * turns cleanup off.
  */
 function getCleanupConfig() {
+  let claudeDays;
   try {
     if (fs.existsSync(CLAUDE_SETTINGS)) {
-      const settings = JSON.parse(fs.readFileSync(CLAUDE_SETTINGS, 'utf8'));
-      return {
-        cleanupPeriodDays: settings.cleanupPeriodDays ?? DEFAULT_CLEANUP_DAYS,
-        enabled: settings.cleanupPeriodDays !== 0
-      };
+      claudeDays = JSON.parse(fs.readFileSync(CLAUDE_SETTINGS, 'utf8')).cleanupPeriodDays;
     }
   } catch (e) {
     // Ignore errors, use defaults
   }
-  return { cleanupPeriodDays: DEFAULT_CLEANUP_DAYS, enabled: true };
+  const cleanupPeriodDays = CLEANUP_CONFIG.periodDays ?? claudeDays ?? DEFAULT_CLEANUP_DAYS;
+  return {
+    cleanupPeriodDays,
+    enabled: CLEANUP_CONFIG.enabled && cleanupPeriodDays !== 0
+  };
 }
 
 /**
@@ -99,115 +123,22 @@ function cleanupStalePlans(maxAgeDays) {
   return removed;
 }
 
-/**
- * Clean up stale .deep directories in current working directory
- * Only removes if state.json shows complete or is very old
- */
-function cleanupStaleDeepDirs(maxAgeDays) {
-  if (maxAgeDays <= 0) return 0;
-
-  let removed = 0;
-  const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
-  const now = Date.now();
-  const cwd = process.cwd();
-
-  try {
-    const entries = fs.readdirSync(cwd);
-
-    for (const entry of entries) {
-      // Match .deep or .deep-{id} directories
-      if (!entry.startsWith('.deep')) continue;
-
-      const deepPath = path.join(cwd, entry);
-      const stats = fs.statSync(deepPath);
-
-      if (!stats.isDirectory()) continue;
-
-      const statePath = path.join(deepPath, 'state.json');
-      let shouldRemove = false;
-
-      try {
-        if (fs.existsSync(statePath)) {
-          const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
-          const stateStats = fs.statSync(statePath);
-          const ageMs = now - stateStats.mtimeMs;
-
-          // Remove if complete or very stale
-          if (state.complete === true && state.phase === 'COMPLETE') {
-            shouldRemove = true;
-          } else if (ageMs > maxAgeMs) {
-            shouldRemove = true;
-          }
-        } else {
-          // No state.json - check directory age
-          const ageMs = now - stats.mtimeMs;
-          if (ageMs > maxAgeMs) {
-            shouldRemove = true;
-          }
-        }
-      } catch (e) {
-        // If we can't read state, check age
-        const ageMs = now - stats.mtimeMs;
-        if (ageMs > maxAgeMs) {
-          shouldRemove = true;
-        }
-      }
-
-      if (shouldRemove) {
-        try {
-          fs.rmSync(deepPath, { recursive: true, force: true });
-          removed++;
-        } catch (e) {
-          // Ignore removal errors
-        }
-      }
-    }
-  } catch (e) {
-    // Ignore directory errors
-  }
-
-  return removed;
-}
-
-function readPersistentTasks() {
-  try {
-    if (!fs.existsSync(PERSISTENT_TASKS_FILE())) {
-      return null;
-    }
-    return JSON.parse(fs.readFileSync(PERSISTENT_TASKS_FILE(), 'utf8'));
-  } catch (e) {
-    return null;
-  }
-}
-
-function getPendingTasks(tasksData) {
-  if (!tasksData || !tasksData.tasks || !Array.isArray(tasksData.tasks)) {
-    return [];
+function main() {
+  if (!PROJECT_CONFIG.hooks.sessionStart) {
+    process.exit(0);
   }
 
-  const staleHours = tasksData.config?.staleThresholdHours || DEFAULT_TASK_STALE_HOURS;
-  const staleMs = staleHours * 60 * 60 * 1000;
-  const now = Date.now();
-
-  return tasksData.tasks.filter(task => {
-    if (task.status === 'completed') return false;
-    if (task.status === 'blocked') return false;
-
-    const createdAt = new Date(task.createdAt).getTime();
-    if (now - createdAt > staleMs) return false;
-
-    return true;
-  });
-}
-
-function main() {
   // 1. Run cleanup first
   const config = getCleanupConfig();
   let cleanupMessage = '';
 
   if (config.enabled) {
     const plansRemoved = cleanupStalePlans(config.cleanupPeriodDays);
-    const deepDirsRemoved = cleanupStaleDeepDirs(config.cleanupPeriodDays);
+    // Session directories only; the execute queue's .deep is never removed
+    const deepDirsRemoved = cleanupSessionDirs(REPO_ROOT, {
+      maxAgeDays: config.cleanupPeriodDays,
+      keep: [path.basename(DEEP_DIR)]
+    }).length;
 
     if (plansRemoved > 0 || deepDirsRemoved > 0) {
       const parts = [];
@@ -217,9 +148,14 @@ function main() {
     }
   }
 
-  // 2. Check for pending tasks
-  const tasksData = readPersistentTasks();
-  const pendingTasks = getPendingTasks(tasksData);
+  // 2. Check for open persistent tasks (moving any left in session dirs)
+  let pendingTasks = [];
+  try {
+    importSessionTasks(REPO_ROOT);
+    pendingTasks = openTasks(readTasks(REPO_ROOT), { staleHours: CLEANUP_CONFIG.taskStaleHours });
+  } catch (e) {
+    // Unreadable store: nothing to resume
+  }
 
   if (pendingTasks.length === 0 && !cleanupMessage) {
     // Nothing to report - silent exit
@@ -236,24 +172,25 @@ function main() {
     const taskList = pendingTasks.slice(0, 5).map((t, i) => {
       const status = t.status === 'in_progress' ? '🔄' : '⏳';
       const priority = t.priority === 'high' ? '🔴' : t.priority === 'medium' ? '🟡' : '🟢';
-      return `  ${i + 1}. ${status} ${priority} ${t.content}`;
+      return `  ${i + 1}. ${status} ${priority} ${t.id}: ${t.content}`;
     }).join('\n');
 
     console.log(`
 ## Persistent Tasks Detected
 
-You have **${pendingTasks.length}** pending task(s) from a previous session:
+You have **${pendingTasks.length}** open task(s) from a previous session:
 
 ${taskList}
 ${pendingTasks.length > 5 ? `  ... and ${pendingTasks.length - 5} more` : ''}
 
 **Options:**
 - Continue working on these tasks (the STOP hook will enforce completion)
-- Run \`/deep tasks\` to see full list
-- Run \`/deep clear-tasks\` to remove all tasks
-- Create \`.deep/FORCE_EXIT\` to bypass the STOP hook
+- Mark one done: \`node "${TASKS_CLI}" complete <id>\` (or \`block <id>\` to set it aside)
+- See the full list: \`node "${TASKS_CLI}" list\` (or \`/deep-tasks\`)
+- Remove all tasks: \`node "${TASKS_CLI}" clear\`
+- Create \`${path.relative(process.cwd(), getDeepPath('FORCE_EXIT'))}\` to bypass the STOP hook
 
-The session will continue. When you try to exit, pending tasks will be enforced.
+The session will continue. When you try to exit without a deep loop running, open tasks are enforced (up to ${MAX_STOP_PROMPTS} times).
 `);
   }
 
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Session Directory Resolver
+ *
+ * Every hook and generator finds its .deep directory here, so one
+ * session's loop state and validation state stay together (persistent
+ * tasks are project-wide, in .deep/, see persistent-tasks.js).
+ * Directories live in the repo root (git toplevel, else cwd):
+ *
+ *   1. A session id (DEEP_SESSION_ID, which loop.sh sets for its claude -p
+ *      runs, else the hook input session_id): .deep-<sid8>. When the stop
+ *      and session-start hooks ask for it (migrate), a running loop left in
+ *      the legacy .deep by an older version moves into it, unless another
+ *      session owns it (execute queue files stay in .deep). Other callers
+ *      only resolve; nothing here creates the directory.
+ *   2. No session id: the active-session pointer (.deep-active.json,
+ *      written while a loop runs), as long as its loop is still running.
+ *   3. Otherwise the legacy .deep (the execute queue).
+ *
+ * Usage: node session.js [resolve] [--cwd DIR] [--session-id ID] [--json]
+ *        node session.js activate <sessionId> [--cwd DIR]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { parseArgs } from 'util';
+import { writeFileAtomic } from './file-lock.js';
+
+export const LEGACY_DIR = '.deep';
+export const POINTER_FILE = '.deep-active.json';
+
+/** Per-session files moved out of a legacy .deep on migration */
+export const SESSION_FILES = [
+  'state.json', 'task.md', 'plan.md', 'decisions.md', 'exploration.md',
+  'tasks-status.json', 'issues.json', 'test-results.json', 'lessons-learned.md',
+  'usage.json', 'validation-state.json', 'hook-errors.log'
+];
+
+/** Session directory names (the legacy .deep is not one) */
+const SESSION_DIR_RE = /^\.deep-[A-Za-z0-9]+$/;
+
+/** Contents that keep a directory out of cleanup: execute queue, project stores */
+const KEEP_MARKERS = ['tasks.md', 'inflight.json', 'persistent-tasks.json', 'prompts'];
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Repo root for cwd (git toplevel; cwd itself outside a repo)
+ * @param {string} [cwd]
+ */
+export function findRepoRoot(cwd = process.cwd()) {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 2000
+  });
+  const root = result.status === 0 ? result.stdout.trim() : '';
+  return root || path.resolve(cwd);
+}
+
+/**
+ * Directory name for a session id
+ * @param {string|null} sessionId
+ * @returns {string} .deep-<first 8 chars>, or .deep without an id
+ */
+export function sessionDirName(sessionId) {
+  return sessionId && sessionId.length >= 8 ? `.deep-${sessionId.slice(0, 8)}` : LEGACY_DIR;
+}
+
+function isRunningLoop(state) {
+  return Boolean(state?.active) && !state.complete && state.phase !== 'COMPLETE';
+}
+
+/**
+ * The active-session pointer, if its loop is still running
+ * @param {string} root
+ * @returns {{sessionId: string, dir: string, updatedAt: string}|null}
+ */
+export function readActivePointer(root) {
+  const pointer = readJson(path.join(root, POINTER_FILE));
+  if (!pointer?.dir || path.basename(pointer.dir) !== pointer.dir) return null;
+  const state = readJson(path.join(root, pointer.dir, 'state.json'));
+  return isRunningLoop(state) ? pointer : null;
+}
+
+/**
+ * Point sessionless callers (execute.sh, CLIs) at a session's directory
+ * @param {string} root
+ * @param {string} sessionId
+ * @returns {boolean} true when the pointer changed
+ */
+export function setActiveSession(root, sessionId) {
+  const dir = sessionDirName(sessionId);
+  const current = readJson(path.join(root, POINTER_FILE));
+  if (current?.sessionId === sessionId && current?.dir === dir) return false;
+  writeFileAtomic(path.join(root, POINTER_FILE), JSON.stringify({
+    sessionId,
+    dir,
+    updatedAt: new Date().toISOString()
+  }, null, 2));
+  return true;
+}
+
+/**
+ * Move a legacy .deep's running loop into a session directory, when it
+ * belongs to no other session (state.sessionId unset or matching)
+ * @param {string} root
+ * @param {string} sessionId
+ * @returns {string[]} Files moved (empty when there was nothing to migrate)
+ */
+export function migrateLegacyDir(root, sessionId) {
+  const legacy = path.join(root, LEGACY_DIR);
+  const state = readJson(path.join(legacy, 'state.json'));
+  if (!isRunningLoop(state)) return [];
+  if (state.sessionId && state.sessionId.slice(0, 8) !== sessionId.slice(0, 8)) return [];
+
+  const target = path.join(root, sessionDirName(sessionId));
+  fs.mkdirSync(target, { recursive: true });
+  const moved = [];
+  for (const name of SESSION_FILES) {
+    try {
+      fs.renameSync(path.join(legacy, name), path.join(target, name));
+      moved.push(name);
+    } catch {
+      // Missing, or another hook moved it first
+    }
+  }
+  return moved;
+}
+
+/**
+ * Resolve the session directory
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] Hook input session_id (DEEP_SESSION_ID wins)
+ * @param {string} [options.cwd]
+ * @param {boolean} [options.migrate] Migrate a legacy .deep; only the stop and
+ *   session-start hooks do, once no other live session holds the repo lock
+ * @returns {{root: string, dir: string, sessionId: string|null, source: 'session'|'migrated'|'new'|'pointer'|'legacy'}}
+ *   dir is absolute and may not exist yet (writers create it)
+ */
+export function resolveSession({ sessionId, cwd = process.cwd(), migrate = false } = {}) {
+  const root = findRepoRoot(cwd);
+  const sid = process.env.DEEP_SESSION_ID || sessionId || null;
+
+  if (sid && sid.length >= 8) {
+    const dir = path.join(root, sessionDirName(sid));
+    if (fs.existsSync(dir)) return { root, dir, sessionId: sid, source: 'session' };
+    const moved = migrate ? migrateLegacyDir(root, sid) : [];
+    return { root, dir, sessionId: sid, source: moved.length > 0 ? 'migrated' : 'new' };
+  }
+
+  const pointer = readActivePointer(root);
+  if (pointer) return { root, dir: path.join(root, pointer.dir), sessionId: pointer.sessionId, source: 'pointer' };
+
+  return { root, dir: path.join(root, LEGACY_DIR), sessionId: null, source: 'legacy' };
+}
+
+/**
+ * Remove finished or abandoned session directories (.deep-<id>): a
+ * completed loop, or state.json (the directory itself, without one) older
+ * than maxAgeDays. The legacy .deep and anything holding an execute queue
+ * or project store (KEEP_MARKERS) are never removed.
+ * @param {string} root
+ * @param {Object} options
+ * @param {number} options.maxAgeDays 0 or less: remove nothing
+ * @param {string[]} [options.keep] Directory names to leave alone (the caller's own)
+ * @param {number} [options.now]
+ * @returns {string[]} Directory names removed
+ */
+export function cleanupSessionDirs(root, { maxAgeDays, keep = [], now = Date.now() }) {
+  if (!(maxAgeDays > 0)) return [];
+  const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+
+  let entries;
+  try {
+    entries = fs.readdirSync(root, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const removed = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !SESSION_DIR_RE.test(entry.name) || keep.includes(entry.name)) continue;
+    const dir = path.join(root, entry.name);
+    if (KEEP_MARKERS.some(name => fs.existsSync(path.join(dir, name)))) continue;
+
+    let stale;
+    try {
+      const statePath = path.join(dir, 'state.json');
+      if (fs.existsSync(statePath)) {
+        const state = readJson(statePath);
+        const completed = state?.complete === true && state.phase === 'COMPLETE';
+        stale = completed || now - fs.statSync(statePath).mtimeMs > maxAgeMs;
+      } else {
+        stale = now - fs.statSync(dir).mtimeMs > maxAgeMs;
+      }
+    } catch {
+      continue;
+    }
+    if (!stale) continue;
+
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+      removed.push(entry.name);
+    } catch {
+      // Left for the next session
+    }
+  }
+  return removed;
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      cwd: { type: 'string' },
+      'session-id': { type: 'string' },
+      json: { type: 'boolean' }
+    }
+  });
+  const [command = 'resolve', arg] = positionals;
+  const cwd = values.cwd || process.cwd();
+
+  if (command === 'activate') {
+    if (!arg || arg.length < 8) {
+      console.error('Usage: session.js activate <sessionId> [--cwd DIR]');
+      return 1;
+    }
+    setActiveSession(findRepoRoot(cwd), arg);
+    console.log(path.join(findRepoRoot(cwd), sessionDirName(arg)));
+    return 0;
+  }
+
+  if (command !== 'resolve') {
+    console.error('Usage: session.js [resolve] [--cwd DIR] [--session-id ID] [--json] | activate <sessionId>');
+    return 1;
+  }
+
+  const session = resolveSession({ sessionId: values['session-id'], cwd });
+  console.log(values.json ? JSON.stringify(session, null, 2) : session.dir);
+  return 0;
+}
+
+/**
+ * CLI entry point
+ * Usage: node session.js [resolve|activate] [args]
+ */
+if (process.argv[1] && process.argv[1].endsWith('session.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
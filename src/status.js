@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+
+/**
+ * Deep Status
+ *
+ * Deterministic status report for every deep-loop session in a repo:
+ *   - .deep-<sid8>/ loop sessions: state.json, task.md, plan.md,
+ *     tasks-status.json, issues.json, hook-errors.log, FORCE_EXIT
+ *   - .deep/ execute queue: tasks.md, claims.json, worker heartbeats,
+ *     failures.md and the latest events.jsonl run
+ *
+ * Usage: node status.js [root] [--json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { describeQueue } from './task-queue.js';
+import { readEvents, listRuns, summarizeRun } from './events.js';
+import { USAGE_FILE, readUsage, formatSpend } from './budget.js';
+import { resolveSession, findRepoRoot, LEGACY_DIR } from './session.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SESSION_DIR_RE = /^\.deep(-[A-Za-z0-9]+)?$/;
+const STALE_ACTIVITY_MS = 60 * 60 * 1000; // 1 hour
+const HEARTBEAT_SLOW_S = 60;
+const HEARTBEAT_STALE_S = 300; // matches monitor_workers in execute.sh
+const RECENT_FAILURES = 5;
+
+const NEXT_STEPS = {
+  CHALLENGE: () => 'Awaiting user confirmation on approach',
+  RLM_EXPLORE: () => 'Exploring codebase, writing exploration.md',
+  PLAN: () => 'Writing plan.md with atomic task breakdown',
+  BUILD: (s) => `Implementing. ${s.files.plan?.tasks ?? 0} tasks in plan.`,
+  REVIEW: () => 'Validating: tests, lint, types, code-review, security-audit',
+  FIX: (s) => `${s.files.issues?.count ?? 0} issues in issues.json to resolve`,
+  SHIP: () => 'Pushing, creating PR, writing lessons-learned',
+  COMPLETE: () => 'Session finished. See lessons-learned.md'
+};
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function readJson(filePath) {
+  const text = readText(filePath);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function pluginVersion() {
+  return readJson(path.join(__dirname, '..', 'package.json'))?.version || 'unknown';
+}
+
+/**
+ * Humanize a duration: "2h 5m", "12m", "40s"
+ * @param {number} ms
+ */
+export function formatElapsed(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return '—';
+  const totalMinutes = Math.floor(ms / 60000);
+  if (totalMinutes === 0) return `${Math.floor(ms / 1000)}s`;
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * All .deep and .deep-* directories directly under root, sorted by name
+ * @param {string} root
+ * @returns {string[]} Directory names
+ */
+export function findDeepDirs(root) {
+  let entries;
+  try {
+    entries = fs.readdirSync(root, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(e => e.isDirectory() && SESSION_DIR_RE.test(e.name))
+    .map(e => e.name)
+    .sort();
+}
+
+// tasks-status.json is written by the model, so accept an array or { tasks: [...] }
+function summarizeTaskStatus(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.tasks) ? data.tasks : null;
+  if (!list) return null;
+  const byStatus = {};
+  for (const task of list) {
+    const status = String(task?.status || 'unknown').toLowerCase();
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  }
+  return { total: list.length, byStatus };
+}
+
+function summarizeSessionFiles(dir) {
+  const files = {};
+  const present = (name) => fs.existsSync(path.join(dir, name));
+
+  files.task = { exists: present('task.md') };
+
+  const plan = readText(path.join(dir, 'plan.md'));
+  files.plan = { exists: plan !== null };
+  if (plan !== null) {
+    files.plan.tasks = plan.split('\n').filter(l => /^## |^### Task/.test(l)).length;
+  }
+
+  const issues = readJson(path.join(dir, 'issues.json'));
+  files.issues = { exists: present('issues.json') };
+  if (files.issues.exists) {
+    files.issues.count = Array.isArray(issues) ? issues.length
+      : Array.isArray(issues?.issues) ? issues.issues.length : 0;
+  }
+
+  const errors = readText(path.join(dir, 'hook-errors.log'));
+  files.hookErrors = { exists: errors !== null };
+  if (errors !== null) {
+    files.hookErrors.count = errors.split('\n').filter(l => l.startsWith('[')).length;
+  }
+
+  if (present('tasks-status.json')) {
+    files.tasksStatus = { exists: true, ...summarizeTaskStatus(readJson(path.join(dir, 'tasks-status.json'))) };
+  }
+
+  const results = readJson(path.join(dir, 'test-results.json'));
+  if (results) {
+    files.testResults = {
+      exists: true,
+      passed: results.passed ?? results.pass ?? null,
+      failed: results.failed ?? results.fail ?? null
+    };
+  }
+
+  for (const [key, name] of [['decisions', 'decisions.md'], ['lessons', 'lessons-learned.md'], ['exploration', 'exploration.md']]) {
+    if (present(name)) files[key] = { exists: true };
+  }
+
+  return files;
+}
+
+/**
+ * Status of one loop session directory (null when it has no state.json)
+ * @param {string} root
+ * @param {string} name Directory name (.deep-xxxxxxxx)
+ * @param {number} now
+ */
+export function readSession(root, name, now = Date.now()) {
+  const dir = path.join(root, name);
+  const state = readJson(path.join(dir, 'state.json'));
+  if (!state) return null;
+
+  const taskLine = (readText(path.join(dir, 'task.md')) || '')
+    .split('\n').map(l => l.replace(/^#+\s*/, '').trim()).find(Boolean);
+  const startedAt = state.startedAt || state.createdAt || null;
+  const lastActivity = state.lastActivity || null;
+  const sinceActivity = lastActivity ? now - new Date(lastActivity).getTime() : null;
+
+  const session = {
+    dir: name,
+    sessionId: state.sessionId || name.replace(/^\.deep-?/, '') || null,
+    active: Boolean(state.active),
+    complete: Boolean(state.complete),
+    phase: state.phase || 'UNKNOWN',
+    iteration: state.iteration ?? 0,
+    maxIterations: state.maxIterations ?? null,
+    mode: state.mode || null,
+    buildMode: state.buildMode || null,
+    task: taskLine || state.task || null,
+    currentStep: state.current_step || null,
+    startedAt,
+    lastActivity,
+    elapsedMs: startedAt ? now - new Date(startedAt).getTime() : null,
+    stale: sinceActivity !== null && sinceActivity > STALE_ACTIVITY_MS,
+    sinceActivityMs: sinceActivity,
+    forceExit: fs.existsSync(path.join(dir, 'FORCE_EXIT')),
+    spend: fs.existsSync(path.join(dir, USAGE_FILE)) ? formatSpend(state.budget, readUsage(dir)) : null,
+    files: summarizeSessionFiles(dir)
+  };
+  session.nextStep = (NEXT_STEPS[session.phase] || (() => null))(session);
+  return session;
+}
+
+function readHeartbeats(deepDir, now) {
+  let names;
+  try {
+    names = fs.readdirSync(deepDir).filter(n => /^worker-\d+\.heartbeat$/.test(n));
+  } catch {
+    return [];
+  }
+
+  const heartbeats = [];
+  for (const name of names) {
+    const filePath = path.join(deepDir, name);
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch {
+      continue; // Worker cleaned up between readdir and stat
+    }
+    const content = (readText(filePath) || '').trim();
+    const ageS = Math.round((now - mtimeMs) / 1000);
+    heartbeats.push({
+      worker: Number(name.match(/\d+/)[0]),
+      ageS,
+      liveness: ageS > HEARTBEAT_STALE_S ? 'stale' : ageS > HEARTBEAT_SLOW_S ? 'slow' : 'alive',
+      task: content.match(/task=(\S+)/)?.[1] || null,
+      loop: Number(content.match(/loop=(\d+)/)?.[1]) || null
+    });
+  }
+  return heartbeats.sort((a, b) => a.worker - b.worker);
+}
+
+function readRecentFailures(deepDir) {
+  const text = readText(path.join(deepDir, 'failures.md'));
+  if (!text) return [];
+  return text.split('\n')
+    .filter(l => /^\|\s*task-/.test(l))
+    .slice(-RECENT_FAILURES)
+    .map(l => {
+      const [task, worker, ts, category, error] = l.split('|').slice(1, -1).map(c => c.trim());
+      return { task, worker, ts, category, error };
+    });
+}
+
+/**
+ * Status of the execute queue (null when there is no queue): the running
+ * loop's directory when it has one (see session.js), else .deep/
+ * @param {string} root
+ * @param {number} now
+ */
+export function readExecute(root, now = Date.now()) {
+  const deepDir = [resolveSession({ cwd: root, migrate: false }).dir, path.join(root, LEGACY_DIR)]
+    .find(dir => fs.existsSync(path.join(dir, 'tasks.md')));
+  if (!deepDir) return null;
+
+  const queue = { pending: 0, eligible: 0, blocked: 0, claimed: 0, exhausted: 0 };
+  for (const entry of describeQueue(deepDir)) {
+    queue.pending++;
+    queue[entry.status]++;
+  }
+  const completed = (readText(path.join(deepDir, 'completed-tasks.md')) || '')
+    .split('\n').filter(l => l.startsWith('## [x]')).length;
+  const claims = readJson(path.join(deepDir, 'claims.json')) || {};
+
+  const workers = readHeartbeats(deepDir, now);
+  const events = readEvents(deepDir);
+  const runs = listRuns(events);
+  const lastRun = runs.length > 0 ? summarizeRun(events, runs[runs.length - 1]) : null;
+
+  return {
+    dir: path.relative(path.resolve(root), deepDir) || '.',
+    queue: { ...queue, completed },
+    claims: Object.entries(claims).map(([task, c]) => ({ task, ...c })),
+    workers,
+    running: workers.some(w => w.liveness !== 'stale'),
+    recentFailures: readRecentFailures(deepDir),
+    lastRun: lastRun && {
+      run: lastRun.run,
+      startedAt: lastRun.startedAt,
+      endedAt: lastRun.endedAt,
+      interrupted: lastRun.interrupted,
+      counts: lastRun.counts
+    }
+  };
+}
+
+/**
+ * Collect status for every session and the execute queue under root
+ * @param {string} root
+ * @param {number} [now]
+ */
+export function collectStatus(root, now = Date.now()) {
+  const sessions = findDeepDirs(root)
+    .map(name => readSession(root, name, now))
+    .filter(Boolean);
+  return {
+    version: pluginVersion(),
+    root: path.resolve(root),
+    generatedAt: new Date(now).toISOString(),
+    sessions,
+    execute: readExecute(root, now)
+  };
+}
+
+function fileLine(label, info, detail) {
+  if (!info) return `  ${label.padEnd(19)}missing`;
+  return `  ${label.padEnd(19)}exists${detail ? ` (${detail})` : ''}`;
+}
+
+function formatSession(s) {
+  const lines = [
+    `Session:    ${s.sessionId}${s.active ? '' : '  (inactive)'}`,
+    `Phase:      ${s.phase}`,
+    `Iteration:  ${s.iteration}/${s.maxIterations ?? '?'}`,
+    `Mode:       ${s.mode || '—'}    Build: ${s.buildMode || '—'}`,
+    `Task:       ${s.task || '—'}`,
+    `Step:       ${s.currentStep || '—'}`,
+    `Elapsed:    ${formatElapsed(s.elapsedMs)}`
+  ];
+  if (s.spend) lines.push(`Spend:      ${s.spend}`);
+
+  if (s.stale && !s.complete) {
+    lines.push(
+      `!! STALE — last activity ${formatElapsed(s.sinceActivityMs)} ago`,
+      `   Resume: /deep    Cancel: /cancel-deep    Force exit: touch ${s.dir}/FORCE_EXIT`
+    );
+  }
+  if (s.forceExit) {
+    lines.push('!! FORCE_EXIT flag is set — session will exit on next stop hook');
+  }
+
+  const f = s.files;
+  lines.push('', 'Files:');
+  lines.push(fileLine('task.md', f.task.exists && f.task));
+  lines.push(fileLine('plan.md', f.plan.exists && f.plan, f.plan.exists ? `${f.plan.tasks} atomic tasks` : ''));
+  lines.push(fileLine('issues.json', f.issues.exists && f.issues, f.issues.exists ? `${f.issues.count} issues` : ''));
+  lines.push(fileLine('hook-errors.log', f.hookErrors.exists && f.hookErrors, f.hookErrors.exists ? `${f.hookErrors.count} errors` : ''));
+  if (f.tasksStatus) {
+    const parts = Object.entries(f.tasksStatus.byStatus || {}).map(([k, v]) => `${v} ${k}`).join(', ');
+    lines.push(fileLine('tasks-status.json', f.tasksStatus, parts || 'unreadable'));
+  }
+  if (f.testResults) {
+    lines.push(fileLine('test-results.json', f.testResults, `${f.testResults.passed ?? '?'} passed, ${f.testResults.failed ?? '?'} failed`));
+  }
+  if (f.decisions) lines.push(fileLine('decisions.md', f.decisions));
+  if (f.lessons) lines.push(fileLine('lessons-learned.md', f.lessons));
+  if (f.exploration) lines.push(fileLine('exploration.md', f.exploration));
+
+  if (s.nextStep) lines.push('', `Next: ${s.nextStep}`);
+  return lines.join('\n');
+}
+
+function formatExecute(e) {
+  const q = e.queue;
+  const lines = [
+    'Execute queue (.deep):',
+    `Queue:      ${q.pending} pending (${q.eligible} eligible, ${q.blocked} blocked, ${q.claimed} claimed, ${q.exhausted} exhausted), ${q.completed} completed`
+  ];
+
+  if (e.workers.length > 0) {
+    lines.push('Workers:');
+    for (const w of e.workers) {
+      lines.push(`  ${`worker ${w.worker}`.padEnd(10)} ${w.liveness.padEnd(6)} ${`${w.ageS}s`.padStart(5)}  ${w.task || '—'}${w.loop ? ` (loop ${w.loop})` : ''}`);
+    }
+  } else {
+    lines.push('Workers:    none running');
+  }
+
+  if (e.lastRun) {
+    const c = e.lastRun.counts;
+    const state = e.lastRun.endedAt ? (e.lastRun.interrupted ? 'interrupted' : 'finished') : 'running or interrupted';
+    lines.push(`Last run:   ${e.lastRun.run} (${state}) — ${c.merged} merged, ${c.failed} failed, ${c.prs} PRs`);
+  }
+
+  if (e.recentFailures.length > 0) {
+    lines.push('Recent failures:');
+    for (const f of e.recentFailures) {
+      lines.push(`  ${f.task} [${f.category}] ${f.error}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render collectStatus() output as text
+ * @param {ReturnType<typeof collectStatus>} status
+ * @returns {string}
+ */
+export function formatStatus(status) {
+  const header = `DEEP LOOP v${status.version}`;
+
+  if (status.sessions.length === 0 && !status.execute) {
+    return [
+      header,
+      '',
+      'No active session.',
+      '',
+      'Start:  /deep <task>',
+      'Quick:  /deep quick <task>',
+      'Queue:  /deep execute'
+    ].join('\n');
+  }
+
+  const blocks = status.sessions.map(formatSession);
+  if (status.execute) blocks.push(formatExecute(status.execute));
+  return [header, '', blocks.join('\n\n---\n\n')].join('\n');
+}
+
+/**
+ * CLI entry point
+ * Usage: node status.js [root] [--json]
+ */
+if (process.argv[1] && process.argv[1].endsWith('status.js')) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: { json: { type: 'boolean' } }
+    });
+    const status = collectStatus(positionals[0] || findRepoRoot());
+    console.log(values.json ? JSON.stringify(status, null, 2) : formatStatus(status));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
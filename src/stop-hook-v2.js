@@ -4,25 +4,63 @@
  * Deep Loop Stop Hook v4.0 - Enriched Phase Prompts
  *
  * Simple while-true mechanism:
+ * 0. Apply phase transitions (promise detected → next phase, see phases.js),
+ *    once the phase's artifact gate passes (see phase-gates.js), recording
+ *    HEAD as the new phase's checkpoint (see checkpoints.js)
  * 1. Check max iterations safety valve
- * 2. Check staleness (8hr threshold)
- * 3. Detect <promise>PHASE_COMPLETE</promise> tags
- * 4. Feed enriched phase prompt back to continue loop
+ * 2. Check staleness (8hr without activity, or state.json maxDuration)
+ * 3. Check token/cost budget (state.json "budget", see budget.js)
+ * 4. Check per-phase time limits (state.json "timeouts", see time-budget.js)
+ * 5. Detect <promise>PHASE_COMPLETE</promise> tags
+ * 6. Feed enriched phase prompt back to continue loop (or a recovery
+ *    prompt when the phase is over its time limit); phase instructions
+ *    come from .deep/prompts/<PHASE>.md or the defaults (see prompts.js)
+ *
+ * Without a running loop, the hook only holds the session open for open
+ * project persistent tasks (see persistent-tasks.js).
+ *
+ * State lives in the session directory (.deep-<sid8> in the repo root,
+ * see session.js); while a loop runs it is the repo's active session and
+ * holds the repo lock (see repo-lock.js). A loop whose repo is locked by
+ * another live session or script is not continued.
  *
  * v4.0 changes:
  * - Structured error logging (no more silent catches)
- * - Optimized transcript reading (tail 50KB instead of full read)
+ * - Optimized transcript reading (backwards until the last 10 assistant
+ *   messages, see transcript.js)
  * - Enriched phase prompts (BUILD multi-agent, REVIEW skills, SHIP PR)
  * - Increased assistant message check from 5 to 10
  */
 
 import fs from 'fs';
 import path from 'path';
-
-// Session-specific directory
+import { fileURLToPath } from 'url';
+import { resolveBaseBranch } from './base-branch.js';
+import { resolveHookConfig } from './config.js';
+import { recordTranscriptUsage, readUsage, checkBudget, formatSpend, formatBreakdown } from './budget.js';
+import { updatePhaseTimer, checkPhaseTime, parseDuration, formatDuration } from './time-budget.js';
+import {
+  PHASE_TRANSITIONS, resolveTransition, applyTransition, defaultNextPhase,
+  hasOpenIssues, lastTransitionAt, isLegalTransition
+} from './phases.js';
+import { checkPhaseGate } from './phase-gates.js';
+import { transcriptHasPromise } from './transcript.js';
+import { resolveSession, setActiveSession, findRepoRoot } from './session.js';
+import { MAX_STOP_PROMPTS, readTasks, openTasks, formatTask } from './persistent-tasks.js';
+import { recordCheckpoint } from './checkpoints.js';
+import { phaseInstructions } from './prompts.js';
+import { acquireRepoLock, releaseRepoLock, describeHolder, lockedByOtherSession, sessionProcessPid, LOCK_FILE } from './repo-lock.js';
+
+// Session-specific directory (see session.js)
 let DEEP_DIR = '.deep';
+let REPO_ROOT = process.cwd();
 let sessionId = null;
 
+// Project config (.deeploop.json, see config.js); state.json wins
+let PROJECT_CONFIG = null;
+let LOOP_CONFIG = null;
+let STALE_THRESHOLD_MS = 0; // loop.staleHours (8) without activity
+
 function logError(err, context = '') {
   try {
     const logPath = getDeepPath('hook-errors.log');
@@ -35,13 +73,19 @@ function logError(err, context = '') {
 }
 
 function initDeepDir(sid) {
-  sessionId = sid;
-  if (sid && sid.length >= 8) {
-    DEEP_DIR = `.deep-${sid.slice(0, 8)}`;
-  }
-  if (!fs.existsSync(DEEP_DIR) && fs.existsSync('.deep') && !sessionId) {
-    DEEP_DIR = '.deep';
+  try {
+    const root = findRepoRoot();
+    const session = resolveSession({ sessionId: sid, cwd: root, migrate: !lockedByOtherSession(root, sid) });
+    DEEP_DIR = session.dir;
+    REPO_ROOT = session.root;
+    sessionId = session.sessionId;
+  } catch (err) {
+    logError(err, 'initDeepDir');
   }
+  // .deeploop.json at the repo root, not wherever the hook was started
+  PROJECT_CONFIG = resolveHookConfig(REPO_ROOT, getDeepPath('hook-errors.log'));
+  LOOP_CONFIG = PROJECT_CONFIG.loop;
+  STALE_THRESHOLD_MS = LOOP_CONFIG.staleHours * 60 * 60 * 1000;
   return DEEP_DIR;
 }
 
@@ -54,10 +98,14 @@ const STATE_FILE = () => getDeepPath('state.json');
 const TASK_FILE = () => getDeepPath('task.md');
 const PLAN_FILE = () => getDeepPath('plan.md');
 const FORCE_EXIT_FILE = () => getDeepPath('FORCE_EXIT');
+const TAKEOVER_FILE = () => getDeepPath('TAKEOVER_LOCK');
+const ISSUES_FILE = () => getDeepPath('issues.json');
+const TASK_PROMPTS_FILE = () => getDeepPath('persistent-task-prompts.json');
+const TASKS_CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), 'persistent-tasks.js');
 
 // Configuration
-const STALE_THRESHOLD_MS = 8 * 60 * 60 * 1000; // 8 hours
-const TRANSCRIPT_TAIL_BYTES = 50 * 1024; // Read last 50KB of transcript
+const TRANSCRIPT_TAIL_BYTES = 50 * 1024; // Step detection reads the last 50KB
+const PROMISE_MESSAGES = 10; // Assistant messages searched for a promise
 
 // Phase completion promises
 const PHASE_PROMISES = {
@@ -107,14 +155,42 @@ function writeState(state) {
   }
 }
 
-function isStale(state) {
+function transcriptMtime(transcriptPath) {
+  try {
+    return transcriptPath ? fs.statSync(transcriptPath).mtimeMs : 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Which staleness limit (if any) has fired:
+ * - inactive: no lastActivity / transcript write for loop.staleHours
+ * - max-duration: running longer than maxDuration (state.json, else config) since startedAt
+ * @returns {string|null} Message naming the limit, or null
+ */
+function isStale(state, transcriptPath) {
   try {
-    const started = new Date(state.startedAt || state.createdAt).getTime();
-    return Date.now() - started > STALE_THRESHOLD_MS;
+    const now = Date.now();
+    const started = new Date(state.startedAt || state.createdAt).getTime() || 0;
+
+    const maxDurationMs = parseDuration(state.maxDuration ?? LOOP_CONFIG.maxDuration);
+    if (maxDurationMs && started && now - started > maxDurationMs) {
+      return `Max duration reached (running ${formatDuration(now - started)}, maxDuration ${formatDuration(maxDurationMs)})`;
+    }
+
+    const lastActive = Math.max(
+      started,
+      new Date(state.lastActivity).getTime() || 0,
+      transcriptMtime(transcriptPath)
+    );
+    if (STALE_THRESHOLD_MS > 0 && lastActive && now - lastActive > STALE_THRESHOLD_MS) {
+      return `Stale (inactive ${formatDuration(now - lastActive)}, threshold ${formatDuration(STALE_THRESHOLD_MS)})`;
+    }
   } catch (err) {
     logError(err, 'isStale');
-    return false;
   }
+  return null;
 }
 
 function shouldForceExit() {
@@ -127,6 +203,44 @@ function shouldForceExit() {
   return false;
 }
 
+/**
+ * Take or refresh the repo lock for this session's loop. Prints why and
+ * returns false when another live session or script holds it (touching
+ * TAKEOVER_LOCK in the session directory replaces that holder once).
+ */
+function holdRepoLock() {
+  let takeover = false;
+  if (fs.existsSync(TAKEOVER_FILE())) {
+    takeover = true;
+    try { fs.unlinkSync(TAKEOVER_FILE()); } catch (err) {
+      logError(err, 'holdRepoLock:unlink');
+    }
+  }
+
+  let result;
+  try {
+    result = acquireRepoLock(REPO_ROOT, { owner: 'loop', kind: 'session', sessionId, pid: sessionProcessPid() }, { takeover });
+  } catch (err) {
+    logError(err, 'holdRepoLock');
+    return true;
+  }
+  if (result.ok) return true;
+
+  console.log(`
+## DEEP LOOP BLOCKED: repo locked
+
+Held by ${describeHolder(result.holder)}.
+This session's loop (${DEEP_DIR}) is paused so the two don't work on the same checkout.
+
+Options:
+1. Wait for the other run to finish, then continue this session
+2. Take over (only if the other run is gone): touch ${DEEP_DIR}/TAKEOVER_LOCK
+3. Force exit: touch ${DEEP_DIR}/FORCE_EXIT
+Lock file: ${path.join(REPO_ROOT, LOCK_FILE)}
+`);
+  return false;
+}
+
 function readTask() {
   try {
     if (fs.existsSync(TASK_FILE())) {
@@ -166,37 +280,18 @@ function readTranscriptTail(transcriptPath) {
   }
 }
 
-function checkPromiseInTranscript(transcriptPath, promise) {
+/**
+ * @param {string} transcriptPath
+ * @param {string} promise
+ * @param {string} [since] ISO time; messages stamped earlier are ignored
+ */
+function checkPromiseInTranscript(transcriptPath, promise, since = null) {
   try {
-    const content = readTranscriptTail(transcriptPath);
-    if (!content) return false;
-
-    const lines = content.split('\n').filter(Boolean);
-
-    // Check last 10 assistant messages (up from 5)
-    const assistantLines = lines
-      .filter(l => l.includes('"role":"assistant"'))
-      .slice(-10);
-
-    for (const line of assistantLines) {
-      try {
-        const msg = JSON.parse(line);
-        const textParts = (msg.message?.content || [])
-          .filter(c => c.type === 'text')
-          .map(c => c.text)
-          .join('\n');
-
-        if (textParts.includes(`<promise>${promise}</promise>`)) {
-          return true;
-        }
-      } catch (err) {
-        logError(err, 'checkPromiseInTranscript:parseLine');
-      }
-    }
+    return transcriptHasPromise(transcriptPath, promise, { since, messages: PROMISE_MESSAGES });
   } catch (err) {
     logError(err, 'checkPromiseInTranscript');
+    return false;
   }
-  return false;
 }
 
 function detectCurrentStep(transcriptPath) {
@@ -229,13 +324,14 @@ function isExternalMode(state) {
 }
 
 function getMaxIterations(state) {
-  if (isQuickMode(state)) return 3;
-  return state?.maxIterations || 10;
+  if (isQuickMode(state)) return LOOP_CONFIG.quickMaxIterations;
+  return state?.maxIterations || LOOP_CONFIG.maxIterations;
 }
 
 function buildPhasePrompt(state) {
   const task = readTask() || state.task || 'See plan.md';
   const { phase, iteration, maxIterations } = state;
+  const baseBranch = resolveBaseBranch(REPO_ROOT, state);
 
   const basePrompt = `
 ## Deep Loop - Iteration ${iteration}/${maxIterations}
@@ -248,238 +344,185 @@ Read state from:
 - ${DEEP_DIR}/issues.json - Outstanding issues (if exists)
 `;
 
-  const phaseInstructions = {
-    'CHALLENGE': `
-### CHALLENGE Phase (Senior Dev Pushback)
+  const instructions = phaseInstructions(REPO_ROOT, phase, {
+    DEEP_DIR, task, iteration, maxIterations, baseBranch
+  });
+  return `${basePrompt}\n${instructions.replace(/^\n/, '')}`;
+}
 
-Before building, challenge the request:
+function buildGatePrompt(state, gate) {
+  return `
+## Deep Loop - Iteration ${state.iteration}/${state.maxIterations}
+**Phase:** ${gate.phase} — COMPLETION NOT ACCEPTED
 
-1. **Understand the WHY** - What problem are we really solving?
-2. **Challenge the approach**:
-   - Do we need to build this at all?
-   - Is there an existing solution?
-   - What's the simplest approach?
-   - What are the risks?
-3. **Propose alternatives** if simpler options exist
-4. **Get user confirmation** via AskUserQuestion
-
-Output your challenge assessment, then ask user how to proceed.
-
-When done: Update state.json to phase: PLAN (or COMPLETE if cancelled)
-Output: <promise>CHALLENGE_COMPLETE</promise>
-`,
-    'RLM_EXPLORE': `
-### RLM_EXPLORE Phase
-
-Large codebase detected. Explore and map architecture:
-1. Probe codebase structure
-2. Chunk by module/directory
-3. Write exploration report to ${DEEP_DIR}/exploration.md
-
-When done: Update state.json to phase: PLAN
-Output: <promise>RLM_COMPLETE</promise>
-`,
-    'PLAN': `
-### PLAN Phase
-
-Follow the /deep-plan Mode 1 planning approach.
-
-#### Step 1: Locked Assumptions (Auto-Approved)
-
-Output as locked declarations, proceed immediately:
-
-\`\`\`markdown
-## Locked Assumptions (Auto-Approved)
-**Task:** [specific]
-**Stack:** [technology] BECAUSE [reason]
-**Files:** [list]
-**Scope IN:** [included]
-**Scope OUT:** [excluded]
-**Key Bets:** [critical decisions]
-\`\`\`
-
-#### Step 1.5: Root Cause Analysis (Mandatory)
-
-**Question:** Are we solving ROOT PROBLEM or treating SYMPTOM?
-
-#### Step 2: Detailed Plan
-
-Create ${DEEP_DIR}/plan.md with:
-1. Problem statement
-2. Testable acceptance criteria
-3. Atomic task breakdown (<=3 files per task, <=20 min each)
-4. Risk assessment
-
-Also create ${DEEP_DIR}/decisions.md with locked decisions table.
-
-When done: Update state.json to phase: BUILD
-Output: <promise>PLAN_COMPLETE</promise>
-`,
-    'BUILD': `
-### BUILD Phase (Multi-Agent TDD)
-
-**Test-Driven Development is MANDATORY.**
-**NO PARTIAL COMPLETION - Tasks must be 100% done or not done.**
-
-#### Build Mode
-
-Check state.json \`buildMode\`:
-- \`"multi-agent"\` (default): You are the ORCHESTRATOR. Spawn Task agents.
-- \`"single"\`: Execute tasks sequentially in this session.
-
-#### Multi-Agent Orchestration
-
-1. **Parse tasks** from plan.md, identify dependencies
-2. **Write** ${DEEP_DIR}/tasks-status.json with task list
-3. **Spawn Task agents** (up to maxParallel concurrent):
-
-\`\`\`
-Task({
-  subagent_type: "deep-loop:task-agent",
-  description: "Build: {task_title}",
-  prompt: "Task: {title}\\nCriteria: {criteria}\\nDecisions: {decisions.md content}\\n\\n1. RED: failing test\\n2. GREEN: implement\\n3. REFACTOR: cleanup\\n4. Validate: test, lint, types",
-  run_in_background: false
-})
-\`\`\`
-
-4. **Handle failures**: retry 2x same prompt, then new agent with error context, then escalate after 3 total
-5. **Invoke skill**: \`Skill({ skill: "tdd-workflow" })\` for TDD guidance
-6. **Frontend tasks**: Also invoke \`Skill({ skill: "frontend-design" })\`
-
-#### Post-Build
-
-After all tasks complete, invoke code-simplifier:
-\`\`\`
-Task({
-  subagent_type: "deep-loop:code-simplifier",
-  model: "haiku",
-  description: "Simplify: post-build cleanup",
-  prompt: "Review recently changed code. Remove unnecessary complexity."
-})
-\`\`\`
-
-#### Completion Gate
-
-Before BUILD_COMPLETE:
-- [ ] ALL atomic tasks complete (not some, ALL)
-- [ ] All tests pass
-- [ ] No TODOs, FIXMEs, or placeholder code
-- [ ] code-simplifier has run
-
-When done: Update state.json to phase: REVIEW
-Output: <promise>BUILD_COMPLETE</promise>
-`,
-    'REVIEW': `
-### REVIEW Phase (Automated + Adversarial + Skills)
-
-**Part 1: Automated Validation**
-\`\`\`bash
-npm test && npm run typecheck && npm run lint && npm run build
-\`\`\`
-
-**Part 2: Skill Invocations (MANDATORY)**
-\`\`\`
-Skill({ skill: "code-review" })
-Skill({ skill: "security-audit" })
-\`\`\`
-Log any issues found by skills to ${DEEP_DIR}/issues.json.
-
-**Part 3: Adversarial Self-Review (Senior Dev Mindset)**
-
-Ask yourself and log concerns to issues.json:
-- **Correctness**: Edge cases missed?
-- **Security**: Injection, auth, data exposure risks?
-- **Performance**: N+1 queries, unbounded loops, memory leaks?
-- **Maintainability**: Would a new dev understand this?
-- **Error handling**: What happens when things fail?
-- **Over-engineering**: Built more than needed?
-- **Under-engineering**: Cut corners that will bite us?
-
-**Part 4: Smell Check**
-- Functions > 50 lines
-- Files > 300 lines
-- Deep nesting (> 3 levels)
-- Magic numbers/strings
-- Commented-out code
-- Copy-pasted blocks
-
-**Part 5: Pre-Ship Root Cause Validation**
-Did we solve root problem or just treat symptoms?
-If symptom fix, document root in decisions.md.
-
-Record in ${DEEP_DIR}/test-results.json.
-
-If ALL pass AND no critical issues: Update state.json to phase: SHIP
-If ANY issues: Update state.json to phase: FIX, add to issues.json
-
-Output: <promise>REVIEW_COMPLETE</promise>
-`,
-    'FIX': `
-### FIX Phase
-
-**Root Cause Check (Mandatory):** For each failure, ask: symptom or root cause?
-- Race condition masking timing issue?
-- Flaky test revealing state leakage?
-- Edge case exposing design flaw?
-
-Use: \`Skill({ skill: "debug-investigate" })\` for root cause analysis.
-
-Address ${DEEP_DIR}/issues.json:
-1. Run root cause check for each failure
-2. Fix each issue (root or symptom, documented)
-3. Commit atomically: \`[deep] fix: {description}\`
-4. Run validation
-
-When all fixed: Clear issues.json, update state.json to phase: REVIEW
-Output: <promise>FIX_COMPLETE</promise>
-`,
-    'SHIP': `
-### SHIP Phase
-
-**1. Invoke verify-app subagent:**
-\`\`\`
-Task({
-  subagent_type: "deep-loop:verify-app",
-  description: "Verify: E2E testing",
-  prompt: "Detect app type (web, API, CLI, library). Run appropriate verification. Output: VERIFIED or issues list."
-})
-\`\`\`
-
-**2. Invoke PR craftsman skill:**
-\`\`\`
-Skill({ skill: "pr-craftsman" })
-\`\`\`
-
-**3. Git finalization (if in repo):**
-\`\`\`bash
-git push -u origin HEAD
-gh pr create --base main --fill
-gh pr merge --auto --squash
-\`\`\`
-
-**4. Write lessons-learned:**
-Create ${DEEP_DIR}/lessons-learned.md reflecting on:
-- Wrong assumptions and when caught
-- Overcomplication introduced
-- Scope creep that happened
-- Root cause vs symptom fixes
-
-**Completion Checklist:**
-- [ ] All acceptance criteria met
-- [ ] All tests pass
-- [ ] verify-app passes
-- [ ] PR created and merged (or committed to main)
-
-When ALL complete:
-Update state.json: phase: COMPLETE, complete: true
-Output: <promise>DEEP_COMPLETE</promise>
-`
-  };
+<promise>${gate.promise}</promise> was not accepted. The ${gate.phase} gate is missing:
+${gate.missing.map(m => `- ${m}`).join('\n')}
+
+Finish these, then output <promise>${PHASE_PROMISES[gate.phase]}</promise> again.
+`;
+}
+
+function buildRecoveryPrompt(state, phaseTime) {
+  const { phase, iteration, maxIterations } = state;
+  const next = defaultNextPhase(phase, { hasIssues: true });
+  const promise = PHASE_PROMISES[phase] || DEEP_COMPLETE;
+
+  return `
+## Deep Loop - Iteration ${iteration}/${maxIterations}
+**Phase:** ${phase} — TIME LIMIT EXCEEDED (${formatDuration(phaseTime.elapsedMs)} of ${formatDuration(phaseTime.limitMs)})
+
+Stop starting new work in this phase. Wrap up within ${formatDuration(phaseTime.graceMs)}:
 
-  return basePrompt + (phaseInstructions[phase] || '');
+1. Keep what works: run the tests, commit passing changes (\`[deep] wip: {description}\`)
+2. Record everything unfinished in ${DEEP_DIR}/issues.json (what is left, what blocked it)
+3. Note the timeout in ${DEEP_DIR}/plan.md so the next phase knows the scope was cut
+4. Update state.json to phase: ${next}${next === 'COMPLETE' ? ', complete: true' : ''}
+
+Output: <promise>${promise}</promise>
+
+If the phase cannot be wrapped up in time, the loop stops and waits for the user.
+`;
+}
+
+/**
+ * Move state.phase along the transition table (see phases.js).
+ * A promise for the confirmed phase advances it — to the phase the model
+ * wrote if that move is legal, else to the default — unless the phase's
+ * artifact gate fails. A phase written without the promise is undone.
+ * DEEP_COMPLETE counts only where COMPLETE is legal (SHIP, a cancelled
+ * CHALLENGE); anywhere else it is ignored.
+ * @returns {{notice: string|null, fixCapReached: boolean, gate?: {phase: string, promise: string, missing: string[]}}}
+ */
+function advancePhase(state, transcriptPath) {
+  const from = state.confirmedPhase || state.phase;
+  const since = lastTransitionAt(state);
+  const phasePromise = PHASE_PROMISES[from];
+  const sawPhasePromise = phasePromise && checkPromiseInTranscript(transcriptPath, phasePromise, since);
+  const completeAllowed = isLegalTransition(from, 'COMPLETE');
+  const sawDeepComplete = checkPromiseInTranscript(transcriptPath, DEEP_COMPLETE, since);
+  const strayComplete = sawDeepComplete && !completeAllowed && !sawPhasePromise
+    ? `**DEEP_COMPLETE ignored:** the loop only completes from SHIP. Still in ${from}; output <promise>${phasePromise}</promise> when it is done.`
+    : null;
+
+  if (!sawPhasePromise && (!sawDeepComplete || strayComplete)) {
+    if (state.phase === from) {
+      if (!state.confirmedPhase) {
+        state.confirmedPhase = from;
+        writeState(state);
+      }
+      return { notice: strayComplete, fixCapReached: false };
+    }
+    logError(new Error(`phase ${from} → ${state.phase} without <promise>${phasePromise}</promise>, reverted`), 'advancePhase');
+    const requested = state.phase;
+    state.phase = from;
+    state.confirmedPhase = from;
+    writeState(state);
+    return {
+      notice: `**Phase change rejected:** state.json was set to ${requested} before ${from} finished. Still in ${from}; output <promise>${phasePromise}</promise> when it is done and the hook moves the phase on.`,
+      fixCapReached: false
+    };
+  }
+
+  // Artifact gate; a phase wrapping up after a timeout moves on regardless
+  const recovering = state.phaseTimer?.phase === from && state.phaseTimer.recoveryAt;
+  const missing = recovering ? [] : checkPhaseGate(from, DEEP_DIR);
+  if (missing.length > 0) {
+    if (state.phase !== from || !state.confirmedPhase) {
+      state.phase = from;
+      state.confirmedPhase = from;
+      writeState(state);
+    }
+    return { notice: null, fixCapReached: false, gate: { phase: from, promise: sawPhasePromise ? phasePromise : DEEP_COMPLETE, missing } };
+  }
+
+  // DEEP_COMPLETE asks for COMPLETE (only reached here from SHIP, or a cancelled CHALLENGE)
+  const request = sawDeepComplete && !sawPhasePromise ? { ...state, phase: 'COMPLETE' } : state;
+  const { to, rejected, fixCapReached } = resolveTransition(request, from, {
+    hasIssues: hasOpenIssues(ISSUES_FILE()),
+    maxFixCycles: LOOP_CONFIG.maxFixCycles
+  });
+
+  if (fixCapReached) {
+    state.phase = from;
+    state.confirmedPhase = from;
+    writeState(state);
+    return { notice: null, fixCapReached: true };
+  }
+
+  let notice = null;
+  if (rejected) {
+    logError(new Error(`illegal phase transition ${from} → ${rejected}, applied ${from} → ${to}`), 'advancePhase');
+    notice = `**Phase change rejected:** ${from} → ${rejected} is not allowed (from ${from}: ${PHASE_TRANSITIONS[from].join(', ')}). Moved to ${to} instead.`;
+  }
+  applyTransition(state, from, to);
+  recordCheckpoint(state, to, REPO_ROOT);
+  writeState(state);
+  return { notice, fixCapReached: false };
+}
+
+/**
+ * Block exit while project persistent tasks are open (see
+ * persistent-tasks.js), at most MAX_STOP_PROMPTS times per session.
+ * Returns when there is nothing to enforce.
+ */
+function enforcePersistentTasks() {
+  let open;
+  try {
+    open = openTasks(readTasks(REPO_ROOT), { staleHours: PROJECT_CONFIG.cleanup.taskStaleHours });
+  } catch (err) {
+    logError(err, 'enforcePersistentTasks');
+    return;
+  }
+  if (open.length === 0) return;
+
+  let prompts = 0;
+  try {
+    const record = JSON.parse(fs.readFileSync(TASK_PROMPTS_FILE(), 'utf8'));
+    if (record.sessionId === sessionId) prompts = record.count || 0;
+  } catch {
+    // First prompt this session
+  }
+  if (prompts >= MAX_STOP_PROMPTS) return;
+
+  try {
+    fs.mkdirSync(DEEP_DIR, { recursive: true });
+    fs.writeFileSync(TASK_PROMPTS_FILE(), JSON.stringify({ sessionId, count: prompts + 1 }));
+  } catch (err) {
+    logError(err, 'enforcePersistentTasks');
+  }
+
+  const reason = `
+## Persistent Tasks Open (${open.length})
+
+${open.slice(0, 10).map(t => `- ${formatTask(t)}`).join('\n')}${open.length > 10 ? `\n- ... and ${open.length - 10} more` : ''}
+
+Work on these before stopping. As each is finished:
+  node "${TASKS_CLI}" complete <id>
+If one cannot be done in this session, set it aside with:
+  node "${TASKS_CLI}" block <id>
+
+Force exit: touch ${DEEP_DIR}/FORCE_EXIT
+`;
+
+  console.log(JSON.stringify({
+    decision: 'block',
+    reason,
+    systemMessage: `Persistent tasks: ${open.length} open (prompt ${prompts + 1}/${MAX_STOP_PROMPTS})`
+  }));
+  process.exit(2);
 }
 
 async function main(transcriptPath) {
+  // Whenever the hook lets the session end, so does this session's hold on the repo
+  process.on('exit', (code) => {
+    if (code !== 0 || !sessionId) return;
+    try {
+      releaseRepoLock(REPO_ROOT, { sessionId });
+    } catch (err) {
+      logError(err, 'releaseRepoLock');
+    }
+  });
+
   // Force exit check
   if (shouldForceExit()) {
     console.log('[OK] Deep Loop - Force exit');
@@ -488,11 +531,31 @@ async function main(transcriptPath) {
 
   const state = readState();
 
-  // No active loop
+  // No active loop: only open persistent tasks keep the session going
   if (!state || !state.active) {
+    enforcePersistentTasks();
     process.exit(0);
   }
 
+  // One loop per checkout (external mode: loop.sh holds the lock)
+  if (sessionId && !isExternalMode(state) && !state.complete && !holdRepoLock()) {
+    process.exit(0);
+  }
+
+  // The first phase's checkpoint (later ones are taken on each transition)
+  if (!state.checkpoints && recordCheckpoint(state, state.confirmedPhase || state.phase, REPO_ROOT)) {
+    writeState(state);
+  }
+
+  // Point sessionless callers (execute.sh, CLIs) at this loop
+  if (sessionId && !state.complete) {
+    try {
+      setActiveSession(REPO_ROOT, sessionId);
+    } catch (err) {
+      logError(err, 'setActiveSession');
+    }
+  }
+
   // External mode: don't block - let bash script handle orchestration
   if (isExternalMode(state)) {
     if (checkPromiseInTranscript(transcriptPath, DEEP_COMPLETE)) {
@@ -504,6 +567,13 @@ async function main(transcriptPath) {
     process.exit(0);
   }
 
+  // Charge this iteration's transcript usage to the phase that ran it
+  try {
+    recordTranscriptUsage(DEEP_DIR, transcriptPath, state.phase, { loopStartedAt: state.startedAt });
+  } catch (err) {
+    logError(err, 'recordTranscriptUsage');
+  }
+
   // Detect and update current step for progress tracking
   const detectedStep = detectCurrentStep(transcriptPath);
   if (detectedStep && state.current_step !== detectedStep) {
@@ -515,6 +585,23 @@ async function main(transcriptPath) {
   const quickMode = isQuickMode(state);
   const maxIter = getMaxIterations(state);
 
+  // Phase transitions: the hook, not the model, moves state.phase
+  const transition = quickMode ? { notice: null, fixCapReached: false } : advancePhase(state, transcriptPath);
+  if (transition.fixCapReached) {
+    const maxFixCycles = state.maxFixCycles ?? LOOP_CONFIG.maxFixCycles;
+    console.log(`
+## DEEP FIX LIMIT REACHED (${maxFixCycles} REVIEW → FIX cycles)
+
+REVIEW still reports issues after ${maxFixCycles} rounds of fixes. See ${DEEP_DIR}/issues.json.
+
+Options:
+1. Allow more rounds: edit ${DEEP_DIR}/state.json maxFixCycles
+2. Ship as is: clear ${DEEP_DIR}/issues.json (REVIEW then moves to SHIP)
+3. Force exit: touch ${DEEP_DIR}/FORCE_EXIT
+`);
+    process.exit(0);
+  }
+
   // Already complete
   if (state.complete || state.phase === 'COMPLETE') {
     const modeLabel = quickMode ? 'Quick' : 'Deep';
@@ -528,8 +615,43 @@ Iterations: ${state.iteration}/${maxIter}
   }
 
   // Staleness check
-  if (isStale(state)) {
-    console.log('[OK] Deep Loop - Stale (>8hrs), allowing exit');
+  const staleReason = isStale(state, transcriptPath);
+  if (staleReason) {
+    console.log(`[OK] Deep Loop - ${staleReason}, allowing exit`);
+    process.exit(0);
+  }
+
+  // Budget ceiling
+  const usage = readUsage(DEEP_DIR);
+  const budgetCheck = checkBudget(state.budget, usage);
+  if (budgetCheck.exceeded) {
+    const modeLabel = quickMode ? 'QUICK' : 'DEEP';
+    console.log(`
+## ${modeLabel} BUDGET EXHAUSTED: ${budgetCheck.reason}
+
+${formatBreakdown(usage)}
+
+Options:
+1. Raise the limit: edit ${DEEP_DIR}/state.json budget.maxTokens / budget.maxCostUsd
+2. Force exit: touch ${DEEP_DIR}/FORCE_EXIT
+`);
+    process.exit(0);
+  }
+
+  // Per-phase wall-clock limit: recovery prompt first, stop once the grace runs out
+  if (!quickMode && updatePhaseTimer(state)) writeState(state);
+  const phaseTime = quickMode ? { status: 'ok' } : checkPhaseTime(state);
+  if (phaseTime.status === 'expired') {
+    console.log(`
+## DEEP PHASE TIMEOUT: ${state.phase} ran ${formatDuration(phaseTime.elapsedMs)} (limit ${formatDuration(phaseTime.limitMs)})
+
+The recovery prompt did not move the loop on within ${formatDuration(phaseTime.graceMs)}.
+
+Options:
+1. Raise the limit: edit ${DEEP_DIR}/state.json timeouts.phases.${state.phase}
+2. Advance manually: set phase in ${DEEP_DIR}/state.json
+3. Force exit: touch ${DEEP_DIR}/FORCE_EXIT
+`);
     process.exit(0);
   }
 
@@ -557,23 +679,7 @@ Options:
     process.exit(0);
   }
 
-  // Check for phase completion promise
-  const currentPhase = state.phase;
-  const phasePromise = PHASE_PROMISES[currentPhase];
-
-  if (phasePromise && checkPromiseInTranscript(transcriptPath, phasePromise)) {
-    console.log(`[OK] Phase ${currentPhase} complete`);
-    process.exit(0);
-  }
-
-  // Check for final completion
-  if (checkPromiseInTranscript(transcriptPath, DEEP_COMPLETE)) {
-    state.complete = true;
-    state.phase = 'COMPLETE';
-    writeState(state);
-    console.log('[OK] Deep Loop complete');
-    process.exit(0);
-  }
+  const phasePromise = PHASE_PROMISES[state.phase];
 
   // Continue loop - increment iteration and feed prompt
   state.iteration = (state.iteration || 0) + 1;
@@ -599,9 +705,25 @@ When done: <promise>QUICK_COMPLETE</promise>
 If blocked after 3 attempts, ask user for guidance.
 `;
     systemMsg = `Quick ${state.iteration}/${maxIter} | To complete: <promise>QUICK_COMPLETE</promise>`;
+    if (state.budget) systemMsg += ` | Spend: ${formatSpend(state.budget, usage)}`;
+  } else if (transition.gate) {
+    phasePrompt = buildGatePrompt(state, transition.gate);
+    systemMsg = `Deep ${state.iteration}/${maxIter} | Phase: ${state.phase} | Gate: ${transition.gate.missing.length} missing | Complete: <promise>${phasePromise || DEEP_COMPLETE}</promise>`;
+    if (state.budget) systemMsg += ` | Spend: ${formatSpend(state.budget, usage)}`;
+  } else if (phaseTime.status === 'exceeded' || phaseTime.status === 'recovering') {
+    if (!state.phaseTimer.recoveryAt) {
+      state.phaseTimer.recoveryAt = new Date().toISOString();
+      writeState(state);
+    }
+    phasePrompt = buildRecoveryPrompt(state, phaseTime);
+    if (transition.notice) phasePrompt = `\n${transition.notice}\n${phasePrompt}`;
+    systemMsg = `Deep ${state.iteration}/${maxIter} | Phase: ${state.phase} | TIME LIMIT EXCEEDED | Complete: <promise>${phasePromise || DEEP_COMPLETE}</promise>`;
+    if (state.budget) systemMsg += ` | Spend: ${formatSpend(state.budget, usage)}`;
   } else {
     phasePrompt = buildPhasePrompt(state);
+    if (transition.notice) phasePrompt = `\n${transition.notice}\n${phasePrompt}`;
     systemMsg = `Deep ${state.iteration}/${maxIter} | Phase: ${state.phase} | Step: ${state.current_step || 'Unknown'} | Complete: <promise>${phasePromise || DEEP_COMPLETE}</promise>`;
+    if (state.budget) systemMsg += ` | Spend: ${formatSpend(state.budget, usage)}`;
   }
 
   // Output JSON to block exit and feed prompt
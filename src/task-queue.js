@@ -0,0 +1,731 @@
+#!/usr/bin/env node
+
+/**
+ * Task Queue - canonical tasks.md format
+ *
+ * One parser/serializer for .deep/tasks.md and .deep/completed-tasks.md,
+ * shared by execute.sh, /deep-add and /deep-status.
+ *
+ * Task block format:
+ *   ## [ ] task-001: Short title
+ *   **Priority:** high | medium | low
+ *   **Added:** YYYY-MM-DD by session-XXXXXXXX
+ *   **Attempts:** 0
+ *   **Depends:** task-000 (optional)
+ *
+ *   Description and acceptance criteria.
+ *
+ *   ---
+ *
+ * A task moves to completed-tasks.md, as an [x] block in the same format
+ * with Completed / Commit / Worker / Files fields added, once its PR has
+ * merged, so a
+ * dependency counts as done only when its code is on the base branch.
+ * Until then a task with an open PR is in flight (inflight.json, see
+ * inflight.js) and not handed out again.
+ *
+ * Usage: node task-queue.js <command> <deepDir> [args]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { withLock, writeFileAtomic } from './file-lock.js';
+
+export const MAX_ATTEMPTS = 3;
+export const CLAIM_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+const HEADER_RE = /^## \[( |x)\] (\S+?):\s*(.*)$/;
+const FIELD_RE = /^\*\*([^*]+):\*\*\s*(.*)$/;
+const TASK_ID_RE = /task-[A-Za-z0-9_-]+/g;
+
+// Read directly: inflight.js imports this module
+const INFLIGHT_FILE = 'inflight.json';
+const PIPELINE_STAGES = ['pr', 'ci', 'judging', 'merging'];
+
+const DEFAULT_PREAMBLE = `# Task Queue
+
+Tasks for \`/deep execute\` to process. Add tasks with \`/deep add\`.
+
+---`;
+
+const COMPLETED_PREAMBLE = `# Completed Tasks
+
+Tasks whose PRs have merged, moved here from tasks.md by \`/deep execute\`.
+
+---`;
+
+/**
+ * @typedef {Object} Task
+ * @property {string} id - e.g. task-001
+ * @property {string} title
+ * @property {boolean} done - [x] vs [ ]
+ * @property {Array<{key: string, value: string}>} fields - **Key:** value lines, in order
+ * @property {string} body - Free text after the fields
+ */
+
+/**
+ * Parse tasks.md / completed-tasks.md content
+ * @param {string} markdown
+ * @returns {{preamble: string, tasks: Task[]}}
+ */
+export function parseTasks(markdown) {
+  const lines = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const preamble = [];
+  const tasks = [];
+  let current = null;
+  let inFields = false;
+  let body = [];
+
+  const flush = () => {
+    if (current) {
+      current.body = trimBlankLines(body).join('\n');
+      tasks.push(current);
+    }
+    current = null;
+    body = [];
+  };
+
+  for (const line of lines) {
+    const header = line.match(HEADER_RE);
+    if (header) {
+      flush();
+      current = { id: header[2], title: header[3].trim(), done: header[1] === 'x', fields: [], body: '' };
+      inFields = true;
+      continue;
+    }
+
+    if (!current) {
+      preamble.push(line);
+      continue;
+    }
+
+    if (line.trim() === '---') {
+      flush();
+      continue;
+    }
+
+    const field = inFields && line.match(FIELD_RE);
+    if (field) {
+      current.fields.push({ key: field[1].trim(), value: field[2].trim() });
+      continue;
+    }
+
+    inFields = false;
+    body.push(line);
+  }
+  flush();
+
+  return { preamble: trimBlankLines(preamble).join('\n'), tasks };
+}
+
+/**
+ * Serialize back to canonical markdown
+ * @param {{preamble: string, tasks: Task[]}} doc
+ * @returns {string}
+ */
+export function serializeTasks(doc) {
+  const blocks = doc.tasks.map(task => {
+    const lines = [`## [${task.done ? 'x' : ' '}] ${task.id}: ${task.title}`];
+    for (const { key, value } of task.fields) {
+      lines.push(`**${key}:** ${value}`);
+    }
+    if (task.fields.length > 0) lines.push('');
+    if (task.body) {
+      lines.push(task.body, '');
+    }
+    lines.push('---', '');
+    return lines.join('\n');
+  });
+
+  const preamble = doc.preamble ? `${doc.preamble}\n\n` : '';
+  return preamble + blocks.join('\n');
+}
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+}
+
+// ==========================================
+//  FIELD HELPERS
+// ==========================================
+
+export function getField(task, key) {
+  const field = task.fields.find(f => f.key.toLowerCase() === key.toLowerCase());
+  return field ? field.value : null;
+}
+
+export function setField(task, key, value) {
+  const field = task.fields.find(f => f.key.toLowerCase() === key.toLowerCase());
+  if (field) {
+    field.value = String(value);
+  } else {
+    task.fields.push({ key, value: String(value) });
+  }
+}
+
+export function getPriority(task) {
+  const value = (getField(task, 'Priority') || 'medium').toLowerCase();
+  return value in PRIORITY_RANK ? value : 'medium';
+}
+
+export function getAttempts(task) {
+  return parseInt(getField(task, 'Attempts'), 10) || 0;
+}
+
+export function getDepends(task) {
+  return (getField(task, 'Depends') || '').match(TASK_ID_RE) || [];
+}
+
+// ==========================================
+//  QUEUE FILES
+// ==========================================
+
+export function queuePaths(deepDir) {
+  return {
+    tasks: path.join(deepDir, 'tasks.md'),
+    completed: path.join(deepDir, 'completed-tasks.md'),
+    claims: path.join(deepDir, 'claims.json'),
+    lock: path.join(deepDir, 'queue.lock')
+  };
+}
+
+function readDoc(filePath) {
+  try {
+    return parseTasks(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return { preamble: '', tasks: [] };
+  }
+}
+
+/**
+ * Read pending and completed tasks for a .deep directory
+ * @param {string} deepDir
+ * @returns {{pending: {preamble: string, tasks: Task[]}, completed: {preamble: string, tasks: Task[]}}}
+ */
+export function readQueue(deepDir) {
+  const paths = queuePaths(deepDir);
+  return {
+    pending: readDoc(paths.tasks),
+    completed: readDoc(paths.completed)
+  };
+}
+
+export function writePending(deepDir, doc) {
+  const { tasks } = queuePaths(deepDir);
+  if (!doc.preamble) doc.preamble = DEFAULT_PREAMBLE;
+  fs.mkdirSync(deepDir, { recursive: true });
+  writeFileAtomic(tasks, serializeTasks(doc));
+}
+
+function writeCompleted(deepDir, doc) {
+  if (!doc.preamble) doc.preamble = COMPLETED_PREAMBLE;
+  writeFileAtomic(queuePaths(deepDir).completed, serializeTasks(doc));
+}
+
+export function readClaims(deepDir) {
+  try {
+    return JSON.parse(fs.readFileSync(queuePaths(deepDir).claims, 'utf8')) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function writeClaims(deepDir, claims) {
+  writeFileAtomic(queuePaths(deepDir).claims, JSON.stringify(claims, null, 2));
+}
+
+/**
+ * Tasks past their build with a PR somewhere in CI / judge / merge
+ * @param {string} deepDir
+ * @returns {Set<string>}
+ */
+export function inPipelineIds(deepDir) {
+  let entries = {};
+  try {
+    entries = JSON.parse(fs.readFileSync(path.join(deepDir, INFLIGHT_FILE), 'utf8')) || {};
+  } catch {
+    // Nothing in flight
+  }
+  return new Set(Object.keys(entries).filter(id => PIPELINE_STAGES.includes(entries[id]?.stage)));
+}
+
+function isClaimActive(claim, now = Date.now()) {
+  return Boolean(claim) && new Date(claim.expiresAt).getTime() > now;
+}
+
+// ==========================================
+//  QUEUE QUERIES
+// ==========================================
+
+/**
+ * Classify every pending task
+ * @param {string} deepDir
+ * @returns {Array<{task: Task, status: string, priority: string, attempts: number, depends: string[], waitingOn: string[], claim: Object|null}>}
+ *   status: eligible | blocked | exhausted | claimed | in-flight (PR open, not merged yet)
+ */
+export function describeQueue(deepDir) {
+  const { pending, completed } = readQueue(deepDir);
+  const claims = readClaims(deepDir);
+  const doneIds = new Set(completed.tasks.map(t => t.id));
+  const inPipeline = inPipelineIds(deepDir);
+
+  return pending.tasks.filter(t => !t.done).map(task => {
+    const attempts = getAttempts(task);
+    const depends = getDepends(task);
+    const waitingOn = depends.filter(id => !doneIds.has(id));
+    const claim = isClaimActive(claims[task.id]) ? claims[task.id] : null;
+
+    let status = 'eligible';
+    if (inPipeline.has(task.id)) status = 'in-flight';
+    else if (attempts >= MAX_ATTEMPTS) status = 'exhausted';
+    else if (waitingOn.length > 0) status = 'blocked';
+    else if (claim) status = 'claimed';
+
+    return { task, status, priority: getPriority(task), attempts, depends, waitingOn, claim };
+  });
+}
+
+/**
+ * Tasks ready to run, sorted high → medium → low (file order within a priority)
+ * @param {string} deepDir
+ * @param {Object} [options]
+ * @param {boolean} [options.includeClaimed] Keep tasks with an active claim
+ */
+export function eligibleTasks(deepDir, { includeClaimed = true } = {}) {
+  return describeQueue(deepDir)
+    .filter(e => e.status === 'eligible' || (includeClaimed && e.status === 'claimed'))
+    .sort((a, b) => PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]);
+}
+
+/**
+ * Validate the dependency graph of pending tasks
+ * @param {string} deepDir
+ * @returns {{cycles: string[][], missing: Array<{id: string, dependency: string}>}}
+ */
+export function checkDependencies(deepDir) {
+  const { pending, completed } = readQueue(deepDir);
+  const doneIds = new Set(completed.tasks.map(t => t.id));
+  const graph = new Map(pending.tasks.filter(t => !t.done).map(t => [t.id, getDepends(t)]));
+  const missing = [];
+
+  for (const [id, deps] of graph) {
+    for (const dep of deps) {
+      if (!graph.has(dep) && !doneIds.has(dep)) missing.push({ id, dependency: dep });
+    }
+  }
+
+  // Depth-first search; a back edge to a node on the stack closes a cycle
+  const cycles = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of graph.get(id)) {
+      if (!graph.has(dep)) continue;
+      if (state.get(dep) === 'visiting') {
+        cycles.push(stack.slice(stack.indexOf(dep)));
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const id of graph.keys()) {
+    if (!state.has(id)) visit(id);
+  }
+
+  return { cycles, missing };
+}
+
+/**
+ * Find a task block in tasks.md or completed-tasks.md
+ * @returns {Task|null}
+ */
+export function findTask(deepDir, taskId) {
+  const { pending, completed } = readQueue(deepDir);
+  return pending.tasks.find(t => t.id === taskId) ||
+    completed.tasks.find(t => t.id === taskId) ||
+    null;
+}
+
+export function nextTaskId(deepDir) {
+  const { pending, completed } = readQueue(deepDir);
+  const max = [...pending.tasks, ...completed.tasks]
+    .map(t => parseInt((t.id.match(/(\d+)$/) || [])[1], 10))
+    .filter(n => !Number.isNaN(n))
+    .reduce((a, b) => Math.max(a, b), 0);
+  return `task-${String(max + 1).padStart(3, '0')}`;
+}
+
+// ==========================================
+//  QUEUE MUTATIONS
+// ==========================================
+//
+// Every mutation holds .deep/queue.lock for its whole read-modify-write, so
+// concurrent workers can't lose each other's updates to tasks.md,
+// completed-tasks.md or claims.json.
+
+function withQueueLock(deepDir, fn) {
+  fs.mkdirSync(deepDir, { recursive: true });
+  return withLock(queuePaths(deepDir).lock, fn);
+}
+
+/**
+ * Append a new task to tasks.md
+ * @param {string} deepDir
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} [options.priority]
+ * @param {string} [options.description]
+ * @param {string[]} [options.criteria]
+ * @param {string[]} [options.depends]
+ * @param {string} [options.addedBy]
+ * @returns {Task}
+ */
+export function addTask(deepDir, options) {
+  const { title, priority = 'medium', description = '', criteria = [], depends = [], addedBy = 'deep-add' } = options;
+  if (!title) throw new Error('Task title is required');
+
+  return withQueueLock(deepDir, () => {
+    const doc = readQueue(deepDir).pending;
+    const task = {
+      id: nextTaskId(deepDir),
+      title,
+      done: false,
+      fields: [
+        { key: 'Priority', value: priority.toLowerCase() },
+        { key: 'Added', value: `${new Date().toISOString().slice(0, 10)} by ${addedBy}` },
+        { key: 'Attempts', value: '0' }
+      ],
+      body: [description.trim(), criteria.map(c => `- [ ] ${c}`).join('\n')].filter(Boolean).join('\n\n')
+    };
+    if (depends.length > 0) {
+      task.fields.push({ key: 'Depends', value: depends.join(', ') });
+    }
+
+    doc.tasks.push(task);
+    writePending(deepDir, doc);
+    return task;
+  });
+}
+
+/**
+ * Claim a task for a worker. Picks the first eligible unclaimed task when
+ * taskId is omitted; expired claims count as unclaimed.
+ * @returns {string|null} Claimed task id, or null if nothing is claimable
+ */
+export function claimTask(deepDir, workerId, taskId = null) {
+  return withQueueLock(deepDir, () => {
+    const now = Date.now();
+    const claims = readClaims(deepDir);
+    const candidates = eligibleTasks(deepDir, { includeClaimed: false }).map(e => e.task.id);
+
+    const chosen = taskId
+      ? (candidates.includes(taskId) ? taskId : null)
+      : candidates[0] || null;
+    if (!chosen) return null;
+
+    claims[chosen] = {
+      claimedBy: workerId,
+      claimedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CLAIM_TTL_MS).toISOString()
+    };
+    writeClaims(deepDir, claims);
+    return chosen;
+  });
+}
+
+/**
+ * Extend a claim held by workerId for another CLAIM_TTL_MS
+ * @returns {boolean} false if the claim is gone or owned by someone else
+ */
+export function renewClaim(deepDir, taskId, workerId) {
+  return withQueueLock(deepDir, () => {
+    const claims = readClaims(deepDir);
+    if (claims[taskId]?.claimedBy !== workerId) return false;
+    claims[taskId].expiresAt = new Date(Date.now() + CLAIM_TTL_MS).toISOString();
+    writeClaims(deepDir, claims);
+    return true;
+  });
+}
+
+export function releaseClaim(deepDir, taskId) {
+  return withQueueLock(deepDir, () => dropClaim(deepDir, taskId));
+}
+
+function dropClaim(deepDir, taskId) {
+  const claims = readClaims(deepDir);
+  if (!(taskId in claims)) return false;
+  delete claims[taskId];
+  writeClaims(deepDir, claims);
+  return true;
+}
+
+/**
+ * Remove expired claims
+ * @returns {string[]} Task ids whose claims were pruned
+ */
+export function pruneClaims(deepDir) {
+  return withQueueLock(deepDir, () => {
+    const claims = readClaims(deepDir);
+    const expired = Object.keys(claims).filter(id => !isClaimActive(claims[id]));
+    if (expired.length > 0) {
+      for (const id of expired) delete claims[id];
+      writeClaims(deepDir, claims);
+    }
+    return expired;
+  });
+}
+
+/**
+ * Move a task from tasks.md to completed-tasks.md and release its claim.
+ * execute.sh calls this once the task's PR has merged.
+ * @param {string} deepDir
+ * @param {string} taskId
+ * @param {Object} [evidence]
+ * @param {string} [evidence.commit]
+ * @param {string} [evidence.worker]
+ * @param {string[]} [evidence.files]
+ * @returns {Task|null} The completed task, or null if it was not pending
+ */
+export function completeTask(deepDir, taskId, { commit = '', worker = '', files = [] } = {}) {
+  return withQueueLock(deepDir, () => {
+    const doc = readQueue(deepDir).pending;
+    const index = doc.tasks.findIndex(t => t.id === taskId);
+    if (index === -1) return null;
+
+    const [task] = doc.tasks.splice(index, 1);
+    task.done = true;
+    setField(task, 'Completed', new Date().toISOString());
+    if (commit) setField(task, 'Commit', commit);
+    if (worker) setField(task, 'Worker', worker);
+    if (files.length > 0) setField(task, 'Files', files.join(', '));
+
+    const completed = readQueue(deepDir).completed;
+    completed.tasks.push(task);
+    writeCompleted(deepDir, completed);
+    writePending(deepDir, doc);
+
+    dropClaim(deepDir, taskId);
+    return task;
+  });
+}
+
+/**
+ * Record a failed attempt: bump Attempts, set Last Attempt, release claim
+ * @returns {Task|null}
+ */
+export function failTask(deepDir, taskId, { category = 'unknown', reason = '' } = {}) {
+  return withQueueLock(deepDir, () => {
+    const doc = readQueue(deepDir).pending;
+    const task = doc.tasks.find(t => t.id === taskId);
+    if (!task) return null;
+
+    setField(task, 'Attempts', getAttempts(task) + 1);
+    setField(task, 'Last Attempt', `${new Date().toISOString()} ${category}${reason ? `: ${reason}` : ''}`);
+    writePending(deepDir, doc);
+
+    dropClaim(deepDir, taskId);
+    return task;
+  });
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+function formatBlock(task) {
+  return serializeTasks({ preamble: '', tasks: [task] }).replace(/\n---\n$/, '').trimEnd();
+}
+
+const USAGE = `Usage: task-queue.js <command> <deepDir> [args]
+
+Commands:
+  index <deepDir>                       Eligible tasks as priority|id|title|attempts
+  check <deepDir>                       Report missing dependencies; exit 1 on cycles
+  list <deepDir> [--json]               All pending tasks with status
+  count <deepDir>                       Number of pending tasks
+  next-id <deepDir>                     Next free task id
+  show <deepDir> <taskId>               Print one task block
+  add <deepDir> --title T [--priority P] [--description D]
+      [--criteria C]... [--depends ID]... [--added-by WHO]
+  claim <deepDir> <workerId> [taskId]   Claim a task, print its id (exit 3 if none)
+  renew <deepDir> <taskId> <workerId>   Extend a claim (exit 1 if lost)
+  release <deepDir> <taskId>            Release a claim
+  prune <deepDir>                       Drop expired claims
+  complete <deepDir> <taskId> [--commit SHA] [--worker ID] [--files a,b]
+  fail <deepDir> <taskId> [--category C] [--reason R]`;
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean' },
+      title: { type: 'string' },
+      priority: { type: 'string' },
+      description: { type: 'string' },
+      criteria: { type: 'string', multiple: true },
+      depends: { type: 'string', multiple: true },
+      'added-by': { type: 'string' },
+      commit: { type: 'string' },
+      worker: { type: 'string' },
+      files: { type: 'string' },
+      category: { type: 'string' },
+      reason: { type: 'string' }
+    }
+  });
+
+  const [command, deepDir, ...rest] = positionals;
+  if (!command || !deepDir) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  switch (command) {
+    case 'index':
+      for (const e of eligibleTasks(deepDir)) {
+        console.log(`${e.priority}|${e.task.id}|${e.task.title}|${e.attempts}`);
+      }
+      return 0;
+
+    case 'check': {
+      const { cycles, missing } = checkDependencies(deepDir);
+      for (const { id, dependency } of missing) {
+        console.log(`Warning: ${id} depends on unknown ${dependency} (never eligible)`);
+      }
+      for (const cycle of cycles) {
+        console.log(`Error: dependency cycle: ${[...cycle, cycle[0]].join(' -> ')}`);
+      }
+      return cycles.length > 0 ? 1 : 0;
+    }
+
+    case 'list': {
+      const entries = describeQueue(deepDir);
+      if (values.json) {
+        console.log(JSON.stringify(entries.map(e => ({
+          id: e.task.id,
+          title: e.task.title,
+          status: e.status,
+          priority: e.priority,
+          attempts: e.attempts,
+          depends: e.depends,
+          waitingOn: e.waitingOn,
+          claimedBy: e.claim?.claimedBy || null
+        })), null, 2));
+        return 0;
+      }
+      for (const e of entries) {
+        const extra = e.status === 'blocked' ? ` (waiting on ${e.waitingOn.join(', ')})`
+          : e.status === 'claimed' ? ` (${e.claim.claimedBy})` : '';
+        console.log(`${e.task.id}  [${e.priority}]  ${e.status}${extra}  ${e.task.title}`);
+      }
+      return 0;
+    }
+
+    case 'count':
+      console.log(describeQueue(deepDir).length);
+      return 0;
+
+    case 'next-id':
+      console.log(nextTaskId(deepDir));
+      return 0;
+
+    case 'show': {
+      const task = rest[0] && findTask(deepDir, rest[0]);
+      if (!task) {
+        console.error(`Task not found: ${rest[0] || '(none)'}`);
+        return 1;
+      }
+      console.log(formatBlock(task));
+      return 0;
+    }
+
+    case 'add': {
+      const task = addTask(deepDir, {
+        title: values.title,
+        priority: values.priority,
+        description: values.description,
+        criteria: values.criteria,
+        depends: values.depends,
+        addedBy: values['added-by']
+      });
+      console.log(task.id);
+      return 0;
+    }
+
+    case 'claim': {
+      const [workerId, taskId] = rest;
+      if (!workerId) {
+        console.error(USAGE);
+        return 1;
+      }
+      const claimed = claimTask(deepDir, workerId, taskId || null);
+      if (!claimed) return 3;
+      console.log(claimed);
+      return 0;
+    }
+
+    case 'renew':
+      return renewClaim(deepDir, rest[0], rest[1]) ? 0 : 1;
+
+    case 'release':
+      releaseClaim(deepDir, rest[0]);
+      return 0;
+
+    case 'prune':
+      for (const id of pruneClaims(deepDir)) {
+        console.log(`Pruned expired claim: ${id}`);
+      }
+      return 0;
+
+    case 'complete': {
+      const task = completeTask(deepDir, rest[0], {
+        commit: values.commit,
+        worker: values.worker,
+        files: values.files ? values.files.split(',').map(f => f.trim()).filter(Boolean) : []
+      });
+      if (!task) {
+        console.error(`Task not pending: ${rest[0]}`);
+        return 1;
+      }
+      return 0;
+    }
+
+    case 'fail': {
+      const task = failTask(deepDir, rest[0], { category: values.category, reason: values.reason });
+      if (!task) {
+        console.error(`Task not pending: ${rest[0]}`);
+        return 1;
+      }
+      return 0;
+    }
+
+    default:
+      console.error(`Unknown command: ${command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+/**
+ * CLI entry point
+ * Usage: node task-queue.js <command> <deepDir> [args]
+ */
+if (process.argv[1] && process.argv[1].endsWith('task-queue.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Wall-Clock Time Budgets
+ *
+ * state.json "timeouts" caps how long a phase (stop hook) or a queued
+ * task (execute.sh) may run:
+ *   "timeouts": {
+ *     "phases": { "PLAN": "20m", "BUILD": "3h", "default": "1h" },
+ *     "recoveryGrace": "15m",
+ *     "task": "45m"
+ *   }
+ *
+ * Durations are "90s", "20m", "3h", "1h30m", or a number of minutes.
+ * The hook tracks when the current phase began in state.phaseTimer. It
+ * moves state.phase itself once a phase's promise is accepted (see
+ * phases.js), and the next phase's clock starts on that same stop. Past
+ * the limit it sends one recovery prompt; past limit + grace it lets the
+ * session stop.
+ *
+ * execute.sh starts a task's clock when a worker claims (or resumes) it.
+ * Each claude -p call (BUILD, CI_FIX, JUDGE, JUDGE_FIX) gets only the time
+ * left, CI waits stop at the deadline, and a task past it is failed with
+ * category "timeout".
+ *
+ * Usage: node time-budget.js task-timeout [stateFile] [--override DURATION] [--default DURATION]
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+
+export const DEFAULT_RECOVERY_GRACE_MS = 15 * 60 * 1000;
+export const DEFAULT_TASK_TIMEOUT = '60m';
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration
+ * @param {string|number} value "45m", "1h30m", "90s", or minutes
+ * @returns {number|null} Milliseconds, null when missing or invalid
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value * UNIT_MS.m : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseDuration(Number(text));
+  if (!/^(\d+(\.\d+)?[smhd])+$/.test(text)) return null;
+
+  let total = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)([smhd])/g)) {
+    total += Number(amount) * UNIT_MS[unit];
+  }
+  return total > 0 ? total : null;
+}
+
+/**
+ * "1h 5m" style rendering
+ * @param {number} ms
+ */
+export function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}`;
+}
+
+/**
+ * Time limit for a phase
+ * @param {Object} [timeouts] state.timeouts
+ * @param {string} phase
+ * @returns {number|null} Milliseconds, null when unlimited
+ */
+export function phaseLimitMs(timeouts, phase) {
+  const phases = timeouts?.phases;
+  if (!phases || typeof phases !== 'object') return null;
+  return parseDuration(phases[phase] ?? phases.default);
+}
+
+/**
+ * Per-task wall-clock budget for execute.sh
+ * @param {Object} [timeouts] state.timeouts
+ * @returns {number|null} Seconds
+ */
+export function taskTimeoutSeconds(timeouts) {
+  const ms = parseDuration(timeouts?.task);
+  return ms ? Math.ceil(ms / 1000) : null;
+}
+
+/**
+ * Start the phase clock when state.phase differs from the one being timed.
+ * The first phase is timed from state.startedAt.
+ * @param {Object} state Mutated: phaseTimer
+ * @param {number} [now]
+ * @returns {boolean} true when the phase changed (state needs writing)
+ */
+export function updatePhaseTimer(state, now = Date.now()) {
+  if (state.phaseTimer?.phase === state.phase) return false;
+  const started = state.phaseTimer ? now : (new Date(state.startedAt).getTime() || now);
+  state.phaseTimer = { phase: state.phase, startedAt: new Date(started).toISOString(), recoveryAt: null };
+  return true;
+}
+
+/**
+ * Where the current phase stands against its limit
+ * @param {Object} state With phaseTimer (see updatePhaseTimer)
+ * @param {number} [now]
+ * @returns {{status: 'ok'|'exceeded'|'recovering'|'expired', phase: string, elapsedMs: number, limitMs: number|null, graceMs: number}}
+ *   exceeded: over the limit, no recovery prompt sent yet
+ *   recovering: recovery prompt sent, still within the grace period
+ *   expired: recovery grace used up
+ */
+export function checkPhaseTime(state, now = Date.now()) {
+  const timer = state.phaseTimer || {};
+  const limitMs = phaseLimitMs(state.timeouts, state.phase);
+  const graceMs = parseDuration(state.timeouts?.recoveryGrace) ?? DEFAULT_RECOVERY_GRACE_MS;
+  const started = new Date(timer.startedAt).getTime();
+  const elapsedMs = Number.isFinite(started) ? Math.max(0, now - started) : 0;
+  const result = { status: 'ok', phase: state.phase, elapsedMs, limitMs, graceMs };
+
+  if (!limitMs || elapsedMs <= limitMs) return result;
+  if (!timer.recoveryAt) return { ...result, status: 'exceeded' };
+
+  const sinceRecovery = now - new Date(timer.recoveryAt).getTime();
+  return { ...result, status: sinceRecovery > graceMs ? 'expired' : 'recovering' };
+}
+
+// ==========================================
+//  CLI
+// ==========================================
+
+const USAGE = `Usage: time-budget.js task-timeout [stateFile] [--override DURATION] [--default DURATION]
+
+Prints the per-task time budget in seconds (0 = no limit):
+--override (e.g. DEEP_TASK_TIMEOUT), else state.json timeouts.task,
+else --default (${DEFAULT_TASK_TIMEOUT}). "0" or "off" disables the limit.`;
+
+function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      override: { type: 'string' },
+      default: { type: 'string', default: DEFAULT_TASK_TIMEOUT }
+    }
+  });
+
+  const [command, stateFile] = positionals;
+  if (command !== 'task-timeout') {
+    console.error(USAGE);
+    return 1;
+  }
+
+  let timeouts = {};
+  if (stateFile) {
+    try {
+      timeouts = JSON.parse(fs.readFileSync(stateFile, 'utf8')).timeouts || {};
+    } catch {
+      // No state.json yet — default applies
+    }
+  }
+
+  const value = values.override || timeouts.task || values.default;
+  if (/^(0|off|none)$/i.test(String(value).trim())) {
+    console.log(0);
+    return 0;
+  }
+  const seconds = taskTimeoutSeconds({ task: value });
+  if (!seconds) {
+    console.error(`Invalid duration: ${value}`);
+    return 1;
+  }
+  console.log(seconds);
+  return 0;
+}
+
+/**
+ * CLI entry point
+ * Usage: node time-budget.js task-timeout [stateFile] [--override DURATION]
+ */
+if (process.argv[1] && process.argv[1].endsWith('time-budget.js')) {
+  try {
+    process.exit(runCli(process.argv.slice(2)));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Transcript Reader
+ *
+ * Claude Code transcripts are JSONL, one entry per line, and can grow to
+ * hundreds of MB over a long session. The stop hook only needs the last few
+ * assistant messages, so this reads the file backwards in chunks until it
+ * has enough of them (or hits MAX_SCAN_BYTES), however large the tool
+ * results in between are.
+ *
+ * Promise tags count only in assistant text: tool_use inputs are separate
+ * content blocks and are never read, and tags inside fenced or inline code
+ * (the model quoting a prompt, say) are stripped before matching. A fence
+ * counts wherever it starts: indented, after a list or quote marker, or
+ * mid-line.
+ */
+
+import fs from 'fs';
+
+const CHUNK_BYTES = 64 * 1024;
+const MAX_SCAN_BYTES = 32 * 1024 * 1024;
+const NEWLINE = 0x0a;
+
+/**
+ * Whether a transcript entry is an assistant message (key order and
+ * envelope shape don't matter)
+ * @param {Object} entry
+ */
+export function isAssistantEntry(entry) {
+  return entry?.type === 'assistant' || entry?.message?.role === 'assistant';
+}
+
+/**
+ * Plain text of an entry's text blocks (tool_use, thinking etc. skipped)
+ * @param {Object} entry
+ */
+export function entryText(entry) {
+  const content = entry?.message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(c => c?.type === 'text' && typeof c.text === 'string').map(c => c.text).join('\n');
+}
+
+/**
+ * Remove fenced code blocks (closed or still open) and inline code spans
+ * @param {string} text
+ */
+export function stripCode(text) {
+  return text
+    .replace(/([`~]{3,})[\s\S]*?\1[`~]*/g, '')
+    .replace(/[`~]{3,}[\s\S]*$/, '')
+    .replace(/(`+)[^`\n]*?\1/g, '');
+}
+
+/**
+ * The last `count` assistant entries, oldest first
+ * @param {string} transcriptPath
+ * @param {number} [count]
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] Give up after scanning this much
+ * @returns {Object[]}
+ */
+export function readLastAssistantEntries(transcriptPath, count = 10, { maxBytes = MAX_SCAN_BYTES } = {}) {
+  const found = [];
+  const fd = fs.openSync(transcriptPath, 'r');
+  try {
+    let pos = fs.fstatSync(fd).size;
+    // The start of the earliest line seen so far (file order), still
+    // missing its beginning; joined once a chunk with a newline arrives
+    let carry = [];
+    let scanned = 0;
+
+    const take = (lineBuf) => {
+      const line = lineBuf.toString('utf8').trim();
+      if (!line) return;
+      try {
+        const entry = JSON.parse(line);
+        if (isAssistantEntry(entry)) found.push(entry);
+      } catch {
+        // Torn or non-JSON line
+      }
+    };
+
+    while (pos > 0 && found.length < count && scanned < maxBytes) {
+      const size = Math.min(CHUNK_BYTES, pos);
+      pos -= size;
+      scanned += size;
+      const chunk = Buffer.alloc(size);
+      fs.readSync(fd, chunk, 0, size, pos);
+      if (chunk.indexOf(NEWLINE) === -1) {
+        carry.unshift(chunk);
+        if (pos === 0) take(Buffer.concat(carry));
+        continue;
+      }
+      const buf = Buffer.concat([chunk, ...carry]);
+
+      // Everything after a newline is a complete line; the head may not be
+      let end = buf.length;
+      while (end > 0 && found.length < count) {
+        const nl = buf.lastIndexOf(NEWLINE, end - 1);
+        if (nl === -1) break;
+        take(buf.subarray(nl + 1, end));
+        end = nl;
+      }
+      carry = [buf.subarray(0, end)];
+      if (pos === 0 && found.length < count) take(carry[0]);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return found.slice(0, count).reverse();
+}
+
+/**
+ * Whether <promise>PROMISE</promise> appears in the assistant's own text
+ * among the last `messages` assistant entries
+ * @param {string} transcriptPath
+ * @param {string} promise
+ * @param {Object} [options]
+ * @param {string} [options.since] ISO time; entries stamped at or before it are ignored
+ * @param {number} [options.messages]
+ */
+export function transcriptHasPromise(transcriptPath, promise, { since = null, messages = 10 } = {}) {
+  if (!transcriptPath || !fs.existsSync(transcriptPath)) return false;
+  const sinceMs = since ? new Date(since).getTime() : 0;
+  const tag = `<promise>${promise}</promise>`;
+
+  return readLastAssistantEntries(transcriptPath, messages).some(entry => {
+    if (sinceMs && entry.timestamp && new Date(entry.timestamp).getTime() <= sinceMs) return false;
+    return stripCode(entryText(entry)).includes(tag);
+  });
+}
@@ -1,15 +1,32 @@
 /**
  * Validator Configuration
  *
- * Settings for file validation hooks.
+ * Settings for file validation hooks, from the "validators" section of
+ * ~/.claude/deep-loop.json with the project's .deeploop.json over it (see
+ * ../config.js). Global settings (enabled, maxFileSizeBytes 1MB,
+ * timeoutMs 5s) and their defaults live in that schema; on top of the
+ * built-ins below:
+ *
+ *   "validators": {
+ *     "skipPatterns": ["fixtures", "*.min.json", "db/seeds/**"],
+ *     "sql": { "enabled": false },
+ *     "severity": { "markdown": "warning", "sql:Dangerous operation": "off" },
+ *     "extensionMap": { ".sqlx": "sql", ".md": "none" }
+ *   }
+ *
+ * A skip pattern without wildcards matches whole path segments ("build"
+ * skips build/ but not buildings.ts); with * ? or ** it is a glob over
+ * whole segments. The project config is read at import from the current
+ * directory; hooks call loadValidatorConfig(root) with the repo root they
+ * use for everything else. Severity keys are a validator name or
+ * "validator:message text" (found case-insensitively in the message, most
+ * specific key wins); "off" drops the issue.
+ * extensionMap "none" unmaps a built-in extension.
  */
 
-export const config = {
-  // Global settings
-  enabled: true,
-  maxFileSizeBytes: 1024 * 1024, // 1MB - skip larger files
-  timeoutMs: 5000, // 5 second timeout per validator
+import { resolveConfig } from '../config.js';
 
+const defaults = {
   // Skip patterns - directories/files to ignore
   skipPatterns: [
     'node_modules',
@@ -63,8 +80,22 @@ export const config = {
   }
 };
 
-// Extension to validator mapping
-export const extensionMap = {
+function applyProjectConfig(base, project) {
+  return {
+    enabled: project.enabled,
+    maxFileSizeBytes: project.maxFileSizeBytes,
+    timeoutMs: project.timeoutMs,
+    skipPatterns: [...base.skipPatterns, ...project.skipPatterns],
+    severity: project.severity,
+    validators: Object.fromEntries(
+      Object.entries(base.validators).map(([name, settings]) => [name, { ...settings, ...project[name] }])
+    )
+  };
+}
+
+export let config;
+
+const builtinExtensions = {
   '.json': 'json',
   '.jsonc': 'json',
   '.csv': 'csv',
@@ -84,13 +115,58 @@ export const extensionMap = {
   '.pyw': 'python'
 };
 
+function applyExtensionMap(base, custom) {
+  const map = { ...base };
+  for (const [key, name] of Object.entries(custom)) {
+    const ext = (key.startsWith('.') ? key : `.${key}`).toLowerCase();
+    if (name === 'none') delete map[ext];
+    else map[ext] = name;
+  }
+  return map;
+}
+
+// Extension to validator mapping
+export let extensionMap;
+
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/^\/+|\/+$/g, '')
+    .split('/')
+    .map(segment => segment === '**'
+      ? '(?:[^/]+/)*'
+      : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]') + '/')
+    .join('');
+  return new RegExp(`(^|/)${source}`);
+}
+
+function skipMatcher(pattern) {
+  if (!/[*?]/.test(pattern)) {
+    const segments = `/${pattern.replace(/^\/+|\/+$/g, '')}/`;
+    return normalized => `/${normalized}/`.includes(segments);
+  }
+  const regex = globToRegExp(pattern);
+  return normalized => regex.test(`${normalized}/`);
+}
+
+let skipMatchers = [];
+
+/**
+ * (Re)load settings from the config files for a project root
+ * @param {string} [root]
+ */
+export function loadValidatorConfig(root = process.cwd()) {
+  const validatorConfig = resolveConfig(root).validators;
+  config = applyProjectConfig(defaults, validatorConfig);
+  extensionMap = applyExtensionMap(builtinExtensions, validatorConfig.extensionMap);
+  skipMatchers = config.skipPatterns.map(skipMatcher);
+}
+
+loadValidatorConfig();
+
 // Check if path should be skipped
 export function shouldSkipPath(filePath) {
   const normalized = filePath.replace(/\\/g, '/');
-  return config.skipPatterns.some(pattern =>
-    normalized.includes(`/${pattern}/`) ||
-    normalized.includes(`/${pattern}`)
-  );
+  return skipMatchers.some(matches => matches(normalized));
 }
 
 // Check if file size should be skipped
@@ -113,3 +189,17 @@ export function isValidatorEnabled(validatorName) {
 export function getValidatorSettings(validatorName) {
   return config.validators[validatorName] || {};
 }
+
+// Get the configured severity for an issue ('error' | 'warning' | 'off'), or null to keep it
+export function getSeverityOverride(validatorName, message) {
+  const text = String(message).toLowerCase();
+  let best = null;
+  for (const [key, level] of Object.entries(config.severity)) {
+    const [name, prefix] = key.split(/:(.*)/s); // "sql:Dangerous op" → sql, Dangerous op
+    if (name !== validatorName) continue;
+    if (prefix !== undefined && !text.includes(prefix.trim().toLowerCase())) continue;
+    const specificity = prefix === undefined ? 0 : prefix.trim().length + 1;
+    if (!best || specificity > best.specificity) best = { level, specificity };
+  }
+  return best ? best.level : null;
+}
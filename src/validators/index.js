@@ -12,7 +12,8 @@ import {
   shouldSkipSize,
   getValidatorName,
   isValidatorEnabled,
-  getValidatorSettings
+  getValidatorSettings,
+  getSeverityOverride
 } from './config.js';
 
 // Import validators
@@ -155,6 +156,8 @@ export async function validate(filePath, content = null) {
     result.warnings = validatorResult.warnings || [];
     result.suggestions = validatorResult.suggestions || [];
 
+    applySeverityOverrides(validatorName, result);
+
     // valid is false if there are errors
     if (result.errors.length > 0) {
       result.valid = false;
@@ -167,6 +170,32 @@ export async function validate(filePath, content = null) {
   return result;
 }
 
+/**
+ * Move issues between errors and warnings (or drop them) per the
+ * configured severity overrides
+ * @param {string} validatorName
+ * @param {ValidationResult} result - Mutated
+ */
+function applySeverityOverrides(validatorName, result) {
+  const errors = [];
+  const warnings = [];
+  const issues = [
+    ...result.errors.map(issue => ({ issue, level: 'error' })),
+    ...result.warnings.map(issue => ({ issue, level: 'warning' }))
+  ];
+
+  for (const { issue, level } of issues) {
+    const override = getSeverityOverride(validatorName, issue.message) || level;
+    if (override === 'error') errors.push(issue);
+    else if (override === 'warning') warnings.push(issue);
+  }
+
+  // Errors all downgraded: the validator's own verdict no longer applies
+  if (errors.length === 0 && result.errors.length > 0) result.valid = true;
+  result.errors = errors;
+  result.warnings = warnings;
+}
+
 /**
  * Format validation result for output
  * @param {string} filePath
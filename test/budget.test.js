@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { recordTranscriptUsage, readUsage, resetUsage } from '../src/budget.js';
+
+const LOOP_START = '2026-10-19T10:00:00.000Z';
+
+function tempDeepDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'deep-budget-'));
+}
+
+let nextId = 0;
+function usageLine(timestamp, { input = 100, output = 10, pad = 0 } = {}) {
+  nextId++;
+  return `${JSON.stringify({
+    timestamp,
+    message: {
+      id: `msg_${nextId}`,
+      role: 'assistant',
+      model: 'claude-sonnet-4',
+      usage: { input_tokens: input, output_tokens: output },
+      content: [{ type: 'text', text: 'x'.repeat(pad) }]
+    }
+  })}\n`;
+}
+
+test('usage from before the loop started is not charged', () => {
+  const deepDir = tempDeepDir();
+  const transcript = path.join(deepDir, 'transcript.jsonl');
+  fs.writeFileSync(transcript, usageLine('2026-10-19T09:00:00.000Z') + usageLine('2026-10-19T10:05:00.000Z'));
+
+  const added = recordTranscriptUsage(deepDir, transcript, 'PLAN', { loopStartedAt: LOOP_START });
+  assert.equal(added.tokens, 110);
+  assert.equal(readUsage(deepDir).byPhase.PLAN.tokens, 110);
+  assert.equal(readUsage(deepDir).run, LOOP_START);
+});
+
+test('a transcript is read in chunks, including lines longer than a chunk', () => {
+  const deepDir = tempDeepDir();
+  const transcript = path.join(deepDir, 'transcript.jsonl');
+  const lines = [
+    usageLine('2026-10-19T10:01:00.000Z', { pad: 700 * 1024 }),
+    usageLine('2026-10-19T10:02:00.000Z', { pad: 2.5 * 1024 * 1024 }),
+    usageLine('2026-10-19T10:03:00.000Z', { pad: 700 * 1024 })
+  ];
+  fs.writeFileSync(transcript, lines.join(''));
+
+  const added = recordTranscriptUsage(deepDir, transcript, 'BUILD', { loopStartedAt: LOOP_START });
+  assert.equal(added.tokens, 330);
+  assert.equal(readUsage(deepDir).transcript.offset, fs.statSync(transcript).size);
+});
+
+test('a partial last line is left for the next visit', () => {
+  const deepDir = tempDeepDir();
+  const transcript = path.join(deepDir, 'transcript.jsonl');
+  const line = usageLine('2026-10-19T10:01:00.000Z');
+  fs.writeFileSync(transcript, usageLine('2026-10-19T10:00:30.000Z') + line.slice(0, 40));
+
+  assert.equal(recordTranscriptUsage(deepDir, transcript, 'BUILD', { loopStartedAt: LOOP_START }).tokens, 110);
+  fs.appendFileSync(transcript, line.slice(40));
+  assert.equal(recordTranscriptUsage(deepDir, transcript, 'BUILD', { loopStartedAt: LOOP_START }).tokens, 110);
+  assert.equal(readUsage(deepDir).total.tokens, 220);
+});
+
+test('reset keeps the transcript offset, so nothing is charged twice', () => {
+  const deepDir = tempDeepDir();
+  const transcript = path.join(deepDir, 'transcript.jsonl');
+  fs.writeFileSync(transcript, usageLine('2026-10-19T10:01:00.000Z'));
+  recordTranscriptUsage(deepDir, transcript, 'BUILD');
+
+  resetUsage(deepDir);
+  assert.equal(recordTranscriptUsage(deepDir, transcript, 'BUILD').tokens, 0);
+  assert.equal(readUsage(deepDir).total.tokens, 0);
+});
+
+test('a new loop in the same directory starts a fresh tally', () => {
+  const deepDir = tempDeepDir();
+  const transcript = path.join(deepDir, 'transcript.jsonl');
+  fs.writeFileSync(transcript, usageLine('2026-10-19T10:01:00.000Z'));
+  recordTranscriptUsage(deepDir, transcript, 'SHIP', { loopStartedAt: LOOP_START });
+
+  const nextLoop = '2026-10-19T12:00:00.000Z';
+  fs.appendFileSync(transcript, usageLine('2026-10-19T11:00:00.000Z') + usageLine('2026-10-19T12:01:00.000Z'));
+  assert.equal(recordTranscriptUsage(deepDir, transcript, 'PLAN', { loopStartedAt: nextLoop }).tokens, 110);
+
+  const usage = readUsage(deepDir);
+  assert.equal(usage.run, nextLoop);
+  assert.deepEqual(Object.keys(usage.byPhase), ['PLAN']);
+  assert.equal(usage.total.tokens, 110);
+});
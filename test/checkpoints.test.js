@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { latestCheckpointDir } from '../src/checkpoints.js';
+
+function writeState(root, name, state, ageMs = 0) {
+  const dir = path.join(root, name);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, 'state.json');
+  fs.writeFileSync(file, JSON.stringify(state));
+  const when = new Date(Date.now() - ageMs);
+  fs.utimesSync(file, when, when);
+  return dir;
+}
+
+test('latestCheckpointDir picks the most recently updated directory with checkpoints', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-checkpoints-'));
+  writeState(root, '.deep-aaaa1111', { phase: 'COMPLETE', complete: true, checkpoints: { PLAN: 'a1' } }, 60000);
+  const finished = writeState(root, '.deep-bbbb2222', { phase: 'COMPLETE', complete: true, checkpoints: { BUILD: 'b2' } }, 1000);
+  writeState(root, '.deep-cccc3333', { phase: 'PLAN', active: true });
+  writeState(root, '.deep', { active: false });
+  fs.writeFileSync(path.join(root, '.deep-active.json'), '{}');
+
+  assert.equal(latestCheckpointDir(root), finished);
+});
+
+test('latestCheckpointDir returns null when no loop recorded checkpoints', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-checkpoints-'));
+  writeState(root, '.deep-aaaa1111', { phase: 'PLAN', checkpoints: {} });
+  assert.equal(latestCheckpointDir(root), null);
+});
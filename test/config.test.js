@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveHookConfig, CONFIG_FILE } from '../src/config.js';
+
+test('resolveHookConfig logs each config problem once and falls back to defaults', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-config-'));
+  fs.writeFileSync(path.join(root, CONFIG_FILE), JSON.stringify({ loop: { staleHours: 'x' } }));
+  const logPath = path.join(root, 'hook-errors.log');
+
+  assert.equal(resolveHookConfig(root, logPath).loop.staleHours, 8);
+  resolveHookConfig(root, logPath);
+
+  const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /loop\.staleHours/);
+});
+
+test('resolveHookConfig leaves no log for a valid config', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-config-'));
+  fs.writeFileSync(path.join(root, CONFIG_FILE), JSON.stringify({ loop: { staleHours: 2 } }));
+  const logPath = path.join(root, 'hook-errors.log');
+
+  assert.equal(resolveHookConfig(root, logPath).loop.staleHours, 2);
+  assert.equal(fs.existsSync(logPath), false);
+});
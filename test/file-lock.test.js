@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { acquireLock, releaseLock, withLock, staleLock, breakStaleLock } from '../src/file-lock.js';
+
+const FILE_LOCK_URL = new URL('../src/file-lock.js', import.meta.url).href;
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'deep-file-lock-'));
+}
+
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+function writeStaleLock(lockPath, pid) {
+  fs.writeFileSync(lockPath, JSON.stringify({ pid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+}
+
+// Each worker does read-modify-write increments under the lock. Every few
+// rounds it "crashes" while holding it (rewrites the owner to a dead PID and
+// never releases), so the others keep racing to break stale locks.
+const WORKER = `
+import fs from 'fs';
+import os from 'os';
+import { acquireLock, releaseLock } from ${JSON.stringify(FILE_LOCK_URL)};
+const [lockPath, counter, rounds, dead] = process.argv.slice(2);
+const pause = new Int32Array(new SharedArrayBuffer(4));
+for (let i = 1; i <= Number(rounds); i++) {
+  const token = acquireLock(lockPath, { timeoutMs: 60000 });
+  const n = Number(fs.readFileSync(counter, 'utf8'));
+  Atomics.wait(pause, 0, 0, 1);
+  fs.writeFileSync(counter, String(n + 1));
+  if (i % 5 === 0) {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: Number(dead), host: os.hostname(), acquiredAt: String(i) + process.pid }));
+  } else {
+    releaseLock(lockPath, token, { timeoutMs: 60000 });
+  }
+}
+`;
+
+function runWorker(script, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`worker exited ${code}: ${stderr}`))));
+  });
+}
+
+test('withLock releases the lock after fn, even when it throws', () => {
+  const lockPath = path.join(tempDir(), 'x.lock');
+  assert.equal(withLock(lockPath, () => fs.existsSync(lockPath)), true);
+  assert.equal(fs.existsSync(lockPath), false);
+  assert.throws(() => withLock(lockPath, () => { throw new Error('boom'); }), /boom/);
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test('a lock held by a live process is not broken', () => {
+  const lockPath = path.join(tempDir(), 'x.lock');
+  const token = acquireLock(lockPath);
+  assert.throws(() => acquireLock(lockPath, { timeoutMs: 100 }), /Timed out/);
+  releaseLock(lockPath, token);
+});
+
+test('a lock left by a dead process is broken', () => {
+  const lockPath = path.join(tempDir(), 'x.lock');
+  writeStaleLock(lockPath, deadPid());
+  const token = acquireLock(lockPath, { timeoutMs: 1000 });
+  assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+  releaseLock(lockPath, token);
+  assert.deepEqual(fs.readdirSync(path.dirname(lockPath)), []);
+});
+
+test('a breaker that judged a lock stale leaves a lock taken since then alone', () => {
+  const lockPath = path.join(tempDir(), 'x.lock');
+  writeStaleLock(lockPath, deadPid());
+  const judged = staleLock(lockPath);
+  assert.ok(judged);
+
+  // Another breaker removes it and a new holder takes the lock
+  fs.unlinkSync(lockPath);
+  const token = acquireLock(lockPath);
+  const fresh = fs.readFileSync(lockPath, 'utf8');
+
+  breakStaleLock(lockPath, judged);
+  assert.equal(fs.readFileSync(lockPath, 'utf8'), fresh);
+  assert.equal(fs.existsSync(`${lockPath}.break`), false);
+  releaseLock(lockPath, token);
+});
+
+test('a holder whose lock was broken and retaken does not release the new lock', () => {
+  const lockPath = path.join(tempDir(), 'x.lock');
+  const token = acquireLock(lockPath);
+
+  // The holder ran past staleMs: a breaker removes its lock and another takes it
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(lockPath, old, old);
+  breakStaleLock(lockPath, staleLock(lockPath));
+  const next = acquireLock(lockPath);
+  const fresh = fs.readFileSync(lockPath, 'utf8');
+
+  assert.equal(releaseLock(lockPath, token), false);
+  assert.equal(fs.readFileSync(lockPath, 'utf8'), fresh);
+  assert.equal(releaseLock(lockPath, next), true);
+  assert.deepEqual(fs.readdirSync(path.dirname(lockPath)), []);
+});
+
+test('a stale lock is left alone while another breaker holds the guard', () => {
+  const lockPath = path.join(tempDir(), 'x.lock');
+  writeStaleLock(lockPath, deadPid());
+  fs.writeFileSync(`${lockPath}.break`, '1');
+
+  breakStaleLock(lockPath, staleLock(lockPath));
+  assert.equal(fs.existsSync(lockPath), true);
+
+  // Until the guard itself is old enough to count as abandoned
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(`${lockPath}.break`, old, old);
+  const token = acquireLock(lockPath, { timeoutMs: 1000 });
+  assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+  releaseLock(lockPath, token);
+});
+
+test('concurrent breakers of stale locks never let two holders in', async () => {
+  const dir = tempDir();
+  const lockPath = path.join(dir, 'counter.lock');
+  const counter = path.join(dir, 'counter');
+  const script = path.join(dir, 'worker.mjs');
+  const dead = deadPid();
+  const workers = 4;
+  const rounds = 40;
+
+  fs.writeFileSync(script, WORKER);
+  fs.writeFileSync(counter, '0');
+  writeStaleLock(lockPath, dead);
+
+  await Promise.all(Array.from({ length: workers }, () =>
+    runWorker(script, [lockPath, counter, String(rounds), String(dead)])));
+
+  assert.equal(Number(fs.readFileSync(counter, 'utf8')), workers * rounds);
+  assert.equal(fs.existsSync(`${lockPath}.break`), false);
+});
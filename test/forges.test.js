@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import local from '../src/forges/local.js';
+
+function bashFunction(source, name) {
+  const start = source.indexOf(`${name}() {`);
+  assert.ok(start >= 0, `${name} not found`);
+  return source.slice(start, source.indexOf('\n}\n', start));
+}
+
+test('local wait_for_ci runs the tests through $TIMEOUT_BIN, not a bare timeout', () => {
+  const body = bashFunction(local.functions(), 'wait_for_ci');
+  assert.doesNotMatch(body, /(^\s*|[(&;|]\s*)timeout\s/m);
+  assert.match(body, /"\$TIMEOUT_BIN" "\$\(ci_time_limit\)"/);
+  assert.match(body, /-n "\$TIMEOUT_BIN"/);
+});
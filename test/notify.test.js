@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { sendNotification } from '../src/notify.js';
+
+/** Local stand-in for webhook endpoints: /ok answers 200, anything else 500 */
+async function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(req.url === '/ok' ? 200 : 500).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { base, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('webhook channels post the notification and report HTTP errors', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  process.env.DEEP_NOTIFY_TEST_TOKEN = 's3cret';
+
+  const config = {
+    notify: {
+      events: ['COMPLETE', 'ERROR'],
+      channels: [
+        { type: 'webhook', url: `${server.base}/ok`, headers: { 'x-token': '$DEEP_NOTIFY_TEST_TOKEN' } },
+        { type: 'webhook', url: `${server.base}/broken` },
+        { type: 'webhook', url: `${server.base}/ok`, events: ['WARN'] }
+      ]
+    }
+  };
+
+  const results = await sendNotification({
+    status: 'COMPLETE', message: 'All tasks merged', source: 'execute', cwd: '/work/my-project', config
+  });
+  assert.deepEqual(results, [
+    { type: 'webhook', sent: true },
+    { type: 'webhook', sent: false, error: 'HTTP 500' },
+    { type: 'webhook', sent: false, skipped: true }
+  ]);
+
+  const ok = server.requests.find(r => r.url === '/ok');
+  assert.equal(ok.method, 'POST');
+  assert.equal(ok.headers['content-type'], 'application/json');
+  assert.equal(ok.headers['x-token'], 's3cret');
+  assert.equal(ok.body.status, 'COMPLETE');
+  assert.equal(ok.body.source, 'execute');
+  assert.equal(ok.body.message, 'All tasks merged');
+  assert.equal(ok.body.text, '⚡ Deep Execute [COMPLETE]: All tasks merged');
+  assert.equal(ok.body.project, 'my-project');
+  assert.ok(!Number.isNaN(Date.parse(ok.body.ts)));
+  assert.equal(server.requests.length, 2);
+});
+
+test('statuses outside the event filters are not sent', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+
+  const config = {
+    notify: {
+      events: ['COMPLETE'],
+      channels: [
+        { type: 'webhook', url: `${server.base}/ok` },
+        { type: 'webhook', url: `${server.base}/ok`, events: ['*'] }
+      ]
+    }
+  };
+
+  const results = await sendNotification({ status: 'STARTED', message: 'Go', source: 'loop', config });
+  assert.deepEqual(results.map(r => r.sent), [false, true]);
+  assert.equal(results[0].skipped, true);
+  assert.equal(server.requests.length, 1);
+  assert.equal(server.requests[0].body.text, '🔄 Deep Loop [STARTED]: Go');
+});
+
+test('an unreachable webhook is reported, not thrown', async () => {
+  const server = await startServer();
+  const url = `${server.base}/ok`;
+  await server.close();
+
+  const results = await sendNotification({
+    status: 'ERROR', message: 'Down', config: { notify: { channels: [{ type: 'webhook', url }, { type: 'webhook' }] } }
+  });
+  assert.equal(results[0].sent, false);
+  assert.match(results[0].error, /fetch failed|ECONNREFUSED/);
+  assert.deepEqual(results[1], { type: 'webhook', sent: false, error: 'missing url' });
+});
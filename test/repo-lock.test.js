@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  acquireRepoLock, releaseRepoLock, readRepoLock, isHolderLive, sessionProcessPid
+} from '../src/repo-lock.js';
+
+const REPO_LOCK_URL = new URL('../src/repo-lock.js', import.meta.url).href;
+
+function tempRoot(sessionId = 'abcdef1234') {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-repo-lock-'));
+  const dir = path.join(root, `.deep-${sessionId.slice(0, 8)}`);
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'state.json'), JSON.stringify({ active: true, phase: 'BUILD', complete: false }));
+  return root;
+}
+
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('a session holder is live while its process is', () => {
+  const root = tempRoot();
+  acquireRepoLock(root, { owner: 'loop', kind: 'session', sessionId: 'abcdef1234', pid: process.pid });
+  assert.equal(isHolderLive(readRepoLock(root), root), true);
+
+  const other = acquireRepoLock(root, { owner: 'loop', kind: 'session', sessionId: '99999999aa', pid: process.pid });
+  assert.equal(other.status, 'held');
+});
+
+test('a crashed session holder is replaced without waiting for the heartbeat', () => {
+  const root = tempRoot();
+  acquireRepoLock(root, { owner: 'loop', kind: 'session', sessionId: 'abcdef1234', pid: deadPid() });
+  assert.equal(isHolderLive(readRepoLock(root), root), false);
+
+  const result = acquireRepoLock(root, { owner: 'execute', kind: 'process', pid: process.pid });
+  assert.equal(result.status, 'acquired');
+  assert.equal(result.previous.sessionId, 'abcdef1234');
+});
+
+test('a session holder without a PID falls back to the heartbeat', () => {
+  const root = tempRoot();
+  acquireRepoLock(root, { owner: 'loop', kind: 'session', sessionId: 'abcdef1234' });
+  const holder = readRepoLock(root);
+  assert.equal(holder.pid, null);
+  assert.equal(isHolderLive(holder, root), true);
+  assert.equal(isHolderLive(holder, root, Date.now() + 9 * 60 * 60 * 1000), false);
+});
+
+test('releasing the holder hands the lock to a live child', () => {
+  const root = tempRoot();
+  acquireRepoLock(root, { owner: 'loop', kind: 'session', sessionId: 'abcdef1234', pid: process.pid });
+  const nested = acquireRepoLock(root, { owner: 'execute', kind: 'process', sessionId: 'abcdef1234', pid: process.pid });
+  assert.equal(nested.status, 'nested');
+
+  assert.equal(releaseRepoLock(root, { sessionId: 'abcdef1234' }), true);
+  const holder = readRepoLock(root);
+  assert.equal(holder.owner, 'execute');
+  assert.equal(holder.kind, 'process');
+  assert.equal(holder.sessionId, 'abcdef1234');
+  assert.deepEqual(holder.children, []);
+
+  assert.equal(releaseRepoLock(root, { pid: process.pid }), true);
+  assert.equal(readRepoLock(root), null);
+});
+
+test('releasing the holder drops children that are gone', () => {
+  const root = tempRoot();
+  acquireRepoLock(root, { owner: 'loop', kind: 'session', sessionId: 'abcdef1234', pid: process.pid });
+  acquireRepoLock(root, { owner: 'execute', kind: 'process', sessionId: 'abcdef1234', pid: deadPid() });
+
+  releaseRepoLock(root, { sessionId: 'abcdef1234' });
+  assert.equal(readRepoLock(root), null);
+});
+
+test('sessionProcessPid skips the shell a hook runs under', () => {
+  const script = `import(${JSON.stringify(REPO_LOCK_URL)}).then(m => console.log(m.sessionProcessPid()))`;
+  const result = spawnSync('sh', ['-c', `"${process.execPath}" -e '${script}'; true`], { encoding: 'utf8' });
+  assert.equal(Number(result.stdout.trim()), process.pid);
+  assert.equal(sessionProcessPid(deadPid()), null);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { cleanupSessionDirs, resolveSession } from '../src/session.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tempRoot() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'deep-session-'));
+}
+
+function makeDir(root, name, files = {}, ageDays = 0) {
+  const dir = path.join(root, name);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  const when = new Date(Date.now() - ageDays * DAY_MS);
+  for (const file of Object.keys(files)) fs.utimesSync(path.join(dir, file), when, when);
+  fs.utimesSync(dir, when, when);
+  return dir;
+}
+
+test('cleanupSessionDirs never removes the legacy .deep execute queue', () => {
+  const root = tempRoot();
+  makeDir(root, '.deep', { 'tasks.md': '## [ ] task-001: Pending\n', 'events.jsonl': '' }, 10);
+
+  assert.deepEqual(cleanupSessionDirs(root, { maxAgeDays: 7 }), []);
+  assert.ok(fs.existsSync(path.join(root, '.deep', 'tasks.md')));
+});
+
+test('cleanupSessionDirs removes old and completed session dirs only', () => {
+  const root = tempRoot();
+  makeDir(root, '.deep-old11111', {}, 10);
+  makeDir(root, '.deep-done2222', { 'state.json': JSON.stringify({ complete: true, phase: 'COMPLETE' }) });
+  makeDir(root, '.deep-live3333', { 'state.json': JSON.stringify({ active: true, phase: 'BUILD' }) }, 1);
+  makeDir(root, '.deep-mine4444', {}, 10);
+
+  const removed = cleanupSessionDirs(root, { maxAgeDays: 7, keep: ['.deep-mine4444'] });
+
+  assert.deepEqual(removed.sort(), ['.deep-done2222', '.deep-old11111']);
+  assert.ok(fs.existsSync(path.join(root, '.deep-live3333')));
+  assert.ok(fs.existsSync(path.join(root, '.deep-mine4444')));
+});
+
+test('cleanupSessionDirs skips session dirs holding a queue or in-flight work', () => {
+  const root = tempRoot();
+  makeDir(root, '.deep-queue555', { 'tasks.md': '' }, 10);
+  makeDir(root, '.deep-infl6666', { 'inflight.json': '{}' }, 10);
+
+  assert.deepEqual(cleanupSessionDirs(root, { maxAgeDays: 7 }), []);
+});
+
+test('cleanupSessionDirs is off for maxAgeDays 0', () => {
+  const root = tempRoot();
+  makeDir(root, '.deep-old77777', {}, 10);
+
+  assert.deepEqual(cleanupSessionDirs(root, { maxAgeDays: 0 }), []);
+});
+
+const RUNNING = JSON.stringify({ active: true, phase: 'BUILD', complete: false });
+
+test('resolveSession does not migrate or create anything unless asked', () => {
+  const root = tempRoot();
+  makeDir(root, '.deep', { 'state.json': RUNNING, 'tasks.md': '# Tasks\n' });
+
+  const session = resolveSession({ sessionId: 'abcdef1234', cwd: root });
+  assert.equal(session.source, 'new');
+  assert.equal(session.dir, path.join(root, '.deep-abcdef12'));
+  assert.equal(fs.existsSync(session.dir), false);
+  assert.equal(fs.existsSync(path.join(root, '.deep', 'state.json')), true);
+});
+
+test('resolveSession migrates a running legacy loop when asked, leaving the queue', () => {
+  const root = tempRoot();
+  makeDir(root, '.deep', { 'state.json': RUNNING, 'plan.md': '# Plan\n', 'tasks.md': '# Tasks\n' });
+
+  const session = resolveSession({ sessionId: 'abcdef1234', cwd: root, migrate: true });
+  assert.equal(session.source, 'migrated');
+  assert.deepEqual(fs.readdirSync(session.dir).sort(), ['plan.md', 'state.json']);
+  assert.deepEqual(fs.readdirSync(path.join(root, '.deep')), ['tasks.md']);
+});
+
+test('resolveSession leaves a legacy loop owned by another session alone', () => {
+  const root = tempRoot();
+  const state = JSON.stringify({ active: true, phase: 'BUILD', complete: false, sessionId: '99999999' });
+  makeDir(root, '.deep', { 'state.json': state });
+
+  const session = resolveSession({ sessionId: 'abcdef1234', cwd: root, migrate: true });
+  assert.equal(session.source, 'new');
+  assert.equal(fs.existsSync(session.dir), false);
+});
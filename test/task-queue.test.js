@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseTasks, serializeTasks, getDepends, getAttempts, getField,
+  addTask, claimTask, failTask, completeTask, readQueue, queuePaths,
+  describeQueue, eligibleTasks
+} from '../src/task-queue.js';
+
+const SAMPLE = `# Task Queue
+
+Tasks for \`/deep execute\` to process.
+
+---
+
+## [ ] task-001: Add user model
+**Priority:** high
+**Added:** 2026-01-20 by session-a3f2b1c0
+**Attempts:** 2
+**Last Attempt:** 2026-01-20T15:00:00.000Z ci-failure: flaky test
+
+Create the User model with email and password hash.
+
+- [ ] Migration adds users table
+- [ ] Model validates email
+
+\`\`\`ts
+export interface User { id: string }
+\`\`\`
+
+---
+
+## [ ] task-002: Add login endpoint
+**Priority:** medium
+**Attempts:** 0
+**Depends:** task-001, task-000b
+
+POST /login returns a session token.
+Note: **not** a field, just bold text.
+
+---
+
+## [x] task-003: Done already
+**Priority:** low
+
+---
+`;
+
+function roundTrip(markdown) {
+  const first = parseTasks(markdown);
+  const serialized = serializeTasks(first);
+  return { first, second: parseTasks(serialized), serialized };
+}
+
+test('parse → serialize → parse keeps every task', () => {
+  const { first, second } = roundTrip(SAMPLE);
+  assert.deepEqual(second, first);
+  assert.deepEqual(first.tasks.map(t => t.id), ['task-001', 'task-002', 'task-003']);
+  assert.equal(first.tasks[2].done, true);
+});
+
+test('serialization is stable after one round trip', () => {
+  const { serialized } = roundTrip(SAMPLE);
+  assert.equal(serializeTasks(parseTasks(serialized)), serialized);
+});
+
+test('Depends and Attempts survive the round trip', () => {
+  const { second } = roundTrip(SAMPLE);
+  const [first, login] = second.tasks;
+  assert.equal(getAttempts(first), 2);
+  assert.equal(getField(first, 'Last Attempt'), '2026-01-20T15:00:00.000Z ci-failure: flaky test');
+  assert.deepEqual(getDepends(login), ['task-001', 'task-000b']);
+  assert.equal(getAttempts(login), 0);
+});
+
+test('free-form text keeps its lists, code fences and bold text', () => {
+  const { second } = roundTrip(SAMPLE);
+  const [first, login] = second.tasks;
+  assert.match(first.body, /^Create the User model/);
+  assert.match(first.body, /- \[ \] Model validates email/);
+  assert.match(first.body, /```ts\nexport interface User \{ id: string \}\n```/);
+  assert.equal(login.body, 'POST /login returns a session token.\nNote: **not** a field, just bold text.');
+  assert.equal(login.fields.length, 3);
+});
+
+test('the preamble is kept', () => {
+  const { second } = roundTrip(SAMPLE);
+  assert.equal(second.preamble, '# Task Queue\n\nTasks for `/deep execute` to process.\n\n---');
+});
+
+test('CRLF input parses like LF', () => {
+  assert.deepEqual(parseTasks(SAMPLE.replace(/\n/g, '\r\n')), parseTasks(SAMPLE));
+});
+
+test('queue mutations round-trip through tasks.md; claims stay in claims.json', () => {
+  const deepDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-queue-'));
+  addTask(deepDir, { title: 'Base', description: 'Free text\n\nwith a blank line' });
+  addTask(deepDir, { title: 'Child', depends: ['task-001'], criteria: ['works'] });
+  const before = fs.readFileSync(queuePaths(deepDir).tasks, 'utf8');
+
+  assert.equal(claimTask(deepDir, 'w1'), 'task-001');
+  assert.equal(fs.readFileSync(queuePaths(deepDir).tasks, 'utf8'), before);
+  assert.equal(JSON.parse(fs.readFileSync(queuePaths(deepDir).claims, 'utf8'))['task-001'].claimedBy, 'w1');
+
+  failTask(deepDir, 'task-001', { category: 'ci-failure', reason: 'red' });
+  const { pending } = readQueue(deepDir);
+  assert.deepEqual(parseTasks(serializeTasks(pending)), pending);
+  assert.equal(getAttempts(pending.tasks[0]), 1);
+  assert.equal(pending.tasks[0].body, 'Free text\n\nwith a blank line');
+  assert.deepEqual(getDepends(pending.tasks[1]), ['task-001']);
+  assert.equal(pending.tasks[1].body, '- [ ] works');
+  assert.deepEqual(JSON.parse(fs.readFileSync(queuePaths(deepDir).claims, 'utf8')), {});
+});
+
+test('completeTask keeps the task block and round-trips completed-tasks.md', () => {
+  const deepDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-queue-'));
+  addTask(deepDir, { title: 'First', description: 'Keep this text', criteria: ['works'], depends: ['task-000'] });
+  addTask(deepDir, { title: 'Second' });
+  failTask(deepDir, 'task-001', { category: 'ci-failure', reason: 'red' });
+  const before = readQueue(deepDir).pending.tasks[0];
+
+  completeTask(deepDir, 'task-001', { commit: 'abc123', worker: 'w1', files: ['a.js', 'b.js'] });
+  completeTask(deepDir, 'task-002');
+
+  const markdown = fs.readFileSync(queuePaths(deepDir).completed, 'utf8');
+  const completed = parseTasks(markdown);
+  assert.equal(serializeTasks(completed), markdown);
+  assert.deepEqual(completed.tasks.map(t => [t.id, t.title, t.done]), [['task-001', 'First', true], ['task-002', 'Second', true]]);
+
+  const [first] = completed.tasks;
+  assert.equal(first.body, before.body);
+  assert.deepEqual(first.fields.slice(0, before.fields.length), before.fields);
+  assert.equal(getField(first, 'Commit'), 'abc123');
+  assert.equal(getField(first, 'Worker'), 'w1');
+  assert.equal(getField(first, 'Files'), 'a.js, b.js');
+  assert.ok(!Number.isNaN(Date.parse(getField(first, 'Completed'))));
+  assert.equal(getField(completed.tasks[1], 'Commit'), null);
+  assert.deepEqual(readQueue(deepDir).pending.tasks, []);
+});
+
+test('a dependency counts only once its task is completed (merged), not while its PR is in flight', () => {
+  const deepDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-queue-'));
+  addTask(deepDir, { title: 'Prerequisite' });
+  addTask(deepDir, { title: 'Dependent', depends: ['task-001'] });
+  assert.equal(claimTask(deepDir, 'w1'), 'task-001');
+
+  // Built, PR open and waiting on CI: the claim may lapse, the task must not be re-issued
+  fs.writeFileSync(path.join(deepDir, 'inflight.json'), JSON.stringify({
+    'task-001': { stage: 'ci', branch: 'deep/task-001', pr: '12' }
+  }));
+  fs.writeFileSync(queuePaths(deepDir).claims, '{}');
+  const statuses = Object.fromEntries(describeQueue(deepDir).map(e => [e.task.id, e.status]));
+  assert.deepEqual(statuses, { 'task-001': 'in-flight', 'task-002': 'blocked' });
+  assert.equal(claimTask(deepDir, 'w2'), null);
+
+  // Merged
+  completeTask(deepDir, 'task-001', { commit: 'abc123' });
+  fs.writeFileSync(path.join(deepDir, 'inflight.json'), '{}');
+  assert.deepEqual(eligibleTasks(deepDir).map(e => e.task.id), ['task-002']);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { stripCode, readLastAssistantEntries, transcriptHasPromise } from '../src/transcript.js';
+
+const TAG = '<promise>DONE</promise>';
+
+function writeTranscript(entries) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'deep-transcript-')), 'transcript.jsonl');
+  fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+  return file;
+}
+
+function assistant(text, extra = {}) {
+  return { type: 'assistant', message: { role: 'assistant', content: [{ type: 'text', text }] }, ...extra };
+}
+
+test('stripCode removes fences wherever they start', () => {
+  for (const text of [
+    `\`\`\`\n${TAG}\n\`\`\``,
+    `Steps:\n    \`\`\`\n    ${TAG}\n    \`\`\``,
+    `\t~~~md\n${TAG}\n\t~~~`,
+    `- item\n  \`\`\`\n  ${TAG}\n  \`\`\``,
+    `> \`\`\`\n> ${TAG}\n> \`\`\``,
+    `The prompt says \`\`\`${TAG}\`\`\` at the end`,
+    `Still open:\n  \`\`\`\n  ${TAG}`,
+    `inline \`${TAG}\``
+  ]) {
+    assert.ok(!stripCode(text).includes(TAG), text);
+  }
+});
+
+test('stripCode keeps text outside code', () => {
+  assert.equal(stripCode(`\`\`\`\nquoted\n\`\`\`\nDone. ${TAG}`), `\nDone. ${TAG}`);
+  assert.equal(stripCode(`\`\`\`\`\n\`\`\`\nnested\n\`\`\`\n\`\`\`\`\n${TAG}`), `\n${TAG}`);
+});
+
+test('readLastAssistantEntries reads past lines far longer than a chunk', () => {
+  const file = writeTranscript([
+    assistant('first'),
+    { type: 'user', message: { role: 'user', content: 'x'.repeat(3 * 1024 * 1024) } },
+    assistant('second'),
+    { type: 'user', message: { role: 'user', content: 'y'.repeat(200 * 1024) } }
+  ]);
+  const texts = readLastAssistantEntries(file, 10).map(e => e.message.content[0].text);
+  assert.deepEqual(texts, ['first', 'second']);
+});
+
+test('readLastAssistantEntries handles a long first line with no newline before it', () => {
+  const file = writeTranscript([assistant('z'.repeat(300 * 1024)), assistant('last')]);
+  const texts = readLastAssistantEntries(file, 10).map(e => e.message.content[0].text.length);
+  assert.deepEqual(texts, [300 * 1024, 4]);
+});
+
+test('transcriptHasPromise ignores quoted promises and older entries', () => {
+  const file = writeTranscript([
+    assistant(`Done ${TAG}`, { timestamp: '2026-10-19T10:00:00.000Z' }),
+    assistant(`Next I will print:\n   \`\`\`\n   ${TAG}\n   \`\`\``, { timestamp: '2026-10-19T11:00:00.000Z' })
+  ]);
+  assert.equal(transcriptHasPromise(file, 'DONE'), true);
+  assert.equal(transcriptHasPromise(file, 'DONE', { since: '2026-10-19T10:30:00.000Z' }), false);
+});
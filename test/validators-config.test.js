@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { shouldSkipPath, loadValidatorConfig, isValidatorEnabled } from '../src/validators/config.js';
+
+function projectRoot(config) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-validators-'));
+  fs.writeFileSync(path.join(root, '.deeploop.json'), JSON.stringify(config));
+  return root;
+}
+
+test('a plain skip pattern matches whole path segments only', () => {
+  loadValidatorConfig(projectRoot({}));
+  assert.equal(shouldSkipPath('/repo/build/out.json'), true);
+  assert.equal(shouldSkipPath('build/out.json'), true);
+  assert.equal(shouldSkipPath('/repo/node_modules/pkg/package.json'), true);
+  assert.equal(shouldSkipPath('/repo/src/buildings.ts'), false);
+  assert.equal(shouldSkipPath('/repo/src/rebuild/config.json'), false);
+  assert.equal(shouldSkipPath('/repo/dist-notes.md'), false);
+});
+
+test('loadValidatorConfig reads the given root, not the current directory', () => {
+  const root = projectRoot({ validators: { skipPatterns: ['fixtures', 'db/seeds/**'], sql: { enabled: false } } });
+  loadValidatorConfig(root);
+  assert.equal(shouldSkipPath(path.join(root, 'test/fixtures/bad.json')), true);
+  assert.equal(shouldSkipPath(path.join(root, 'db/seeds/2026/users.sql')), true);
+  assert.equal(shouldSkipPath(path.join(root, 'test/fixture.json')), false);
+  assert.equal(isValidatorEnabled('sql'), false);
+
+  loadValidatorConfig(projectRoot({}));
+  assert.equal(shouldSkipPath(path.join(root, 'test/fixtures/bad.json')), false);
+  assert.equal(isValidatorEnabled('sql'), true);
+});